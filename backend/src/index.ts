@@ -4,6 +4,10 @@ import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import { clerkMiddleware } from './middleware/auth';
 import { clerkClient } from '@clerk/express';
+import { startJobWorker } from './services/jobWorker';
+import { failInterruptedBatches } from './services/batch';
+import { backfillMinHashSignatures } from './services/similarPosts';
+import { assertProviderConfigured, getProviderHealth } from './services/llm';
 
 dotenv.config();
 
@@ -20,7 +24,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json());
+// Hour-long transcripts with timestamped segments exceed the default 100kb limit
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -28,15 +33,33 @@ import authRoutes from './routes/auth';
 import blogRoutes from './routes/blog';
 import promptRoutes from './routes/prompt';
 import youtubeRoutes from './routes/youtube';
+import jobRoutes from './routes/job';
+import voiceProfileRoutes from './routes/voiceProfile';
+import templateRoutes from './routes/template';
+import usageRoutes from './routes/usage';
+import batchRoutes from './routes/batch';
 
 app.use('/api/auth', authRoutes);
 app.use('/api/blogs', clerkMiddleware, blogRoutes);
 app.use('/api/prompts', clerkMiddleware, promptRoutes);
 app.use('/api/youtube', clerkMiddleware, youtubeRoutes);
+app.use('/api/jobs', clerkMiddleware, jobRoutes);
+app.use('/api/voice-profiles', clerkMiddleware, voiceProfileRoutes);
+app.use('/api/templates', clerkMiddleware, templateRoutes);
+app.use('/api/usage', clerkMiddleware, usageRoutes);
+app.use('/api/batches', clerkMiddleware, batchRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'BlogTube API is running' });
+  // Providers appear once they have been used; an open circuit means calls to it fail fast
+  const llm = getProviderHealth();
+  const degraded = llm.some(provider => provider.state === 'open');
+
+  res.json({
+    status: degraded ? 'DEGRADED' : 'OK',
+    message: degraded ? 'BlogTube API is running with an unavailable LLM provider' : 'BlogTube API is running',
+    llm
+  });
 });
 
 // Error handling middleware
@@ -48,10 +71,30 @@ app.use((err: any, req: express.Request, res: express.Response, next: express.Ne
   });
 });
 
+try {
+  assertProviderConfigured();
+} catch (error) {
+  console.error('LLM configuration error:', error);
+  process.exit(1);
+}
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blogtube')
   .then(() => {
     console.log('Connected to MongoDB');
+    startJobWorker().catch((error) => {
+      console.error('Failed to start job worker:', error);
+    });
+    failInterruptedBatches().catch((error) => {
+      console.error('Failed to close interrupted batches:', error);
+    });
+    backfillMinHashSignatures()
+      .then((signed) => {
+        if (signed > 0) console.log(`Computed similarity signatures for ${signed} post(s)`);
+      })
+      .catch((error) => {
+        console.error('Failed to compute similarity signatures:', error);
+      });
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
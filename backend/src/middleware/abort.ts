@@ -0,0 +1,17 @@
+import { Response, NextFunction } from 'express';
+import { AuthRequest } from './auth';
+
+// Exposes req.signal, aborted when the client goes away before the response is sent,
+// so long-running LLM calls stop instead of finishing for nobody
+export const abortOnDisconnect = (req: AuthRequest, res: Response, next: NextFunction) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  next();
+};
@@ -11,6 +11,8 @@ export interface AuthRequest extends Request {
     sessionId?: string;
   };
   user?: any;
+  // Set by abortOnDisconnect
+  signal?: AbortSignal;
 }
 
 export const clerkMiddleware = requireAuth({
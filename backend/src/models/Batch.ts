@@ -0,0 +1,88 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Where a row is before its generation job exists; afterwards the job's status is the row's status
+export type BatchRowStatus = 'pending' | 'queued' | 'failed';
+
+export interface IBatchRow {
+  _id: mongoose.Types.ObjectId;
+  type: 'youtube' | 'text' | 'article';
+  // The YouTube URL, article URL or topic as submitted
+  input: string;
+  instructions?: string;
+  status: BatchRowStatus;
+  error?: string;
+  promptId?: mongoose.Types.ObjectId;
+  jobId?: mongoose.Types.ObjectId;
+  // The row matched a recent identical request and shares its generation
+  reused?: boolean;
+  // Expected cost: from a typical source when submitted, from the fetched source once prepared
+  estimatedCredits?: number;
+}
+
+export interface IBatch extends Document<mongoose.Types.ObjectId> {
+  userId: mongoose.Types.ObjectId;
+  // Rows are still being turned into generation jobs
+  status: 'preparing' | 'queued';
+  voiceProfileId?: mongoose.Types.ObjectId;
+  includeFaq: boolean;
+  rows: IBatchRow[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const BatchRowSchema = new Schema<IBatchRow>({
+  type: {
+    type: String,
+    enum: ['youtube', 'text', 'article'],
+    required: true
+  },
+  input: {
+    type: String,
+    required: true
+  },
+  instructions: String,
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'failed'],
+    default: 'pending'
+  },
+  error: String,
+  promptId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Prompt'
+  },
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  reused: Boolean,
+  estimatedCredits: Number
+});
+
+const BatchSchema = new Schema<IBatch>({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['preparing', 'queued'],
+    default: 'preparing'
+  },
+  voiceProfileId: {
+    type: Schema.Types.ObjectId,
+    ref: 'VoiceProfile'
+  },
+  includeFaq: {
+    type: Boolean,
+    default: false
+  },
+  rows: [BatchRowSchema]
+}, {
+  timestamps: true
+});
+
+BatchSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model<IBatch>('Batch', BatchSchema);
@@ -1,6 +1,22 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { analyzeContent, ContentAnalysis } from '../services/contentAnalysis';
+import { minHashSignature } from '../services/minhash';
 
-export interface IBlog extends Document {
+export const REPURPOSE_FORMATS = ['thread', 'linkedin', 'email'] as const;
+export type RepurposeFormat = typeof REPURPOSE_FORMATS[number];
+
+export interface RepurposedVariant {
+  format: RepurposeFormat;
+  // The whole variant, ready to paste
+  text: string;
+  // Thread posts in order, each within the platform limit including its counter
+  posts?: string[];
+  subject?: string;
+  previewText?: string;
+  ctaUrl?: string;
+}
+
+export interface IBlog extends Document<mongoose.Types.ObjectId> {
   userId: mongoose.Types.ObjectId;
   promptId: mongoose.Types.ObjectId;
   title: string;
@@ -17,11 +33,61 @@ export interface IBlog extends Document {
     wordCount: number;
     readTime: number; // in minutes
   };
+  // Readability and SEO checks of the saved content
+  analysis?: ContentAnalysis & { analyzedAt: Date };
+  // MinHash signature of the content, for finding near-duplicates in the user's library
+  minhash?: number[];
   publishedAt?: Date;
+  locale: string;
+  // Shared by a source post and all of its translations; set to the source's own id
+  translationGroupId?: mongoose.Types.ObjectId;
+  translatedFrom?: {
+    blogId: mongoose.Types.ObjectId;
+    // Fingerprint of the source when it was translated; a mismatch means the translation is stale
+    sourceHash: string;
+    translatedAt: Date;
+  };
+  // Transcript passage (in seconds) behind each paragraph of a post generated from a video
+  sourceMap?: {
+    paragraphHash: string;
+    start: number;
+    end: number;
+    cited: boolean;
+  }[];
+  // Question/answer pairs rendered after the content and emitted as FAQPage structured data
+  faq?: {
+    question: string;
+    answer: string;
+  }[];
+  // Social and newsletter versions of the post, at most one per format
+  repurposed: (RepurposedVariant & { _id: mongoose.Types.ObjectId; createdAt: Date })[];
   createdAt: Date;
   updatedAt: Date;
 }
 
+const RepurposedVariantSchema = new Schema({
+  format: {
+    type: String,
+    enum: REPURPOSE_FORMATS,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  posts: {
+    type: [String],
+    default: undefined
+  },
+  subject: String,
+  previewText: String,
+  ctaUrl: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const BlogSchema = new Schema<IBlog>({
   userId: {
     type: Schema.Types.ObjectId,
@@ -69,7 +135,97 @@ const BlogSchema = new Schema<IBlog>({
       default: 0
     }
   },
-  publishedAt: Date
+  analysis: {
+    type: {
+      _id: false,
+      score: Number,
+      wordCount: Number,
+      readTime: Number,
+      readability: {
+        fleschKincaidGrade: Number,
+        sentences: Number,
+        averageSentenceWords: Number
+      },
+      headings: {
+        h2: Number,
+        h3: Number
+      },
+      keywords: [{
+        _id: false,
+        keyword: String,
+        count: Number,
+        density: Number
+      }],
+      meta: {
+        titleLength: Number,
+        descriptionLength: Number
+      },
+      links: {
+        internal: Number,
+        external: Number
+      },
+      issues: [{
+        _id: false,
+        code: String,
+        severity: { type: String, enum: ['error', 'warning', 'info'] },
+        message: String
+      }],
+      analyzedAt: Date
+    },
+    default: undefined
+  },
+  minhash: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+  publishedAt: Date,
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  translationGroupId: {
+    type: Schema.Types.ObjectId,
+    index: true
+  },
+  translatedFrom: {
+    type: {
+      _id: false,
+      blogId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+      },
+      sourceHash: {
+        type: String,
+        required: true
+      },
+      translatedAt: {
+        type: Date,
+        required: true
+      }
+    },
+    default: undefined
+  },
+  sourceMap: {
+    type: [{
+      _id: false,
+      paragraphHash: { type: String, required: true },
+      start: { type: Number, required: true },
+      end: { type: Number, required: true },
+      cited: { type: Boolean, default: false }
+    }],
+    default: undefined
+  },
+  faq: {
+    type: [{
+      _id: false,
+      question: { type: String, required: true, maxlength: 200 },
+      answer: { type: String, required: true, maxlength: 1000 }
+    }],
+    default: undefined
+  },
+  repurposed: [RepurposedVariantSchema]
 }, {
   timestamps: true
 });
@@ -79,14 +235,19 @@ BlogSchema.index({ userId: 1, status: 1, createdAt: -1 });
 BlogSchema.index({ tags: 1 });
 BlogSchema.index({ 'seoMeta.keywords': 1 });
 
-// Calculate stats before saving
+// Calculate stats and re-run the content analysis before saving
 BlogSchema.pre('save', function(next) {
-  if (this.content) {
-    const words = this.content.split(/\s+/).length;
+  if (this.content && (!this.analysis || this.isModified(['title', 'content', 'seoMeta']))) {
+    const analysis = analyzeContent({ title: this.title, content: this.content, seoMeta: this.seoMeta });
     this.stats = {
-      wordCount: words,
-      readTime: Math.ceil(words / 200) // Average reading speed: 200 words per minute
+      wordCount: analysis.wordCount,
+      readTime: analysis.readTime
     };
+    this.analysis = { ...analysis, analyzedAt: new Date() };
+  }
+
+  if (this.isNew || this.isModified('content')) {
+    this.minhash = minHashSignature(this.content || '');
   }
   
   if (this.status === 'published' && !this.publishedAt) {
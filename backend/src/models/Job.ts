@@ -0,0 +1,100 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+export interface IJob extends Document {
+  userId: mongoose.Types.ObjectId;
+  promptId: mongoose.Types.ObjectId;
+  type: 'generate';
+  status: JobStatus;
+  blogId?: mongoose.Types.ObjectId;
+  error?: string;
+  // Set when the blog was created but its usage could not be recorded, so credits need reconciling
+  chargeError?: string;
+  // Existing posts the generated one nearly duplicates
+  similarPosts?: {
+    blogId: mongoose.Types.ObjectId;
+    title: string;
+    similarity: number;
+  }[];
+  progress?: {
+    stage: 'notes' | 'writing' | 'metadata';
+    completed: number;
+    total: number;
+  };
+  attempts: number;
+  // Credits held back for the job while it is queued or running; the actual charge follows token usage
+  reservedCredits: number;
+  startedAt?: Date;
+  finishedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const JobSchema = new Schema<IJob>({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  promptId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Prompt',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['generate'],
+    default: 'generate'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  blogId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Blog'
+  },
+  error: {
+    type: String
+  },
+  chargeError: {
+    type: String
+  },
+  similarPosts: {
+    type: [{
+      _id: false,
+      blogId: { type: Schema.Types.ObjectId, ref: 'Blog' },
+      title: String,
+      similarity: Number
+    }],
+    default: undefined
+  },
+  progress: {
+    stage: {
+      type: String,
+      enum: ['notes', 'writing', 'metadata']
+    },
+    completed: Number,
+    total: Number
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  reservedCredits: {
+    type: Number,
+    default: 1
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// The worker claims the oldest queued job first
+JobSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model<IJob>('Job', JobSchema);
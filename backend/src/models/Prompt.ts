@@ -1,21 +1,69 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { LLMCall, llmCallFields, UsageOperation } from './UsageEntry';
 
-export interface IPrompt extends Document {
+export interface IPrompt extends Document<mongoose.Types.ObjectId> {
   userId: mongoose.Types.ObjectId;
-  type: 'youtube' | 'text';
+  type: 'youtube' | 'text' | 'article' | 'document';
   prompt: string;
   youtubeUrl?: string;
   transcript?: string;
+  voiceProfileId?: mongoose.Types.ObjectId;
+  templateId?: mongoose.Types.ObjectId;
+  templateValues?: Map<string, string>;
+  // Client-supplied key of the submission that created this prompt
+  idempotencyKey?: string;
+  // Ask the generator for an FAQ block
+  includeFaq: boolean;
+  // Locale the post is written in, whatever the language of the source; unset leaves it to the model
+  language?: string;
+  // Fingerprint of the generation inputs, used to reuse identical recent generations
+  requestHash?: string;
+  outline?: {
+    heading: string;
+    level: 2 | 3;
+    bullets: string[];
+  }[];
+  segments?: {
+    text: string;
+    offset: number;
+    duration: number;
+  }[];
+  // Every LLM call made for this prompt and the posts generated from it
+  usage: (LLMCall & { operation: UsageOperation; createdAt: Date })[];
   metadata?: {
     videoTitle?: string;
     videoAuthor?: string;
     videoDuration?: number;
     videoDescription?: string;
+    // Caption track the transcript of a YouTube prompt was taken from
+    transcriptLanguage?: string;
+    transcriptTrackKind?: 'manual' | 'auto';
+    // Extracted from the page of an article prompt
+    articleUrl?: string;
+    articleTitle?: string;
+    articleAuthor?: string;
+    articlePublishedAt?: Date;
+    articleSiteName?: string;
+    articleText?: string;
+    // Extracted from the uploaded file of a document prompt
+    documentName?: string;
+    documentFormat?: 'pdf' | 'docx' | 'markdown' | 'text';
+    documentSize?: number;
+    documentPages?: number;
+    documentTitle?: string;
+    documentHeadings?: string[];
+    documentText?: string;
   };
   createdAt: Date;
   updatedAt: Date;
 }
 
+const PromptUsageSchema = new Schema({
+  ...llmCallFields,
+  operation: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const PromptSchema = new Schema<IPrompt>({
   userId: {
     type: Schema.Types.ObjectId,
@@ -25,7 +73,7 @@ const PromptSchema = new Schema<IPrompt>({
   },
   type: {
     type: String,
-    enum: ['youtube', 'text'],
+    enum: ['youtube', 'text', 'article', 'document'],
     required: true
   },
   prompt: {
@@ -38,17 +86,83 @@ const PromptSchema = new Schema<IPrompt>({
   transcript: {
     type: String
   },
+  voiceProfileId: {
+    type: Schema.Types.ObjectId,
+    ref: 'VoiceProfile'
+  },
+  // Template the prompt text was rendered from, with the values used, so it can be reproduced
+  templateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Template'
+  },
+  templateValues: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  idempotencyKey: {
+    type: String
+  },
+  includeFaq: {
+    type: Boolean,
+    default: false
+  },
+  language: {
+    type: String
+  },
+  requestHash: {
+    type: String
+  },
+  // Approved H2/H3 structure; generation and regeneration follow it when present
+  outline: {
+    type: [{
+      _id: false,
+      heading: { type: String, required: true },
+      level: { type: Number, enum: [2, 3], required: true },
+      bullets: [String]
+    }],
+    default: undefined
+  },
+  // Timestamped transcript segments, used to chunk long transcripts
+  segments: [{
+    _id: false,
+    text: String,
+    offset: Number,
+    duration: Number
+  }],
   metadata: {
     videoTitle: String,
     videoAuthor: String,
     videoDuration: Number,
-    videoDescription: String
-  }
+    videoDescription: String,
+    transcriptLanguage: String,
+    transcriptTrackKind: { type: String, enum: ['manual', 'auto'] },
+    articleUrl: String,
+    articleTitle: String,
+    articleAuthor: String,
+    articlePublishedAt: Date,
+    articleSiteName: String,
+    articleText: String,
+    documentName: String,
+    documentFormat: { type: String, enum: ['pdf', 'docx', 'markdown', 'text'] },
+    documentSize: Number,
+    documentPages: Number,
+    documentTitle: String,
+    documentHeadings: { type: [String], default: undefined },
+    documentText: String
+  },
+  usage: [PromptUsageSchema]
 }, {
   timestamps: true
 });
 
 // Index for efficient querying
 PromptSchema.index({ userId: 1, createdAt: -1 });
+PromptSchema.index({ userId: 1, requestHash: 1, createdAt: -1 });
+// A retried submission finds the prompt its key created instead of creating another
+PromptSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 export default mongoose.model<IPrompt>('Prompt', PromptSchema);
\ No newline at end of file
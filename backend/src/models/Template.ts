@@ -0,0 +1,58 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export interface TemplateVariable {
+  name: string;
+  label?: string;
+  // Used when the writer leaves the variable empty; variables without one are required
+  defaultValue?: string;
+}
+
+export interface ITemplate extends Document<mongoose.Types.ObjectId> {
+  userId: mongoose.Types.ObjectId;
+  // Set when the template is shared with everyone in the workspace
+  workspaceId?: string;
+  name: string;
+  description?: string;
+  // Prompt text with {{variable}} placeholders
+  body: string;
+  variables: TemplateVariable[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const TemplateSchema = new Schema<ITemplate>({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: String,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  variables: [{
+    _id: false,
+    name: { type: String, required: true },
+    label: String,
+    defaultValue: String
+  }]
+}, {
+  timestamps: true
+});
+
+export default mongoose.model<ITemplate>('Template', TemplateSchema);
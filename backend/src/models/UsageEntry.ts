@@ -0,0 +1,100 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type UsageOperation =
+  | 'generate'
+  | 'outline'
+  | 'regenerate'
+  | 'titles'
+  | 'enhance'
+  | 'rewriteSection'
+  | 'translate'
+  | 'repurpose'
+  | 'faq';
+
+export interface LLMCall {
+  purpose: string;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  estimated: boolean;
+  latencyMs: number;
+  // Estimated USD
+  cost: number;
+}
+
+// One ledger line per user-facing operation, with the LLM calls it made and the credits it was charged
+export interface IUsageEntry extends Document<mongoose.Types.ObjectId> {
+  userId: mongoose.Types.ObjectId;
+  promptId?: mongoose.Types.ObjectId;
+  blogId?: mongoose.Types.ObjectId;
+  operation: UsageOperation;
+  succeeded: boolean;
+  calls: LLMCall[];
+  promptTokens: number;
+  completionTokens: number;
+  cost: number;
+  credits: number;
+  createdAt: Date;
+}
+
+// Shared with the per-prompt call log
+export const llmCallFields = {
+  purpose: { type: String, required: true },
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  estimated: { type: Boolean, default: false },
+  latencyMs: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }
+};
+
+const UsageEntrySchema = new Schema<IUsageEntry>({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  promptId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Prompt'
+  },
+  blogId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Blog'
+  },
+  operation: {
+    type: String,
+    enum: ['generate', 'outline', 'regenerate', 'titles', 'enhance', 'rewriteSection', 'translate', 'repurpose', 'faq'],
+    required: true
+  },
+  succeeded: {
+    type: Boolean,
+    default: true
+  },
+  calls: [new Schema<LLMCall>(llmCallFields, { _id: false })],
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  credits: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Monthly usage queries scan one user's entries by date
+UsageEntrySchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model<IUsageEntry>('UsageEntry', UsageEntrySchema);
@@ -1,14 +1,17 @@
 import mongoose, { Document, Schema } from 'mongoose';
 
+export type Plan = 'free' | 'pro' | 'enterprise';
+
 export interface IUser extends Document {
   clerkId: string;
   email: string;
   name: string;
   imageUrl?: string;
+  workspaceId?: string;
   createdAt: Date;
   updatedAt: Date;
   subscription?: {
-    plan: 'free' | 'pro' | 'enterprise';
+    plan: Plan;
     creditsUsed: number;
     creditsLimit: number;
     resetDate: Date;
@@ -35,6 +38,11 @@ const UserSchema = new Schema<IUser>({
   imageUrl: {
     type: String
   },
+  // Users sharing a workspace see each other's workspace-level voice profiles
+  workspaceId: {
+    type: String,
+    index: true
+  },
   subscription: {
     plan: {
       type: String,
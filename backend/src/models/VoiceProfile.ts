@@ -0,0 +1,63 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type PointOfView = 'first-person-singular' | 'first-person-plural' | 'second-person' | 'third-person';
+
+export interface IVoiceProfile extends Document {
+  userId: mongoose.Types.ObjectId;
+  // Set when the profile is shared with everyone in the workspace
+  workspaceId?: string;
+  name: string;
+  tone?: string;
+  readingLevel?: string;
+  pointOfView?: PointOfView;
+  bannedPhrases: string[];
+  preferredCta?: string;
+  isDefault: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const VoiceProfileSchema = new Schema<IVoiceProfile>({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: String,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  tone: {
+    type: String,
+    maxlength: 300
+  },
+  readingLevel: {
+    type: String,
+    maxlength: 100
+  },
+  pointOfView: {
+    type: String,
+    enum: ['first-person-singular', 'first-person-plural', 'second-person', 'third-person']
+  },
+  bannedPhrases: [{
+    type: String
+  }],
+  preferredCta: {
+    type: String,
+    maxlength: 300
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model<IVoiceProfile>('VoiceProfile', VoiceProfileSchema);
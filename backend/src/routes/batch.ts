@@ -0,0 +1,116 @@
+import express, { Response } from 'express';
+import Batch from '../models/Batch';
+import { attachUser, checkSubscriptionLimits, AuthRequest } from '../middleware/auth';
+import { describeBatch, estimateRowCredits, MAX_BATCH_ROWS, parseBatchRows, prepareBatch } from '../services/batch';
+import { availableCreditsForJobs } from '../services/jobWorker';
+import { resolveVoiceProfile } from '../services/voice';
+import { body, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Recent batches of the current user
+router.get('/', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const batches = await Batch.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    return res.json({ batches: await Promise.all(batches.map(describeBatch)) });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    return res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+// Get batch with per-row status
+router.get('/:id', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const batch = await Batch.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    return res.json(await describeBatch(batch));
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    return res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+// Queue a post for every row of a CSV or pasted list of YouTube URLs or topics.
+// The batch is refused up front when the credits cannot cover the estimated cost of its rows; once sources are
+// fetched, each row reserves its own estimate and fails on its own when the credits left cannot cover it.
+router.post('/',
+  attachUser,
+  checkSubscriptionLimits,
+  [
+    body('csv').isString().trim().notEmpty().withMessage('Add at least one URL or topic').isLength({ max: 100000 }),
+    body('includeFaq').optional().isBoolean().withMessage('includeFaq must be a boolean')
+  ],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { csv, voiceProfileId, includeFaq } = req.body;
+
+      const rows = parseBatchRows(csv);
+      if (rows.length === 0) {
+        return res.status(400).json({ error: 'Add at least one URL or topic' });
+      }
+      if (rows.length > MAX_BATCH_ROWS) {
+        return res.status(400).json({ error: `A batch can have at most ${MAX_BATCH_ROWS} rows` });
+      }
+
+      const voice = await resolveVoiceProfile(req.user, voiceProfileId);
+      if (voiceProfileId && !voice) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+
+      const estimates = rows.map(row => row.error ? 0 : estimateRowCredits(row, req.user.subscription.plan, !!includeFaq));
+      const required = estimates.reduce((total, credits) => total + credits, 0);
+      const available = await availableCreditsForJobs(req.user);
+      if (required > available) {
+        return res.status(403).json({
+          error: `This batch needs about ${required} credits; ${Math.max(0, available)} are available`,
+          required,
+          available: Math.max(0, available),
+          rows: rows.map((row, index) => ({ input: row.input, estimatedCredits: estimates[index] })),
+          resetDate: req.user.subscription.resetDate
+        });
+      }
+
+      const batch = await Batch.create({
+        userId: req.user._id,
+        voiceProfileId: voice?._id,
+        includeFaq: !!includeFaq,
+        rows: rows.map((row, index) => ({
+          type: row.type,
+          input: row.input,
+          instructions: row.instructions,
+          status: row.error ? 'failed' : 'pending',
+          error: row.error,
+          estimatedCredits: row.error ? undefined : estimates[index]
+        }))
+      });
+
+      // Transcripts are fetched after responding; the client polls the batch for progress
+      prepareBatch(batch, req.user.subscription.plan).catch((error) => {
+        console.error(`Error preparing batch ${batch._id}:`, error);
+      });
+
+      return res.status(202).json(await describeBatch(batch));
+    } catch (error) {
+      console.error('Error creating batch:', error);
+      return res.status(500).json({ error: 'Failed to create batch' });
+    }
+  }
+);
+
+export default router;
@@ -1,10 +1,54 @@
-import express from 'express';
-import Blog from '../models/Blog';
-import { attachUser, AuthRequest } from '../middleware/auth';
+import express, { Response } from 'express';
+import Blog, { IBlog, REPURPOSE_FORMATS, RepurposeFormat } from '../models/Blog';
+import Prompt from '../models/Prompt';
+import VoiceProfile from '../models/VoiceProfile';
+import { UsageOperation } from '../models/UsageEntry';
+import { attachUser, checkSubscriptionLimits, AuthRequest } from '../middleware/auth';
+import { abortOnDisconnect } from '../middleware/abort';
 import { body, validationResult } from 'express-validator';
+import { enhanceBlogContent, generateFaq, generateTitleSuggestions, repurposeBlog, rewriteSection, translateBlog } from '../services/ai';
+import { BlogValidationError, FaqListSchema, formatIssues } from '../services/blogSchema';
+import { findSection, parseSections, replaceSection } from '../services/markdownSections';
+import { diffLines } from '../services/lineDiff';
+import { normalizeLocale, translationSourceHash } from '../services/translation';
+import { hasTimings, mapParagraphsToTranscript, splitParagraphs, transcriptPassage } from '../services/transcriptCitations';
+import { momentUrl } from '../services/youtube';
+import { extractVideoId } from '../services/youtubeUrl';
+import { describeLLMError, UsageRecorder } from '../services/llm';
+import { recordFailedUsage, recordUsage } from '../services/usageLedger';
+import { DUPLICATE_THRESHOLD, findSimilarBlogs, findSimilarBlogsWithOverlaps } from '../services/similarPosts';
 
 const router = express.Router();
 
+// AI edits use the voice profile the post was generated with
+const loadBlogVoice = async (promptId: unknown) => {
+  const prompt = await Prompt.findById(promptId);
+  return prompt?.voiceProfileId ? VoiceProfile.findById(prompt.voiceProfileId) : null;
+};
+
+// Record an AI action on a post against the post's prompt, charging credits when asked; returns the credits remaining
+const settleUsage = async (req: AuthRequest, blog: IBlog, operation: UsageOperation, usage: UsageRecorder, charge: boolean) => {
+  const credits = await recordUsage({
+    userId: req.user._id,
+    plan: req.user.subscription.plan,
+    operation,
+    usage,
+    promptId: blog.promptId,
+    blogId: blog._id,
+    charge
+  });
+  return req.user.subscription.creditsLimit - req.user.subscription.creditsUsed - credits;
+};
+
+const recordFailedAction = (req: AuthRequest, operation: UsageOperation, usage: UsageRecorder) =>
+  recordFailedUsage({
+    userId: req.user._id,
+    plan: req.user.subscription.plan,
+    operation,
+    usage,
+    blogId: req.params.id
+  });
+
 // Get all blogs for current user
 router.get('/', attachUser, async (req: AuthRequest, res) => {
   try {
@@ -101,26 +145,31 @@ router.put('/:id',
     try {
       const { title, content, summary, tags, status, seoMeta } = req.body;
 
-      const blog = await Blog.findOneAndUpdate(
-        {
-          _id: req.params.id,
-          userId: req.user._id
-        },
-        {
-          title,
-          content,
-          summary,
-          tags,
-          status,
-          seoMeta
-        },
-        { new: true, runValidators: true }
-      );
+      // FAQ pairs are only replaced when sent, and must be valid as a whole
+      let faq;
+      if (req.body.faq !== undefined) {
+        const result = FaqListSchema.safeParse(req.body.faq);
+        if (!result.success) {
+          return res.status(400).json({ error: 'Invalid FAQ', issues: formatIssues(result.error) });
+        }
+        faq = result.data;
+      }
+
+      const blog = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
 
       if (!blog) {
         return res.status(404).json({ error: 'Blog not found' });
       }
 
+      // Saved through the document so stats and the content analysis are recomputed
+      const updates = Object.entries({ title, content, summary, tags, status, seoMeta, faq })
+        .filter(([, value]) => value !== undefined);
+      blog.set(Object.fromEntries(updates));
+      await blog.save();
+
       res.json(blog);
     } catch (error) {
       console.error('Error updating blog:', error);
@@ -148,10 +197,605 @@ router.delete('/:id', attachUser, async (req: AuthRequest, res) => {
   }
 });
 
-// Publish/Unpublish blog
+// The user's other posts that overlap with this one, with the paragraphs they share
+router.get('/:id/similar', attachUser, async (req: AuthRequest, res: Response) => {
+  try {
+    const blog = await Blog.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    const similarPosts = await findSimilarBlogsWithOverlaps(blog);
+
+    return res.json({ threshold: DUPLICATE_THRESHOLD, similarPosts });
+  } catch (error) {
+    console.error('Error finding similar posts:', error);
+    return res.status(500).json({ error: 'Failed to find similar posts' });
+  }
+});
+
+// Transcript passage behind each paragraph of a post generated from a video with a timed transcript
+router.get('/:id/sources', attachUser, async (req: AuthRequest, res: Response) => {
+  try {
+    const blog = await Blog.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    const prompt = await Prompt.findById(blog.promptId).select('type youtubeUrl segments');
+    const videoId = prompt?.youtubeUrl ? extractVideoId(prompt.youtubeUrl) : null;
+    const segments = prompt?.segments;
+
+    if (prompt?.type !== 'youtube' || !hasTimings(segments)) {
+      return res.json({ videoId: null, paragraphs: [] });
+    }
+
+    // Paragraphs unchanged since generation keep their stored mapping; edited or new ones are matched again
+    const stored = new Map((blog.sourceMap || []).map(entry => [entry.paragraphHash, entry]));
+    const current = new Map(mapParagraphsToTranscript(blog.content, segments, videoId).map(entry => [entry.paragraphHash, entry]));
+
+    const paragraphs = splitParagraphs(blog.content).map(paragraph => {
+      const entry = stored.get(paragraph.hash) || current.get(paragraph.hash);
+      return {
+        paragraphHash: paragraph.hash,
+        text: paragraph.text,
+        source: entry ? {
+          start: entry.start,
+          end: entry.end,
+          cited: entry.cited,
+          url: prompt.youtubeUrl ? momentUrl(prompt.youtubeUrl, entry.start) : null,
+          passage: transcriptPassage(segments, entry.start, entry.end)
+        } : null
+      };
+    });
+
+    return res.json({ videoId, paragraphs });
+  } catch (error) {
+    console.error('Error fetching blog sources:', error);
+    return res.status(500).json({ error: 'Failed to fetch blog sources' });
+  }
+});
+
+// Rewrite a single section; returns a proposal and diff without saving
+router.post('/:id/sections/rewrite',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  [
+    body('anchor').isString().notEmpty().withMessage('Section anchor is required'),
+    body('instruction').isString().trim().notEmpty().withMessage('Instruction is required'),
+    body('content').optional().isString()
+  ],
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const blog = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      // The editor sends its unsaved content so accepting the rewrite keeps other edits
+      const { anchor, instruction } = req.body;
+      const content: string = req.body.content ?? blog.content;
+
+      const section = findSection(content, anchor);
+      if (!section) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+
+      const voice = await loadBlogVoice(blog.promptId);
+
+      const original = content.slice(section.start, section.end);
+      const rewritten = await rewriteSection(original, instruction, {
+        title: blog.title,
+        headings: parseSections(content).map(item => item.heading)
+      }, {
+        plan: req.user.subscription.plan,
+        voice,
+        usage,
+        signal: req.signal
+      });
+      const updatedContent = replaceSection(content, section, rewritten);
+
+      // Section rewrites are not charged, but their cost is recorded
+      await settleUsage(req, blog, 'rewriteSection', usage, false);
+
+      return res.json({
+        anchor: section.anchor,
+        heading: section.heading,
+        original,
+        rewritten,
+        content: updatedContent,
+        diff: diffLines(original.trimEnd(), rewritten.trimEnd())
+      });
+    } catch (error) {
+      console.error('Error rewriting section:', error);
+      await recordFailedAction(req, 'rewriteSection', usage);
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to rewrite section' });
+    }
+  }
+);
+
+// Suggest alternative titles for a blog
+router.post('/:id/title-suggestions',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  [body('content').optional().isString()],
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const blog = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      const titles = await generateTitleSuggestions(req.body.content ?? blog.content, {
+        plan: req.user.subscription.plan,
+        usage,
+        signal: req.signal
+      });
+
+      if (titles.length === 0) {
+        await recordFailedAction(req, 'titles', usage);
+        return res.status(502).json({ error: 'Failed to generate title suggestions' });
+      }
+
+      const creditsRemaining = await settleUsage(req, blog, 'titles', usage, true);
+
+      return res.json({ titles, creditsRemaining });
+    } catch (error) {
+      console.error('Error generating title suggestions:', error);
+      await recordFailedAction(req, 'titles', usage);
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to generate title suggestions' });
+    }
+  }
+);
+
+// Enhance a blog following an instruction; returns a preview without saving
+router.post('/:id/enhance',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  [
+    body('instructions').isString().trim().notEmpty().withMessage('Instructions are required'),
+    body('content').optional().isString()
+  ],
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const blog = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      const voice = await loadBlogVoice(blog.promptId);
+      const content = await enhanceBlogContent(req.body.content ?? blog.content, req.body.instructions, {
+        plan: req.user.subscription.plan,
+        voice,
+        usage,
+        signal: req.signal
+      });
+
+      const creditsRemaining = await settleUsage(req, blog, 'enhance', usage, true);
+
+      return res.json({ content, creditsRemaining });
+    } catch (error) {
+      console.error('Error enhancing blog:', error);
+      await recordFailedAction(req, 'enhance', usage);
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to enhance blog' });
+    }
+  }
+);
+
+// List every post in the blog's translation group, flagging translations whose source changed since
+router.get('/:id/translations', attachUser, async (req: AuthRequest, res: Response) => {
+  try {
+    const blog = await Blog.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    if (!blog.translationGroupId) {
+      return res.json({ translations: [] });
+    }
+
+    const group = await Blog.find({
+      userId: req.user._id,
+      translationGroupId: blog.translationGroupId
+    })
+      .select('title content locale status translatedFrom updatedAt')
+      .sort({ createdAt: 1 });
+
+    const hashes = new Map(group.map(item => [item.id, translationSourceHash(item)]));
+
+    const translations = group.map(item => {
+      const sourceId = item.translatedFrom?.blogId.toString();
+      return {
+        _id: item._id,
+        title: item.title,
+        locale: item.locale,
+        status: item.status,
+        updatedAt: item.updatedAt,
+        sourceId: sourceId || null,
+        translatedAt: item.translatedFrom?.translatedAt || null,
+        // A translation whose source was deleted can no longer go stale
+        stale: Boolean(sourceId && hashes.has(sourceId) && hashes.get(sourceId) !== item.translatedFrom?.sourceHash)
+      };
+    });
+
+    return res.json({ translations });
+  } catch (error) {
+    console.error('Error fetching translations:', error);
+    return res.status(500).json({ error: 'Failed to fetch translations' });
+  }
+});
+
+// Generate thread, LinkedIn and newsletter versions of a blog, replacing earlier ones of the same format
+router.post('/:id/repurpose',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  [
+    body('formats').isArray({ min: 1 }).withMessage('Choose at least one format'),
+    body('formats.*').isIn(REPURPOSE_FORMATS).withMessage(`Formats must be among ${REPURPOSE_FORMATS.join(', ')}`),
+    body('ctaUrl').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('CTA link must be an http(s) URL')
+  ],
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const formats: RepurposeFormat[] = Array.from(new Set(req.body.formats));
+      const { ctaUrl } = req.body;
+
+      if (formats.includes('email') && !ctaUrl) {
+        return res.status(400).json({ error: 'A CTA link is required for the email format' });
+      }
+
+      const blog = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      const voice = await loadBlogVoice(blog.promptId);
+
+      const variants = [];
+      for (const format of formats) {
+        variants.push(await repurposeBlog(blog, format, {
+          plan: req.user.subscription.plan,
+          voice,
+          usage,
+          signal: req.signal,
+          ctaUrl
+        }));
+      }
+
+      blog.set('repurposed', [
+        ...blog.repurposed.filter(variant => !formats.includes(variant.format)),
+        ...variants
+      ]);
+      await blog.save();
+
+      const creditsRemaining = await settleUsage(req, blog, 'repurpose', usage, true);
+
+      return res.json({ repurposed: blog.repurposed, creditsRemaining });
+    } catch (error) {
+      console.error('Error repurposing blog:', error);
+      await recordFailedAction(req, 'repurpose', usage);
+
+      if (error instanceof BlogValidationError) {
+        return res.status(502).json({ error: error.message, issues: error.issues });
+      }
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to repurpose blog' });
+    }
+  }
+);
+
+// Generate question/answer pairs for a post, replacing any it has
+router.post('/:id/faq', attachUser, checkSubscriptionLimits, abortOnDisconnect, async (req: AuthRequest, res: Response) => {
+  const usage = new UsageRecorder();
+
+  try {
+    const blog = await Blog.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    const faq = await generateFaq(blog, {
+      plan: req.user.subscription.plan,
+      voice: await loadBlogVoice(blog.promptId),
+      usage,
+      signal: req.signal
+    });
+
+    blog.set('faq', faq);
+    await blog.save();
+
+    const creditsRemaining = await settleUsage(req, blog, 'faq', usage, true);
+
+    return res.json({ faq: blog.faq, creditsRemaining });
+  } catch (error) {
+    console.error('Error generating FAQ:', error);
+    await recordFailedAction(req, 'faq', usage);
+
+    if (error instanceof BlogValidationError) {
+      return res.status(502).json({ error: error.message, issues: error.issues });
+    }
+
+    const llmError = describeLLMError(error);
+    if (llmError) {
+      return res.status(llmError.status).json({ error: llmError.message });
+    }
+
+    return res.status(500).json({ error: 'Failed to generate FAQ' });
+  }
+});
+
+// Translate a blog into another locale as a new draft linked to the source
+router.post('/:id/translations',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  [body('locale').isString().trim().notEmpty().withMessage('Locale is required')],
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const locale = normalizeLocale(req.body.locale);
+      if (!locale) {
+        return res.status(400).json({ error: 'Invalid locale' });
+      }
+
+      let source = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!source) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      // Always translate from the original so translations don't drift through each other
+      if (source.translatedFrom) {
+        const original = await Blog.findOne({ _id: source.translatedFrom.blogId, userId: req.user._id });
+        if (!original) {
+          return res.status(409).json({ error: 'The source of this translation no longer exists' });
+        }
+        source = original;
+      }
+
+      if (source.locale === locale) {
+        return res.status(400).json({ error: `Blog is already in ${locale}` });
+      }
+
+      const groupId = source.translationGroupId || source._id;
+      const existing = await Blog.findOne({ userId: req.user._id, translationGroupId: groupId, locale });
+      if (existing) {
+        return res.status(409).json({
+          error: `A ${locale} translation already exists; re-sync it instead`,
+          blogId: existing._id
+        });
+      }
+
+      const translated = await translateBlog(source, locale, {
+        plan: req.user.subscription.plan,
+        usage,
+        signal: req.signal
+      });
+
+      if (!source.translationGroupId) {
+        source.translationGroupId = source._id;
+        await source.save();
+      }
+
+      const blog = await Blog.create({
+        userId: req.user._id,
+        promptId: source.promptId,
+        title: translated.title,
+        content: translated.content,
+        summary: translated.summary,
+        tags: translated.tags,
+        status: 'draft',
+        seoMeta: translated.seoMeta,
+        locale,
+        translationGroupId: groupId,
+        translatedFrom: {
+          blogId: source._id,
+          sourceHash: translationSourceHash(source),
+          translatedAt: new Date()
+        }
+      });
+
+      const creditsRemaining = await settleUsage(req, blog, 'translate', usage, true);
+
+      return res.status(201).json({ blog, creditsRemaining });
+    } catch (error) {
+      console.error('Error translating blog:', error);
+      await recordFailedAction(req, 'translate', usage);
+
+      if (error instanceof BlogValidationError) {
+        return res.status(502).json({ error: error.message, issues: error.issues });
+      }
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to translate blog' });
+    }
+  }
+);
+
+// Re-translate a stale translation from the current source, replacing its content
+router.post('/:id/translations/sync', attachUser, checkSubscriptionLimits, abortOnDisconnect, async (req: AuthRequest, res: Response) => {
+  const usage = new UsageRecorder();
+
+  try {
+    const blog = await Blog.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    if (!blog.translatedFrom) {
+      return res.status(400).json({ error: 'Blog is not a translation' });
+    }
+
+    const source = await Blog.findOne({ _id: blog.translatedFrom.blogId, userId: req.user._id });
+    if (!source) {
+      return res.status(409).json({ error: 'The source of this translation no longer exists' });
+    }
+
+    const translated = await translateBlog(source, blog.locale, {
+      plan: req.user.subscription.plan,
+      usage,
+      signal: req.signal
+    });
+
+    blog.title = translated.title;
+    blog.content = translated.content;
+    blog.summary = translated.summary;
+    blog.tags = translated.tags;
+    blog.seoMeta = translated.seoMeta;
+    blog.translatedFrom = {
+      blogId: source._id,
+      sourceHash: translationSourceHash(source),
+      translatedAt: new Date()
+    };
+    await blog.save();
+
+    const creditsRemaining = await settleUsage(req, blog, 'translate', usage, true);
+
+    return res.json({ blog, creditsRemaining });
+  } catch (error) {
+    console.error('Error syncing translation:', error);
+    await recordFailedAction(req, 'translate', usage);
+
+    if (error instanceof BlogValidationError) {
+      return res.status(502).json({ error: error.message, issues: error.issues });
+    }
+
+    const llmError = describeLLMError(error);
+    if (llmError) {
+      return res.status(llmError.status).json({ error: llmError.message });
+    }
+
+    return res.status(500).json({ error: 'Failed to sync translation' });
+  }
+});
+
+// Publish/Unpublish blog.
+// Publishing a near-duplicate of an already published post is refused with 409 unless `force` is set.
 router.patch('/:id/publish', attachUser, async (req: AuthRequest, res) => {
   try {
-    const { publish } = req.body;
+    const { publish, force } = req.body;
+
+    if (publish && !force) {
+      const current = await Blog.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!current) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+
+      const similarPosts = await findSimilarBlogs(current, { status: 'published' });
+      if (similarPosts.length) {
+        return res.status(409).json({
+          error: 'This post is very similar to posts you have already published',
+          similarPosts
+        });
+      }
+    }
     
     const blog = await Blog.findOneAndUpdate(
       {
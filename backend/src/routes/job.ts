@@ -0,0 +1,121 @@
+import express from 'express';
+import Job, { IJob } from '../models/Job';
+import { attachUser, AuthRequest } from '../middleware/auth';
+import { getJobDraft, subscribeToJob, JobEvent } from '../services/jobEvents';
+
+const router = express.Router();
+
+// Get generation job status
+router.get('/:id', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('blogId');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    return res.json({
+      id: job._id,
+      status: job.status,
+      promptId: job.promptId,
+      progress: job.progress,
+      blog: job.status === 'succeeded' ? job.blogId : undefined,
+      similarPosts: job.status === 'succeeded' ? job.similarPosts || [] : undefined,
+      error: job.status === 'failed' ? job.error : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      creditsRemaining: req.user.subscription.creditsLimit - req.user.subscription.creditsUsed
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Stream generation progress as Server-Sent Events
+router.get('/:id/stream', attachUser, async (req: AuthRequest, res) => {
+  let unsubscribe = () => {};
+  let finished = false;
+
+  const send = (event: JobEvent) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+  const finish = (event: JobEvent) => {
+    if (finished) return;
+    finished = true;
+    unsubscribe();
+    send(event);
+    res.end();
+  };
+  const finalEvent = (job: IJob): JobEvent | null => {
+    if (job.status === 'succeeded') return { type: 'done', data: { blog: job.blogId, similarPosts: job.similarPosts || [] } };
+    if (job.status === 'failed') return { type: 'failed', data: { error: job.error || 'Failed to generate blog' } };
+    return null;
+  };
+
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('blogId');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const completed = finalEvent(job);
+    if (completed) {
+      return finish(completed);
+    }
+
+    // Subscribing and replaying the draft happen in the same tick, so no token is lost or repeated
+    const jobId = String(job._id);
+    unsubscribe = subscribeToJob(jobId, (event) => {
+      if (event.type === 'done' || event.type === 'failed') {
+        finish(event);
+      } else {
+        send(event);
+      }
+    });
+    req.on('close', unsubscribe);
+
+    send({ type: 'status', data: { status: job.status } });
+    if (job.progress?.stage) {
+      send({ type: 'progress', data: job.progress });
+    }
+    const draft = getJobDraft(jobId);
+    if (draft) {
+      send({ type: 'title', data: { title: draft.title } });
+      send({ type: 'delta', data: { content: draft.content } });
+    }
+
+    // The job may have finished between the first read and the subscription
+    const latest = await Job.findById(jobId).populate('blogId');
+    const latestCompleted = latest && finalEvent(latest);
+    if (latestCompleted) {
+      finish(latestCompleted);
+    }
+    return;
+  } catch (error) {
+    console.error('Error streaming job:', error);
+    unsubscribe();
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to stream job' });
+    }
+    return res.end();
+  }
+});
+
+export default router;
@@ -1,13 +1,193 @@
-import express from 'express';
+import express, { NextFunction, Response } from 'express';
+import multer from 'multer';
+import { isValidObjectId } from 'mongoose';
 import Prompt from '../models/Prompt';
 import Blog from '../models/Blog';
 import User from '../models/User';
+import Job from '../models/Job';
+import VoiceProfile from '../models/VoiceProfile';
+import Template from '../models/Template';
 import { attachUser, checkSubscriptionLimits, AuthRequest } from '../middleware/auth';
-import { generateBlog } from '../services/openai';
+import { abortOnDisconnect } from '../middleware/abort';
+import { generateBlog, generateOutline } from '../services/ai';
+import { BlogValidationError, OutlineSchema, formatIssues } from '../services/blogSchema';
+import { resolveVoiceProfile } from '../services/voice';
+import { renderTemplate } from '../services/template';
+import { workspaceScope } from '../services/workspace';
+import { enqueueGenerationJob, hasCreditForNewJob } from '../services/jobWorker';
+import {
+  findByIdempotencyKey,
+  findCachedGeneration,
+  generationRequestHash,
+  promptSourceText,
+  ReusableGeneration
+} from '../services/generationCache';
+import { describeLLMError, UsageRecorder } from '../services/llm';
+import { recordFailedUsage, recordUsage } from '../services/usageLedger';
+import { findDuplicatesSafely } from '../services/similarPosts';
+import { ArticleError, articlePromptMetadata, fetchArticle } from '../services/article';
+import { DocumentError, documentPromptMetadata, extractDocument, MAX_DOCUMENT_BYTES } from '../services/documents';
+import { normalizeLocale } from '../services/translation';
 import { body, validationResult } from 'express-validator';
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 }
+});
+
+// Form fields arrive as strings; give them the types JSON requests have
+const parseFormFields = (body: Record<string, any>) => {
+  for (const field of ['includeFaq', 'force']) {
+    if (body[field] === 'true' || body[field] === 'false') body[field] = body[field] === 'true';
+  }
+  if (body.voiceProfileId === '' || body.voiceProfileId === 'null') body.voiceProfileId = null;
+  if (typeof body.templateValues === 'string') {
+    try {
+      body.templateValues = JSON.parse(body.templateValues);
+    } catch {
+      body.templateValues = {};
+    }
+  }
+};
+
+// Multipart requests upload a document in `file`; its extracted text and file details become the prompt's source
+const applyDocument = (req: AuthRequest, res: Response, next: NextFunction) => {
+  upload.single('file')(req, res, async (uploadError: unknown) => {
+    if (uploadError) {
+      if (uploadError instanceof multer.MulterError && uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Files can be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB` });
+      }
+      return res.status(400).json({ error: 'Invalid upload' });
+    }
+
+    if (req.is('multipart/form-data')) {
+      parseFormFields(req.body);
+    }
+    if (req.body?.type !== 'document') {
+      return next();
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A document file is required' });
+    }
+
+    try {
+      const document = await extractDocument(req.file);
+      req.body.metadata = documentPromptMetadata(document);
+      delete req.body.youtubeUrl;
+      delete req.body.transcript;
+      delete req.body.segments;
+      return next();
+    } catch (error) {
+      if (error instanceof DocumentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error extracting document:', error);
+      return res.status(500).json({ error: 'Failed to read document' });
+    }
+  });
+};
+
+// With a templateId, the prompt text is rendered from the template and the resolved values are kept for the record
+const applyTemplate = async (req: AuthRequest, res: Response, next: NextFunction) => {
+  try {
+    const { templateId, templateValues } = req.body;
+    if (!templateId) {
+      delete req.body.templateValues;
+      return next();
+    }
+
+    const template = isValidObjectId(templateId)
+      ? await Template.findOne({ _id: templateId, ...workspaceScope(req.user) })
+      : null;
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const rendered = renderTemplate(template, templateValues);
+    if (rendered.missing.length) {
+      return res.status(400).json({ error: 'Missing template values', missing: rendered.missing });
+    }
+
+    req.body.prompt = rendered.text;
+    req.body.templateValues = rendered.values;
+    return next();
+  } catch (error) {
+    console.error('Error applying template:', error);
+    return res.status(500).json({ error: 'Failed to apply template' });
+  }
+};
+
+const promptValidators = [
+  body('type').isIn(['youtube', 'text', 'article', 'document']).withMessage('Invalid prompt type'),
+  body('prompt').notEmpty().withMessage('Prompt is required'),
+  body('articleUrl')
+    .if(body('type').equals('article'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('A valid article URL is required'),
+  body('includeFaq').optional().isBoolean().withMessage('includeFaq must be a boolean'),
+  body('language')
+    .optional({ values: 'falsy' })
+    .custom((value) => typeof value === 'string' && normalizeLocale(value) !== null)
+    .withMessage('language must be a locale such as "es" or "pt-BR"')
+    .customSanitizer(normalizeLocale)
+];
+
+// Article prompts are read server-side: the page is fetched and its extracted text becomes the prompt's source
+const applyArticle = async (req: AuthRequest, res: Response, next: NextFunction) => {
+  if (req.body.type !== 'article' || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  try {
+    const article = await fetchArticle(req.body.articleUrl, { signal: req.signal });
+    req.body.metadata = articlePromptMetadata(article);
+    delete req.body.youtubeUrl;
+    delete req.body.transcript;
+    delete req.body.segments;
+    return next();
+  } catch (error) {
+    if (error instanceof ArticleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching article:', error);
+    return res.status(500).json({ error: 'Failed to fetch article' });
+  }
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const isDuplicateKeyError = (error: any) => error?.code === 11000;
+
+const reusedGeneration = (res: Response, { prompt, job }: ReusableGeneration) =>
+  res.status(200).json({
+    prompt,
+    jobId: job._id,
+    status: job.status,
+    cached: true
+  });
+
+// A retried submission is answered from the generation its Idempotency-Key started, before the source
+// is fetched or parsed again
+const checkIdempotencyKey = async (req: AuthRequest, res: Response, next: NextFunction) => {
+  const idempotencyKey = req.get('Idempotency-Key')?.trim();
+  if (!idempotencyKey) {
+    return next();
+  }
+  if (idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({ error: 'Idempotency-Key is too long' });
+  }
+
+  try {
+    const existing = await findByIdempotencyKey(req.user._id, idempotencyKey);
+    return existing ? reusedGeneration(res, existing) : next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    return res.status(500).json({ error: 'Failed to queue blog generation' });
+  }
+};
+
 // Get all prompts for current user
 router.get('/', attachUser, async (req: AuthRequest, res) => {
   try {
@@ -58,70 +238,257 @@ router.get('/:id', attachUser, async (req: AuthRequest, res) => {
   }
 });
 
-// Create new prompt and generate blog
+// Create new prompt and queue blog generation.
+// A repeated Idempotency-Key, or an identical request within the cache window, returns the
+// existing generation instead of starting another; `force` skips the cache to get a new variant.
 router.post('/',
   attachUser,
   checkSubscriptionLimits,
-  [
-    body('type').isIn(['youtube', 'text']).withMessage('Invalid prompt type'),
-    body('prompt').notEmpty().withMessage('Prompt is required')
-  ],
-  async (req: AuthRequest, res) => {
+  checkIdempotencyKey,
+  applyDocument,
+  applyTemplate,
+  promptValidators,
+  body('force').optional().isBoolean().withMessage('force must be a boolean'),
+  applyArticle,
+  async (req: AuthRequest, res: Response) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { type, prompt, youtubeUrl, transcript, metadata } = req.body;
+      const { type, prompt, youtubeUrl, transcript, segments, metadata, voiceProfileId, templateId, templateValues, includeFaq, language, force } = req.body;
+
+      // Checked by checkIdempotencyKey before the source was read
+      const idempotencyKey = req.get('Idempotency-Key')?.trim() || undefined;
+
+      const voice = await resolveVoiceProfile(req.user, voiceProfileId);
+      if (voiceProfileId && !voice) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+
+      const requestHash = generationRequestHash({
+        type,
+        prompt,
+        transcript: promptSourceText({ type, transcript, metadata }),
+        segments,
+        voiceProfileId: voice?._id,
+        includeFaq,
+        language,
+        plan: req.user.subscription.plan
+      });
+
+      if (!force) {
+        const cached = await findCachedGeneration(req.user._id, requestHash);
+        if (cached) {
+          return reusedGeneration(res, cached);
+        }
+      }
+
+      if (!(await hasCreditForNewJob(req.user))) {
+        return res.status(403).json({
+          error: 'Credit limit exceeded',
+          resetDate: req.user.subscription.resetDate
+        });
+      }
 
       // Create prompt record
-      const newPrompt = await Prompt.create({
-        userId: req.user._id,
+      let newPrompt;
+      try {
+        newPrompt = await Prompt.create({
+          userId: req.user._id,
+          type,
+          prompt,
+          youtubeUrl,
+          transcript,
+          segments,
+          metadata,
+          voiceProfileId: voice?._id,
+          templateId,
+          templateValues,
+          includeFaq,
+          language,
+          idempotencyKey,
+          requestHash
+        });
+      } catch (error) {
+        // A concurrent submission with the same key won the race
+        const existing = isDuplicateKeyError(error) && idempotencyKey
+          ? await findByIdempotencyKey(req.user._id, idempotencyKey)
+          : null;
+        if (existing) {
+          return reusedGeneration(res, existing);
+        }
+        if (isDuplicateKeyError(error)) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+        throw error;
+      }
+
+      // Queue generation; the worker creates the blog and charges the credit on success
+      const job = await enqueueGenerationJob(req.user._id, newPrompt._id);
+
+      return res.status(202).json({
+        prompt: newPrompt,
+        jobId: job._id,
+        status: job.status,
+        cached: false
+      });
+    } catch (error) {
+      console.error('Error creating prompt:', error);
+      return res.status(500).json({ error: 'Failed to queue blog generation' });
+    }
+  }
+);
+
+// Create new prompt with a proposed outline for the user to edit before writing
+router.post('/outline',
+  attachUser,
+  checkSubscriptionLimits,
+  abortOnDisconnect,
+  applyDocument,
+  applyTemplate,
+  promptValidators,
+  applyArticle,
+  async (req: AuthRequest, res: Response) => {
+    const usage = new UsageRecorder();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, prompt, youtubeUrl, transcript, segments, metadata, voiceProfileId, templateId, templateValues, includeFaq, language } = req.body;
+
+      const voice = await resolveVoiceProfile(req.user, voiceProfileId);
+      if (voiceProfileId && !voice) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+
+      const outline = await generateOutline({
         type,
         prompt,
-        youtubeUrl,
         transcript,
-        metadata
+        segments,
+        metadata,
+        language
+      }, {
+        plan: req.user.subscription.plan,
+        voice,
+        usage,
+        signal: req.signal
       });
 
-      // Generate blog using OpenAI
-      const blogData = await generateBlog({
+      const newPrompt = await Prompt.create({
+        userId: req.user._id,
         type,
         prompt,
+        youtubeUrl,
         transcript,
-        metadata
+        segments,
+        metadata,
+        voiceProfileId: voice?._id,
+        templateId,
+        templateValues,
+        includeFaq,
+        language,
+        outline
       });
 
-      // Create blog record
-      const blog = await Blog.create({
+      // Outlines are free; the credit is charged when the outline is expanded
+      await recordUsage({
         userId: req.user._id,
+        plan: req.user.subscription.plan,
+        operation: 'outline',
+        usage,
         promptId: newPrompt._id,
-        title: blogData.title,
-        content: blogData.content,
-        summary: blogData.summary,
-        tags: blogData.tags,
-        status: 'draft',
-        seoMeta: blogData.seoMeta
+        charge: false
       });
 
-      // Update user credits
-      req.user.subscription.creditsUsed += 1;
-      await req.user.save();
+      return res.status(201).json({ prompt: newPrompt, outline });
+    } catch (error) {
+      console.error('Error generating outline:', error);
+      await recordFailedUsage({ userId: req.user._id, plan: req.user.subscription.plan, operation: 'outline', usage });
 
-      res.status(201).json({
-        prompt: newPrompt,
-        blog,
-        creditsRemaining: req.user.subscription.creditsLimit - req.user.subscription.creditsUsed
+      if (error instanceof BlogValidationError) {
+        return res.status(502).json({ error: error.message, issues: error.issues });
+      }
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to generate outline' });
+    }
+  }
+);
+
+// Save the edited outline
+router.put('/:id/outline', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const result = OutlineSchema.safeParse({ sections: req.body.sections });
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid outline', issues: formatIssues(result.error) });
+    }
+
+    const prompt = await Prompt.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user._id
+      },
+      { outline: result.data.sections },
+      { new: true }
+    );
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    return res.json({ prompt });
+  } catch (error) {
+    console.error('Error updating outline:', error);
+    return res.status(500).json({ error: 'Failed to update outline' });
+  }
+});
+
+// Queue generation of the full post from the approved outline
+router.post('/:id/expand',
+  attachUser,
+  checkSubscriptionLimits,
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const prompt = await Prompt.findOne({
+        _id: req.params.id,
+        userId: req.user._id
       });
-    } catch (error: any) {
-      console.error('Error creating prompt:', error);
-      
-      if (error.message?.includes('rate limit')) {
-        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+
+      if (!prompt) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+
+      if (!prompt.outline?.length) {
+        return res.status(400).json({ error: 'Prompt has no outline to expand' });
+      }
+
+      if (!(await hasCreditForNewJob(req.user))) {
+        return res.status(403).json({
+          error: 'Credit limit exceeded',
+          resetDate: req.user.subscription.resetDate
+        });
       }
-      
-      res.status(500).json({ error: 'Failed to generate blog' });
+
+      const job = await enqueueGenerationJob(req.user._id, prompt._id);
+
+      return res.status(202).json({
+        prompt,
+        jobId: job._id,
+        status: job.status
+      });
+    } catch (error) {
+      console.error('Error expanding outline:', error);
+      return res.status(500).json({ error: 'Failed to queue blog generation' });
     }
   }
 );
@@ -130,7 +497,10 @@ router.post('/',
 router.post('/:id/regenerate',
   attachUser,
   checkSubscriptionLimits,
+  abortOnDisconnect,
   async (req: AuthRequest, res) => {
+    const usage = new UsageRecorder();
+
     try {
       const prompt = await Prompt.findOne({
         _id: req.params.id,
@@ -141,12 +511,31 @@ router.post('/:id/regenerate',
         return res.status(404).json({ error: 'Prompt not found' });
       }
 
+      // A voice profile chosen at regeneration time replaces the one the prompt was created with
+      const { voiceProfileId } = req.body;
+      const voice = voiceProfileId !== undefined
+        ? await resolveVoiceProfile(req.user, voiceProfileId)
+        : prompt.voiceProfileId && await VoiceProfile.findById(prompt.voiceProfileId);
+      if (voiceProfileId && !voice) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+
       // Generate new blog
       const blogData = await generateBlog({
         type: prompt.type,
         prompt: prompt.prompt,
         transcript: prompt.transcript,
-        metadata: prompt.metadata
+        segments: prompt.segments,
+        youtubeUrl: prompt.youtubeUrl,
+        metadata: prompt.metadata,
+        outline: prompt.outline,
+        includeFaq: prompt.includeFaq,
+        language: prompt.language
+      }, {
+        plan: req.user.subscription.plan,
+        voice: voice || null,
+        usage,
+        signal: req.signal
       });
 
       // Create new blog record
@@ -158,19 +547,47 @@ router.post('/:id/regenerate',
         summary: blogData.summary,
         tags: blogData.tags,
         status: 'draft',
-        seoMeta: blogData.seoMeta
+        seoMeta: blogData.seoMeta,
+        sourceMap: blogData.sourceMap,
+        faq: blogData.faq,
+        ...(prompt.language && { locale: prompt.language })
       });
 
-      // Update user credits
-      req.user.subscription.creditsUsed += 1;
-      await req.user.save();
+      const credits = await recordUsage({
+        userId: req.user._id,
+        plan: req.user.subscription.plan,
+        operation: 'regenerate',
+        usage,
+        promptId: prompt._id,
+        blogId: blog._id,
+        charge: true
+      });
 
       res.json({
         blog,
-        creditsRemaining: req.user.subscription.creditsLimit - req.user.subscription.creditsUsed
+        // Earlier versions of the same prompt are the usual near-duplicates
+        similarPosts: await findDuplicatesSafely(blog),
+        creditsRemaining: req.user.subscription.creditsLimit - req.user.subscription.creditsUsed - credits
       });
     } catch (error) {
       console.error('Error regenerating blog:', error);
+      await recordFailedUsage({
+        userId: req.user._id,
+        plan: req.user.subscription.plan,
+        operation: 'regenerate',
+        usage,
+        promptId: req.params.id
+      });
+
+      if (error instanceof BlogValidationError) {
+        return res.status(502).json({ error: error.message, issues: error.issues });
+      }
+
+      const llmError = describeLLMError(error);
+      if (llmError) {
+        return res.status(llmError.status).json({ error: llmError.message });
+      }
+
       res.status(500).json({ error: 'Failed to regenerate blog' });
     }
   }
@@ -188,8 +605,9 @@ router.delete('/:id', attachUser, async (req: AuthRequest, res) => {
       return res.status(404).json({ error: 'Prompt not found' });
     }
 
-    // Delete associated blogs
+    // Delete associated blogs and generation jobs
     await Blog.deleteMany({ promptId: prompt._id });
+    await Job.deleteMany({ promptId: prompt._id });
 
     res.json({ message: 'Prompt and associated blogs deleted successfully' });
   } catch (error) {
@@ -0,0 +1,134 @@
+import express, { Response } from 'express';
+import Template from '../models/Template';
+import { attachUser, AuthRequest } from '../middleware/auth';
+import { workspaceScope } from '../services/workspace';
+import { normalizeVariables } from '../services/template';
+import { body, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+const templateValidators = [
+  body('description').optional().isString().isLength({ max: 300 }),
+  body('variables').optional().isArray().withMessage('Variables must be a list'),
+  body('variables.*.name').optional().isString(),
+  body('variables.*.label').optional().isString().isLength({ max: 100 }),
+  body('variables.*.defaultValue').optional().isString().isLength({ max: 500 }),
+  body('shared').optional().isBoolean()
+];
+
+// Get all templates available to the current user
+router.get('/', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const templates = await Template.find(workspaceScope(req.user)).sort({ name: 1 });
+    return res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    return res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// Create template
+router.post('/',
+  attachUser,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('body').isString().trim().notEmpty().withMessage('Template body is required').isLength({ max: 5000 }),
+    ...templateValidators
+  ],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, body: templateBody, variables, shared } = req.body;
+
+      if (shared && !req.user.workspaceId) {
+        return res.status(400).json({ error: 'You are not part of a workspace' });
+      }
+
+      const template = await Template.create({
+        userId: req.user._id,
+        workspaceId: shared ? req.user.workspaceId : undefined,
+        name,
+        description,
+        body: templateBody,
+        variables: normalizeVariables(templateBody, variables)
+      });
+
+      return res.status(201).json(template);
+    } catch (error) {
+      console.error('Error creating template:', error);
+      return res.status(500).json({ error: 'Failed to create template' });
+    }
+  }
+);
+
+// Update template
+router.put('/:id',
+  attachUser,
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength({ max: 100 }),
+    body('body').optional().isString().trim().notEmpty().withMessage('Template body cannot be empty').isLength({ max: 5000 }),
+    ...templateValidators
+  ],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const template = await Template.findOne({
+        _id: req.params.id,
+        ...workspaceScope(req.user)
+      });
+
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const { name, description, body: templateBody, variables, shared } = req.body;
+
+      if (shared && !req.user.workspaceId) {
+        return res.status(400).json({ error: 'You are not part of a workspace' });
+      }
+
+      if (name !== undefined) template.name = name;
+      if (description !== undefined) template.description = description;
+      if (templateBody !== undefined) template.body = templateBody;
+      if (shared !== undefined) template.workspaceId = shared ? req.user.workspaceId : undefined;
+      // Keep variables in step with the placeholders actually in the body
+      template.variables = normalizeVariables(template.body, variables ?? template.variables);
+
+      await template.save();
+
+      return res.json(template);
+    } catch (error) {
+      console.error('Error updating template:', error);
+      return res.status(500).json({ error: 'Failed to update template' });
+    }
+  }
+);
+
+// Delete template
+router.delete('/:id', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const template = await Template.findOneAndDelete({
+      _id: req.params.id,
+      ...workspaceScope(req.user)
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    return res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+export default router;
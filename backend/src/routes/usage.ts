@@ -0,0 +1,102 @@
+import express, { Response } from 'express';
+import UsageEntry from '../models/UsageEntry';
+import { attachUser, AuthRequest } from '../middleware/auth';
+import { tokensPerCredit } from '../services/credits';
+import { query, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Calendar month in UTC; defaults to the current one
+const monthRange = (month?: string) => {
+  const now = new Date();
+  const [year, monthIndex] = month
+    ? month.split('-').map(Number)
+    : [now.getUTCFullYear(), now.getUTCMonth() + 1];
+
+  return {
+    label: `${year}-${String(monthIndex).padStart(2, '0')}`,
+    start: new Date(Date.UTC(year, monthIndex - 1, 1)),
+    end: new Date(Date.UTC(year, monthIndex, 1))
+  };
+};
+
+const sumFields = {
+  operations: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  cost: { $sum: '$cost' },
+  credits: { $sum: '$credits' }
+};
+
+// Token, cost and credit totals for one month, broken down by operation and by model
+router.get('/',
+  attachUser,
+  [query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be formatted as YYYY-MM')],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { label, start, end } = monthRange(req.query.month as string | undefined);
+      const match = { $match: { userId: req.user._id, createdAt: { $gte: start, $lt: end } } };
+
+      const [totals, byOperation, byModel] = await Promise.all([
+        UsageEntry.aggregate([
+          match,
+          { $group: { _id: null, ...sumFields, calls: { $sum: { $size: '$calls' } } } }
+        ]),
+        UsageEntry.aggregate([
+          match,
+          { $group: { _id: '$operation', ...sumFields } },
+          { $sort: { cost: -1 } }
+        ]),
+        UsageEntry.aggregate([
+          match,
+          { $unwind: '$calls' },
+          {
+            $group: {
+              _id: { provider: '$calls.provider', model: '$calls.model' },
+              calls: { $sum: 1 },
+              promptTokens: { $sum: '$calls.promptTokens' },
+              completionTokens: { $sum: '$calls.completionTokens' },
+              cost: { $sum: '$calls.cost' },
+              averageLatencyMs: { $avg: '$calls.latencyMs' }
+            }
+          },
+          { $sort: { cost: -1 } }
+        ])
+      ]);
+
+      const { _id, ...summary } = totals[0] || {
+        _id: null,
+        operations: 0,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        credits: 0
+      };
+
+      return res.json({
+        month: label,
+        totals: summary,
+        byOperation: byOperation.map(({ _id: operation, ...rest }) => ({ operation, ...rest })),
+        byModel: byModel.map(({ _id: key, ...rest }) => ({ ...key, ...rest })),
+        subscription: {
+          plan: req.user.subscription.plan,
+          creditsUsed: req.user.subscription.creditsUsed,
+          creditsLimit: req.user.subscription.creditsLimit,
+          resetDate: req.user.subscription.resetDate,
+          tokensPerCredit: tokensPerCredit(req.user.subscription.plan)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+      return res.status(500).json({ error: 'Failed to fetch usage' });
+    }
+  }
+);
+
+export default router;
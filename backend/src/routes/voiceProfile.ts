@@ -0,0 +1,156 @@
+import express, { Response } from 'express';
+import VoiceProfile from '../models/VoiceProfile';
+import { attachUser, AuthRequest } from '../middleware/auth';
+import { workspaceScope } from '../services/workspace';
+import { body, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+const profileValidators = [
+  body('tone').optional().isString().isLength({ max: 300 }),
+  body('readingLevel').optional().isString().isLength({ max: 100 }),
+  body('pointOfView')
+    .optional()
+    .isIn(['first-person-singular', 'first-person-plural', 'second-person', 'third-person'])
+    .withMessage('Invalid point of view'),
+  body('bannedPhrases').optional().isArray().withMessage('Banned phrases must be a list'),
+  body('preferredCta').optional().isString().isLength({ max: 300 }),
+  body('isDefault').optional().isBoolean(),
+  body('shared').optional().isBoolean()
+];
+
+// Only one default profile per user
+const clearOtherDefaults = (user: any, exceptId: unknown) => {
+  return VoiceProfile.updateMany(
+    { userId: user._id, _id: { $ne: exceptId } },
+    { isDefault: false }
+  );
+};
+
+// Get all voice profiles available to the current user
+router.get('/', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const profiles = await VoiceProfile.find(workspaceScope(req.user)).sort({ name: 1 });
+    return res.json({ profiles });
+  } catch (error) {
+    console.error('Error fetching voice profiles:', error);
+    return res.status(500).json({ error: 'Failed to fetch voice profiles' });
+  }
+});
+
+// Create voice profile
+router.post('/',
+  attachUser,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    ...profileValidators
+  ],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, tone, readingLevel, pointOfView, bannedPhrases, preferredCta, isDefault, shared } = req.body;
+
+      if (shared && !req.user.workspaceId) {
+        return res.status(400).json({ error: 'You are not part of a workspace' });
+      }
+
+      const profile = await VoiceProfile.create({
+        userId: req.user._id,
+        workspaceId: shared ? req.user.workspaceId : undefined,
+        name,
+        tone,
+        readingLevel,
+        pointOfView,
+        bannedPhrases,
+        preferredCta,
+        isDefault: !!isDefault
+      });
+
+      if (profile.isDefault) {
+        await clearOtherDefaults(req.user, profile._id);
+      }
+
+      return res.status(201).json(profile);
+    } catch (error) {
+      console.error('Error creating voice profile:', error);
+      return res.status(500).json({ error: 'Failed to create voice profile' });
+    }
+  }
+);
+
+// Update voice profile
+router.put('/:id',
+  attachUser,
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength({ max: 100 }),
+    ...profileValidators
+  ],
+  async (req: AuthRequest, res: Response) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const profile = await VoiceProfile.findOne({
+        _id: req.params.id,
+        ...workspaceScope(req.user)
+      });
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+
+      const { name, tone, readingLevel, pointOfView, bannedPhrases, preferredCta, isDefault, shared } = req.body;
+
+      if (shared && !req.user.workspaceId) {
+        return res.status(400).json({ error: 'You are not part of a workspace' });
+      }
+
+      if (name !== undefined) profile.name = name;
+      if (tone !== undefined) profile.tone = tone;
+      if (readingLevel !== undefined) profile.readingLevel = readingLevel;
+      if (pointOfView !== undefined) profile.pointOfView = pointOfView;
+      if (bannedPhrases !== undefined) profile.bannedPhrases = bannedPhrases;
+      if (preferredCta !== undefined) profile.preferredCta = preferredCta;
+      if (isDefault !== undefined) profile.isDefault = isDefault;
+      if (shared !== undefined) profile.workspaceId = shared ? req.user.workspaceId : undefined;
+
+      await profile.save();
+
+      if (profile.isDefault) {
+        await clearOtherDefaults(req.user, profile._id);
+      }
+
+      return res.json(profile);
+    } catch (error) {
+      console.error('Error updating voice profile:', error);
+      return res.status(500).json({ error: 'Failed to update voice profile' });
+    }
+  }
+);
+
+// Delete voice profile
+router.delete('/:id', attachUser, async (req: AuthRequest, res) => {
+  try {
+    const profile = await VoiceProfile.findOneAndDelete({
+      _id: req.params.id,
+      ...workspaceScope(req.user)
+    });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+
+    return res.json({ message: 'Voice profile deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting voice profile:', error);
+    return res.status(500).json({ error: 'Failed to delete voice profile' });
+  }
+});
+
+export default router;
@@ -1,86 +1,93 @@
 import express from 'express';
-import { YoutubeTranscript } from 'youtube-transcript';
+import multer from 'multer';
 import { attachUser } from '../middleware/auth';
-import axios from 'axios';
+import {
+  CaptionTrackError,
+  fetchCaptionTracks,
+  fetchVideoMetadata,
+  fetchVideoTranscript,
+  isTranscriptUnavailableError
+} from '../services/youtube';
+import { extractVideoId, parseYouTubeUrl } from '../services/youtubeUrl';
+import { CaptionParseError, MAX_CAPTION_BYTES, parseCaptions, segmentsToTranscript } from '../services/captions';
 
 const router = express.Router();
 
-// Extract video ID from YouTube URL
-const extractVideoId = (url: string): string | null => {
-  const patterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
-    /youtube\.com\/watch\?.*v=([^&\n?#]+)/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) {
-      return match[1];
-    }
-  }
-  
-  return null;
-};
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CAPTION_BYTES, files: 1 }
+});
 
-// Get YouTube video metadata
-const getVideoMetadata = async (videoId: string) => {
+// Caption tracks of a YouTube video, so the transcript's source language and kind can be chosen
+router.post('/tracks', attachUser, async (req, res) => {
   try {
-    // Using YouTube oEmbed API (no API key required)
-    const response = await axios.get(`https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`);
-    return {
-      title: response.data.title,
-      author: response.data.author_name,
-      authorUrl: response.data.author_url,
-      thumbnail: response.data.thumbnail_url
-    };
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'YouTube URL is required' });
+    }
+
+    const link = parseYouTubeUrl(url);
+
+    if (!link) {
+      return res.status(400).json({ error: 'Invalid YouTube URL' });
+    }
+
+    if (!link.videoId) {
+      return res.status(400).json({ error: 'Playlist links are not supported; link to a single video' });
+    }
+
+    const tracks = await fetchCaptionTracks(link.videoId);
+
+    if (tracks.length === 0) {
+      return res.status(404).json({ error: 'No captions available for this video' });
+    }
+
+    return res.json({ videoId: link.videoId, link, tracks });
   } catch (error) {
-    console.error('Error fetching video metadata:', error);
-    return null;
+    console.error('Caption tracks error:', error);
+    return res.status(500).json({ error: 'Failed to list caption tracks' });
   }
-};
+});
 
-// Get transcript from YouTube video
+// Get transcript from YouTube video, from the caption track `trackId` when given
 router.post('/transcript', attachUser, async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, trackId } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'YouTube URL is required' });
     }
 
-    const videoId = extractVideoId(url);
+    const link = parseYouTubeUrl(url);
     
-    if (!videoId) {
+    if (!link) {
       return res.status(400).json({ error: 'Invalid YouTube URL' });
     }
 
-    // Get transcript
-    const transcript = await YoutubeTranscript.fetchTranscript(videoId);
-    
-    if (!transcript || transcript.length === 0) {
-      return res.status(404).json({ error: 'No transcript available for this video' });
+    if (!link.videoId) {
+      return res.status(400).json({ error: 'Playlist links are not supported; link to a single video' });
     }
 
-    // Format transcript
-    const formattedTranscript = transcript
-      .map(item => item.text)
-      .join(' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    if (trackId !== undefined && (typeof trackId !== 'string' || !trackId)) {
+      return res.status(400).json({ error: 'Invalid caption track' });
+    }
 
-    // Get video metadata
-    const metadata = await getVideoMetadata(videoId);
+    const result = await fetchVideoTranscript(link.videoId, { trackId });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'No transcript available for this video' });
+    }
 
-    res.json({
-      videoId,
-      transcript: formattedTranscript,
-      metadata,
-      segments: transcript // Original segments with timestamps
-    });
+    res.json({ ...result, link });
   } catch (error: any) {
     console.error('Transcript error:', error);
+
+    if (error instanceof CaptionTrackError) {
+      return res.status(404).json({ error: error.message, tracks: error.available });
+    }
     
-    if (error.message?.includes('Could not get transcript')) {
+    if (isTranscriptUnavailableError(error)) {
       return res.status(404).json({ error: 'Transcript not available for this video' });
     }
     
@@ -88,6 +95,45 @@ router.post('/transcript', attachUser, async (req, res) => {
   }
 });
 
+// Transcript from an uploaded SRT/WebVTT file (`file`) or a pasted timestamped transcript (`text`), for videos
+// without captions on YouTube or outside it; returns the same shape as /transcript. `url` is the video, if any.
+router.post('/captions', attachUser, (req, res, next) => {
+  upload.single('file')(req, res, (error: unknown) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Caption files can be at most ${MAX_CAPTION_BYTES / (1024 * 1024)} MB` });
+    }
+    return error ? res.status(400).json({ error: 'Invalid upload' }) : next();
+  });
+}, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body?.text;
+    const url = typeof req.body?.url === 'string' && req.body.url.trim() ? req.body.url.trim() : null;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Upload a caption file or paste a transcript' });
+    }
+    if (url && !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: 'Invalid video URL' });
+    }
+
+    const segments = parseCaptions(text);
+    const videoId = url ? extractVideoId(url) : null;
+
+    return res.json({
+      videoId,
+      transcript: segmentsToTranscript(segments),
+      segments,
+      metadata: videoId ? await fetchVideoMetadata(videoId) : null
+    });
+  } catch (error) {
+    if (error instanceof CaptionParseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Caption parsing error:', error);
+    return res.status(500).json({ error: 'Failed to read transcript' });
+  }
+});
+
 // Validate YouTube URL
 router.post('/validate', async (req, res) => {
   try {
@@ -97,20 +143,24 @@ router.post('/validate', async (req, res) => {
       return res.status(400).json({ valid: false, error: 'URL is required' });
     }
 
-    const videoId = extractVideoId(url);
+    const link = parseYouTubeUrl(url);
     
-    if (!videoId) {
+    if (!link) {
       return res.status(200).json({ valid: false, error: 'Invalid YouTube URL format' });
     }
 
+    if (!link.videoId) {
+      return res.status(200).json({ valid: false, link, error: 'Playlist links are not supported; link to a single video' });
+    }
+
     // Try to get metadata to validate the video exists
-    const metadata = await getVideoMetadata(videoId);
+    const metadata = await fetchVideoMetadata(link.videoId);
     
     if (!metadata) {
-      return res.status(200).json({ valid: false, error: 'Video not found' });
+      return res.status(200).json({ valid: false, link, error: 'Video not found' });
     }
 
-    res.json({ valid: true, videoId, metadata });
+    res.json({ valid: true, videoId: link.videoId, link, metadata });
   } catch (error) {
     console.error('Validation error:', error);
     res.status(500).json({ valid: false, error: 'Failed to validate URL' });
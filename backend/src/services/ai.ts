@@ -0,0 +1,887 @@
+import { z } from 'zod';
+import { ChatMessage, getProvider, LLMProvider, meterProvider, UsageRecorder, withAbortSignal } from './llm';
+import { Plan } from '../models/User';
+import {
+  BlogData,
+  BlogDataSchema,
+  BlogValidationError,
+  FaqItem,
+  formatIssues,
+  GeneratedFaqSchema,
+  OutlineSchema,
+  OutlineSection
+} from './blogSchema';
+import { composeVoiceInstructions, VoiceSettings } from './voice';
+import { chunkTranscript, formatTimestamp, isLongTranscript, TranscriptChunk, TranscriptSegment } from './transcriptChunker';
+import { findTranslationIssues, languageName, protectMarkdown, restoreMarkdown } from './translation';
+import {
+  formatTimestampedTranscript,
+  hasTimings,
+  linkCitations,
+  mapParagraphsToTranscript,
+  SourceMapEntry
+} from './transcriptCitations';
+import { extractVideoId } from './youtubeUrl';
+import {
+  EmailDraftSchema,
+  emailVariant,
+  LinkedInDraftSchema,
+  linkedInVariant,
+  LINKEDIN_POST_LIMIT,
+  ThreadDraftSchema,
+  threadVariant
+} from './repurpose';
+import { RepurposedVariant, RepurposeFormat } from '../models/Blog';
+
+interface BlogGenerationParams {
+  type: 'youtube' | 'text' | 'article' | 'document';
+  prompt: string;
+  transcript?: string;
+  segments?: TranscriptSegment[];
+  // Generated posts link their citations to this video
+  youtubeUrl?: string;
+  metadata?: any;
+  // Approved structure the post must follow
+  outline?: OutlineSection[];
+  // Also write a question/answer block for the end of the post
+  includeFaq?: boolean;
+  // Locale to write the post in, when it should not simply follow the source
+  language?: string;
+}
+
+export interface GeneratedBlog extends BlogData {
+  // Transcript passage behind each paragraph, for posts generated from a timed transcript
+  sourceMap?: SourceMapEntry[];
+  faq?: FaqItem[];
+}
+
+export interface BlogStreamDelta {
+  title?: string;
+  content?: string;
+}
+
+export interface GenerationProgress {
+  stage: 'notes' | 'writing' | 'metadata';
+  completed: number;
+  total: number;
+}
+
+export interface GenerationOptions {
+  // Selects the LLM provider configured for the user's plan
+  plan?: Plan;
+  // Brand voice composed into the system prompt
+  voice?: VoiceSettings | null;
+  // Receives model, tokens, latency and cost for every LLM call made
+  usage?: UsageRecorder;
+  // Aborts in-flight and pending LLM calls, e.g. when the client disconnects
+  signal?: AbortSignal;
+}
+
+const providerFor = (options: GenerationOptions) =>
+  meterProvider(withAbortSignal(getProvider(options.plan), options.signal), options.usage);
+
+const withVoice = (systemPrompt: string, voice?: VoiceSettings | null) => {
+  const instructions = voice ? composeVoiceInstructions(voice) : '';
+  return instructions ? `${systemPrompt}\n\n${instructions}` : systemPrompt;
+};
+
+interface BlogGenerationOptions extends GenerationOptions {
+  // Called with the title once it is known and with each chunk of markdown as it arrives
+  onDelta?: (delta: BlogStreamDelta) => void;
+  // Reports map-reduce progress for long transcripts
+  onProgress?: (progress: GenerationProgress) => void;
+}
+
+// Stream the post as markdown with the title on the first line, forwarding tokens as they arrive
+async function streamPost(
+  provider: LLMProvider,
+  systemPrompt: string,
+  userPrompt: string,
+  onDelta?: (delta: BlogStreamDelta) => void
+) {
+  let title: string | null = null;
+  let pending = '';
+  let content = '';
+
+  await provider.stream({
+    purpose: 'blog.draft',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.7,
+    maxTokens: 4000
+  }, (text) => {
+    if (title !== null) {
+      content += text;
+      onDelta?.({ content: text });
+      return;
+    }
+
+    // Hold tokens back until the title line is complete
+    pending += text;
+    const newline = pending.indexOf('\n');
+    if (newline === -1) return;
+
+    title = pending.slice(0, newline).replace(/^#+\s*/, '').trim();
+    onDelta?.({ title });
+
+    const rest = pending.slice(newline + 1);
+    if (rest) {
+      content += rest;
+      onDelta?.({ content: rest });
+    }
+  });
+
+  if (title === null) {
+    title = pending.replace(/^#+\s*/, '').trim();
+    onDelta?.({ title });
+  }
+
+  return { title: title as string, content: content.trim() };
+}
+
+const MAX_REPAIR_ATTEMPTS = Math.max(1, Number(process.env.LLM_REPAIR_ATTEMPTS) || 2);
+
+// Models sometimes wrap a markdown answer in a code fence
+const stripCodeFence = (text: string) => text.trim()
+  .replace(/^```(?:markdown|md)?\n([\s\S]*?)\n```$/, '$1')
+  .trim();
+
+// Malformed JSON is treated as an empty object so the schema reports what is missing
+const parseJsonObject = (text: string): Record<string, any> => {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+// Derive summary, tags and SEO metadata from the finished post
+async function generatePostMetadata(provider: LLMProvider, title: string, content: string) {
+  const completion = await provider.complete({
+    purpose: 'blog.metadata',
+    messages: [
+      {
+        role: 'system',
+        content: 'You are an SEO specialist. Respond with a JSON object with the keys summary, tags and seoMeta (metaTitle, metaDescription, keywords).'
+      },
+      {
+        role: 'user',
+        content: `For the blog post below, create:
+    1. A brief summary (100-150 words)
+    2. 5-7 relevant tags
+    3. SEO metadata (title, description, keywords)
+    Write them in the language of the post.
+
+    Title: ${title}
+
+    ${content}`
+      }
+    ],
+    temperature: 0.5,
+    maxTokens: 800,
+    json: true
+  });
+
+  return parseJsonObject(completion.content);
+}
+
+// Validate the assembled post, asking the model to fix the reported issues a bounded number of times
+async function validateBlogData(provider: LLMProvider, candidate: Record<string, any>): Promise<BlogData> {
+  let result = BlogDataSchema.safeParse(candidate);
+
+  for (let attempt = 1; !result.success && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const issues = formatIssues(result.error);
+    console.warn(`Generated blog failed validation (repair attempt ${attempt}):`, issues);
+
+    // Only send the content back when it is part of the problem; it is by far the largest field
+    const contentInvalid = result.error.issues.some(issue => issue.path[0] === 'content');
+    const { content, ...rest } = candidate;
+
+    const completion = await provider.complete({
+      purpose: 'blog.repair',
+      messages: [
+        {
+          role: 'system',
+          content: 'You fix blog post data so that it passes validation. Respond with the corrected JSON object only, keeping every valid field as it is.'
+        },
+        {
+          role: 'user',
+          content: `This blog post data failed validation.
+
+    Problems:
+    ${issues.map(issue => `- ${issue}`).join('\n')}
+
+    Data:
+    ${JSON.stringify(contentInvalid ? candidate : rest, null, 2)}
+
+    Return a JSON object with the keys title, ${contentInvalid ? 'content (Markdown), ' : ''}summary, tags and seoMeta (metaTitle, metaDescription, keywords).`
+        }
+      ],
+      temperature: 0.2,
+      maxTokens: contentInvalid ? 4000 : 800,
+      json: true
+    });
+
+    const repaired = parseJsonObject(completion.content);
+    candidate = {
+      ...candidate,
+      ...repaired,
+      content: contentInvalid ? repaired.content ?? content : content
+    };
+    result = BlogDataSchema.safeParse(candidate);
+  }
+
+  if (!result.success) {
+    throw new BlogValidationError(formatIssues(result.error));
+  }
+  return result.data;
+}
+
+// Map step: condense one transcript chunk into section notes
+async function summarizeChunk(
+  provider: LLMProvider,
+  chunk: TranscriptChunk,
+  index: number,
+  total: number,
+  metadata?: any,
+  timestamped = false
+) {
+  const completion = await provider.complete({
+    purpose: 'blog.chunkNotes',
+    messages: [
+      {
+        role: 'system',
+        content: 'You take detailed notes on video transcripts for a blog writer. Keep every concrete point, example, number and memorable quote. Do not add information that is not in the transcript.'
+      },
+      {
+        role: 'user',
+        content: `This is part ${index + 1} of ${total} of the transcript of "${metadata?.videoTitle || 'a video'}" (${formatTimestamp(chunk.start)} - ${formatTimestamp(chunk.end)}).
+
+    Write section notes for this part as a Markdown bullet list grouped under short topic headings.${timestamped
+      ? '\n    End every bullet with the [m:ss] timestamp of the transcript line it comes from, exactly as written there.'
+      : ''}
+
+    Transcript:
+    ${timestamped ? formatTimestampedTranscript(chunk.segments) : chunk.text}`
+      }
+    ],
+    temperature: 0.3,
+    maxTokens: 1500
+  });
+
+  return completion.content.trim();
+}
+
+// Map step for long documents: condense one run of sections into notes
+async function summarizeDocumentPart(provider: LLMProvider, text: string, index: number, total: number, title: string) {
+  const completion = await provider.complete({
+    purpose: 'blog.chunkNotes',
+    messages: [
+      {
+        role: 'system',
+        content: 'You take detailed notes on documents for a blog writer. Keep every concrete point, example, number and definition. Do not add information that is not in the document.'
+      },
+      {
+        role: 'user',
+        content: `This is part ${index + 1} of ${total} of the document "${title}".
+
+    Write notes for this part as a Markdown bullet list grouped under the document's own headings.
+
+    Section text:
+    ${text}`
+      }
+    ],
+    temperature: 0.3,
+    maxTokens: 1500
+  });
+
+  return completion.content.trim();
+}
+
+interface SourceMaterial {
+  // What the post is based on, ready to paste into a prompt
+  description: string;
+  // How to treat that material when writing
+  guidance: string;
+  // Set when the material carries [m:ss] timestamps the post can cite
+  citations?: {
+    // Null for videos outside YouTube, or without a URL when the transcript was uploaded
+    videoId: string | null;
+    videoUrl: string | null;
+    segments: TranscriptSegment[];
+  };
+}
+
+// Ask for the post in the requested language, translating from a source transcript in another one
+const languageInstructions = (params: BlogGenerationParams) => {
+  if (!params.language) return '';
+  const target = languageName(params.language);
+  const source = params.metadata?.transcriptLanguage ? languageName(params.metadata.transcriptLanguage) : null;
+
+  return `Write in ${target}, including the title and headings.`
+    + (source && source !== target ? ` The transcript is in ${source}: translate what you use from it, including direct quotes, rather than copying it.` : '');
+};
+
+const CITATION_GUIDANCE = `
+    Ground the post in the video: right after each key claim, statistic or direct quote, add the timestamp of the transcript line it comes from, exactly as written there, e.g. [12:34].
+    Only use timestamps that appear in the material, and put direct quotes in quotation marks.`;
+
+// Describe the prompt's source material, condensing long transcripts into per-chunk notes first
+async function prepareSource(
+  provider: LLMProvider,
+  params: BlogGenerationParams,
+  onProgress?: (progress: GenerationProgress) => void
+): Promise<SourceMaterial> {
+  const { type, prompt, transcript, segments, youtubeUrl, metadata } = params;
+
+  const videoId = youtubeUrl ? extractVideoId(youtubeUrl) : null;
+  // Uploaded caption files carry timings too, including for videos outside YouTube
+  const citations = type === 'youtube' && hasTimings(segments)
+    ? { videoId, videoUrl: youtubeUrl || null, segments }
+    : undefined;
+
+  if (type === 'youtube' && transcript && isLongTranscript(transcript)) {
+    // Long-input mode: notes per chunk, then one post synthesized from all notes
+    const chunks = chunkTranscript(transcript, segments);
+    const notes: string[] = [];
+
+    onProgress?.({ stage: 'notes', completed: 0, total: chunks.length });
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkNotes = await summarizeChunk(provider, chunk, index, chunks.length, metadata, Boolean(citations));
+      notes.push(`### Part ${index + 1} (${formatTimestamp(chunk.start)} - ${formatTimestamp(chunk.end)})\n\n${chunkNotes}`);
+      onProgress?.({ stage: 'notes', completed: index + 1, total: chunks.length });
+    }
+
+    return {
+      description: `These are notes from a long YouTube video. The notes cover the video in order, one part at a time.
+
+    Video Title: ${metadata?.videoTitle || 'Video'}
+    Video Author: ${metadata?.videoAuthor || 'Creator'}
+
+    User Instructions: ${prompt}
+
+    Notes:
+    ${notes.join('\n\n')}`,
+      guidance: 'Synthesize the notes into one coherent post organized by topic rather than by part, and avoid repeating points that appear in several parts.'
+        + (citations ? CITATION_GUIDANCE : ''),
+      citations
+    };
+  }
+
+  if (type === 'youtube' && transcript) {
+    return {
+      description: `This is a YouTube video transcript.
+
+    Video Title: ${metadata?.videoTitle || 'Video'}
+    Video Author: ${metadata?.videoAuthor || 'Creator'}
+
+    User Instructions: ${prompt}
+
+    Transcript:
+    ${citations ? formatTimestampedTranscript(citations.segments) : transcript}`,
+      guidance: 'Transform the transcript into a coherent, engaging blog post that provides value beyond just transcription.'
+        + (citations ? CITATION_GUIDANCE : ''),
+      citations
+    };
+  }
+
+  if (type === 'article' && metadata?.articleText) {
+    const publishedAt = metadata.articlePublishedAt ? new Date(metadata.articlePublishedAt).toISOString().slice(0, 10) : 'Unknown';
+
+    return {
+      description: `This is a web article to base the post on.
+
+    Article Title: ${metadata.articleTitle || 'Article'}
+    Author: ${metadata.articleAuthor || 'Unknown'}
+    Published: ${publishedAt}
+    Source: ${metadata.articleUrl}
+
+    User Instructions: ${prompt}
+
+    Article:
+    ${metadata.articleText}`,
+      guidance: 'Write an original post that builds on the article rather than paraphrasing it, and credit the source with a link to it.'
+    };
+  }
+
+  if (type === 'document' && metadata?.documentText) {
+    const title = metadata.documentTitle || metadata.documentName || 'Document';
+    const guidance = 'Turn the document into a post for a public audience: explain internal terms, leave out internal-only details such as names of teams and unreleased plans, and keep its structure where it helps the reader.';
+
+    if (isLongTranscript(metadata.documentText)) {
+      // Long-input mode: paragraphs are grouped into parts without splitting one, as for long transcripts
+      const paragraphs = metadata.documentText.split(/\n{2,}/).map((text: string) => ({ text, offset: 0, duration: 0 }));
+      const chunks = chunkTranscript(metadata.documentText, paragraphs);
+      const notes: string[] = [];
+
+      onProgress?.({ stage: 'notes', completed: 0, total: chunks.length });
+      for (const [index, chunk] of chunks.entries()) {
+        const text = chunk.segments.map(segment => segment.text).join('\n\n');
+        notes.push(`### Part ${index + 1}\n\n${await summarizeDocumentPart(provider, text, index, chunks.length, title)}`);
+        onProgress?.({ stage: 'notes', completed: index + 1, total: chunks.length });
+      }
+
+      return {
+        description: `These are notes from a long document, one part at a time in document order.
+
+    Document Title: ${title}
+
+    User Instructions: ${prompt}
+
+    Notes:
+    ${notes.join('\n\n')}`,
+        guidance: `${guidance} Synthesize the notes into one coherent post rather than summarizing part by part.`
+      };
+    }
+
+    return {
+      description: `This is a document to base the post on.
+
+    Document Title: ${title}
+
+    User Instructions: ${prompt}
+
+    Document:
+    ${metadata.documentText}`,
+      guidance
+    };
+  }
+
+  return {
+    description: `This is the prompt for the post:
+
+    ${prompt}`,
+    guidance: 'Ensure the content is informative, engaging, and provides real value to readers.'
+  };
+}
+
+const formatOutline = (outline: OutlineSection[]) => outline
+  .map(section => [
+    `${'#'.repeat(section.level)} ${section.heading}`,
+    ...section.bullets.map(bullet => `- ${bullet}`)
+  ].join('\n'))
+  .join('\n\n');
+
+const BLOG_WRITER_PROMPT = `You are BlogTube AI, an expert blog writer that creates engaging, SEO-optimized blog posts.
+  You follow best practices for web content:
+  - Use clear, concise language
+  - Include relevant headings (H2, H3) for structure
+  - Add engaging introduction and conclusion
+  - Optimize for SEO with relevant keywords
+  - Format content in Markdown
+  - Include actionable insights and value for readers`;
+
+export async function generateBlog(params: BlogGenerationParams, options: BlogGenerationOptions = {}): Promise<GeneratedBlog> {
+  const { outline } = params;
+  const { onDelta, onProgress, voice } = options;
+  const provider = providerFor(options);
+
+  try {
+    const source = await prepareSource(provider, params, onProgress);
+
+    const outlineInstructions = outline?.length
+      ? `
+    Follow this approved outline. Use exactly these H2/H3 headings in this order and cover the points listed under each one:
+
+    ${formatOutline(outline)}
+    `
+      : '';
+
+    const userPrompt = `
+    Create a comprehensive blog post based on the material below.
+
+    ${source.description}
+    ${outlineInstructions}
+    Write a well-structured blog post (1500-2500 words) with proper headings.
+    Start with an engaging title on the first line formatted as "# Title", followed by the post body.
+
+    Format the blog content in Markdown with proper headings, paragraphs, and emphasis where needed.
+    ${source.guidance}
+    ${languageInstructions(params)}
+    `;
+
+    onProgress?.({ stage: 'writing', completed: 0, total: 1 });
+    const draft = await streamPost(provider, withVoice(BLOG_WRITER_PROMPT, voice), userPrompt, onDelta);
+    const { title } = draft;
+    const content = source.citations
+      ? linkCitations(draft.content, source.citations.videoUrl, source.citations.segments)
+      : draft.content;
+    onProgress?.({ stage: 'metadata', completed: 0, total: 1 });
+    const postMetadata = await generatePostMetadata(provider, title, content);
+
+    const blogData = await validateBlogData(provider, {
+      title,
+      content,
+      summary: postMetadata.summary,
+      tags: postMetadata.tags,
+      seoMeta: postMetadata.seoMeta
+    });
+
+    return {
+      ...blogData,
+      ...(source.citations && {
+        sourceMap: mapParagraphsToTranscript(blogData.content, source.citations.segments, source.citations.videoId)
+      }),
+      ...(params.includeFaq && { faq: await draftFaq(provider, blogData, voice) })
+    };
+  } catch (error: any) {
+    console.error(`Blog generation with ${provider.name} failed:`, error);
+    throw error;
+  }
+}
+
+// Propose H2/H3 headings with the intent of each section, for the user to edit before writing
+export async function generateOutline(params: BlogGenerationParams, options: BlogGenerationOptions = {}): Promise<OutlineSection[]> {
+  const { onProgress, voice } = options;
+  const provider = providerFor(options);
+
+  const source = await prepareSource(provider, params, onProgress);
+
+  const completion = await provider.complete({
+    purpose: 'blog.outline',
+    messages: [
+      { role: 'system', content: withVoice(BLOG_WRITER_PROMPT, voice) },
+      {
+        role: 'user',
+        content: `
+    Propose an outline for a comprehensive blog post (1500-2500 words) based on the material below.
+
+    ${source.description}
+
+    Respond with a JSON object of the form {"sections": [{"heading": string, "level": 2 | 3, "bullets": string[]}]}.
+    Use level 2 for main sections and level 3 for subsections, in reading order. Each bullet is one point the section should make.
+    Include an introduction and a conclusion.
+    ${languageInstructions(params)}
+    `
+      }
+    ],
+    temperature: 0.5,
+    maxTokens: 1500,
+    json: true
+  });
+
+  const result = OutlineSchema.safeParse(parseJsonObject(completion.content));
+  if (!result.success) {
+    throw new BlogValidationError(formatIssues(result.error), 'outline');
+  }
+  return result.data.sections;
+}
+
+// Generate blog title suggestions; provider failures propagate so callers can report them
+export async function generateTitleSuggestions(content: string, options: GenerationOptions = {}): Promise<string[]> {
+  const completion = await providerFor(options).complete({
+    purpose: 'blog.titles',
+    tier: 'fast',
+    messages: [
+      {
+        role: 'system',
+        content: 'Generate 5 engaging, SEO-friendly blog title suggestions based on the provided content.'
+      },
+      {
+        role: 'user',
+        content: `Generate 5 title suggestions for this blog content:\n\n${content.substring(0, 1000)}`
+      }
+    ],
+    temperature: 0.8,
+    maxTokens: 200
+  });
+
+  const response = completion.content;
+  if (!response) return [];
+
+  // Parse the response and extract titles
+  const titles = response.split('\n')
+    .filter(line => line.trim())
+    .map(line => line.replace(/^\d+\.\s*/, '').replace(/^[-*]\s*/, '').trim())
+    .filter(title => title.length > 0)
+    .slice(0, 5);
+
+  return titles;
+}
+
+// Improve/enhance existing blog content; throws rather than falling back so callers don't bill for a no-op
+export async function enhanceBlogContent(content: string, instructions: string, options: GenerationOptions = {}): Promise<string> {
+  const completion = await providerFor(options).complete({
+    purpose: 'blog.enhance',
+    messages: [
+      {
+        role: 'system',
+        content: withVoice(
+          "You are an expert blog editor. Enhance and improve the provided blog content based on the user's instructions while maintaining the original message and structure. Respond with the full revised post in markdown only.",
+          options.voice
+        )
+      },
+      {
+        role: 'user',
+        content: `Enhance this blog content based on these instructions: ${instructions}\n\nOriginal content:\n${content}`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 4000
+  });
+
+  const enhanced = completion.content.trim();
+  if (!enhanced) {
+    throw new Error('Enhancement returned no content');
+  }
+
+  return enhanced;
+}
+
+// Rewrite one markdown section following an instruction; the caller splices it back into the post
+export async function rewriteSection(
+  section: string,
+  instruction: string,
+  context: { title: string; headings: string[] },
+  options: GenerationOptions = {}
+): Promise<string> {
+  const headingLine = section.split('\n')[0];
+
+  const completion = await providerFor(options).complete({
+    purpose: 'blog.rewriteSection',
+    messages: [
+      {
+        role: 'system',
+        content: withVoice(
+          'You are an expert blog editor. You rewrite a single section of a blog post in Markdown. Return only the rewritten section, starting with its original heading line, with no commentary.',
+          options.voice
+        )
+      },
+      {
+        role: 'user',
+        content: `Blog title: ${context.title}
+Sections in the post: ${context.headings.join(' | ')}
+
+Instruction: ${instruction}
+
+Section to rewrite:
+${section}`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 2000
+  });
+
+  let rewritten = stripCodeFence(completion.content);
+
+  if (!rewritten) {
+    throw new Error('The model returned an empty section');
+  }
+
+  // The heading is the section's identity; keep it even if the model changed or dropped it
+  const lines = rewritten.split('\n');
+  if (/^\s{0,3}#{1,6}\s/.test(lines[0])) {
+    lines[0] = headingLine;
+    rewritten = lines.join('\n');
+  } else {
+    rewritten = `${headingLine}\n\n${rewritten}`;
+  }
+
+  return rewritten;
+}
+
+export interface TranslatableBlog {
+  title: string;
+  content: string;
+  summary?: string;
+  tags?: string[];
+  seoMeta?: {
+    metaTitle?: string;
+    metaDescription?: string;
+    keywords?: string[];
+  };
+}
+
+// Translate the markdown body with code, links and URLs masked, retrying while the structure does not survive
+async function translateMarkdown(provider: LLMProvider, markdown: string, language: string) {
+  const source = protectMarkdown(markdown);
+  let issues: string[] = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const feedback = issues.length
+      ? `A previous translation was rejected for these problems; avoid them:\n${issues.map(issue => `- ${issue}`).join('\n')}\n\n`
+      : '';
+
+    const completion = await provider.complete({
+      purpose: 'blog.translate',
+      messages: [
+        {
+          role: 'system',
+          content: `You are a professional translator of blog posts. Translate Markdown into ${language}, keeping every heading, list, table and emphasis exactly where it is. Tokens of the form %%KEEP_n%% stand for code and links: copy each one unchanged. Respond with the translated Markdown only.`
+        },
+        {
+          role: 'user',
+          content: `Translate this blog post into ${language}.\n\n${feedback}Markdown:\n${source.text}`
+        }
+      ],
+      temperature: 0.3,
+      maxTokens: 8000
+    });
+
+    const translated = stripCodeFence(completion.content);
+    issues = findTranslationIssues(source, translated);
+    if (issues.length === 0) {
+      return restoreMarkdown(translated, source.placeholders);
+    }
+    console.warn(`Translation into ${language} failed validation (attempt ${attempt + 1}):`, issues);
+  }
+
+  throw new BlogValidationError(issues, 'translation');
+}
+
+// Produce a complete post in another locale; the result passes the same schema as generated posts
+export async function translateBlog(blog: TranslatableBlog, locale: string, options: GenerationOptions = {}): Promise<BlogData> {
+  const provider = providerFor(options);
+  const language = languageName(locale);
+
+  const content = await translateMarkdown(provider, blog.content, language);
+
+  const completion = await provider.complete({
+    purpose: 'blog.translateMetadata',
+    messages: [
+      {
+        role: 'system',
+        content: `You are a professional translator. Translate the values of the JSON object into ${language}, keeping its keys and shape. Respond with the JSON object only.`
+      },
+      {
+        role: 'user',
+        content: `Data:
+${JSON.stringify({
+  title: blog.title,
+  summary: blog.summary,
+  tags: blog.tags,
+  seoMeta: blog.seoMeta
+}, null, 2)}`
+      }
+    ],
+    temperature: 0.3,
+    maxTokens: 800,
+    json: true
+  });
+
+  return validateBlogData(provider, { ...parseJsonObject(completion.content), content });
+}
+
+// Ask for a JSON object and validate it, feeding the problems back to the model a bounded number of times
+async function completeValidated<T>(
+  provider: LLMProvider,
+  purpose: string,
+  messages: ChatMessage[],
+  schema: z.ZodType<T>,
+  subject: string
+): Promise<T> {
+  let issues: string[] = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const feedback: ChatMessage[] = issues.length
+      ? [{ role: 'user', content: `The previous answer was rejected for these problems; fix them:\n${issues.map(issue => `- ${issue}`).join('\n')}` }]
+      : [];
+
+    const completion = await provider.complete({
+      purpose,
+      messages: [...messages, ...feedback],
+      temperature: 0.7,
+      maxTokens: 2000,
+      json: true
+    });
+
+    const result = schema.safeParse(parseJsonObject(completion.content));
+    if (result.success) {
+      return result.data;
+    }
+    issues = formatIssues(result.error);
+    console.warn(`Generated ${subject} failed validation (attempt ${attempt + 1}):`, issues);
+  }
+
+  throw new BlogValidationError(issues, subject);
+}
+
+export interface RepurposableBlog {
+  title: string;
+  content: string;
+  summary?: string;
+}
+
+const REPURPOSE_INSTRUCTIONS: Record<RepurposeFormat, string> = {
+  thread: `Write a Twitter/X thread of 4-10 posts. The first post is a hook that makes people want to read on; the last one points readers to the full post.
+    Keep each post under 270 characters and do not number them.
+    Respond with a JSON object of the form {"posts": string[]}.`,
+  linkedin: `Write a LinkedIn post of 150-300 words: a strong first line, short paragraphs, the key takeaways and a closing question that invites comments. At most 3 hashtags, at the end.
+    Stay well under ${LINKEDIN_POST_LIMIT} characters.
+    Respond with a JSON object of the form {"text": string}.`,
+  email: `Write a newsletter teaser that makes subscribers want to read the full post without giving all of it away.
+    The subject is at most 60 characters, the preview text at most 120, the body 60-120 words of plain text without links, and the call to action a short button label such as "Read the full post".
+    Respond with a JSON object of the form {"subject": string, "previewText": string, "body": string, "cta": string}.`
+};
+
+const REPURPOSE_PURPOSES: Record<RepurposeFormat, string> = {
+  thread: 'blog.repurposeThread',
+  linkedin: 'blog.repurposeLinkedIn',
+  email: 'blog.repurposeEmail'
+};
+
+// Turn a post into a platform-sized variant; ctaUrl is required for the email format
+export async function repurposeBlog(
+  blog: RepurposableBlog,
+  format: RepurposeFormat,
+  options: GenerationOptions & { ctaUrl?: string } = {}
+): Promise<RepurposedVariant> {
+  const provider = providerFor(options);
+  const messages: ChatMessage[] = [
+    {
+      role: 'system',
+      content: withVoice('You are a social media editor who adapts blog posts for other channels. Keep the facts of the post, add nothing it does not say, and write natively for the channel.', options.voice)
+    },
+    {
+      role: 'user',
+      content: `${REPURPOSE_INSTRUCTIONS[format]}
+
+Blog title: ${blog.title}
+${blog.summary ? `Summary: ${blog.summary}\n` : ''}
+Blog post:
+${blog.content.substring(0, 12000)}`
+    }
+  ];
+
+  switch (format) {
+    case 'thread':
+      return threadVariant(await completeValidated(provider, REPURPOSE_PURPOSES.thread, messages, ThreadDraftSchema, 'thread'));
+    case 'linkedin':
+      return linkedInVariant(await completeValidated(provider, REPURPOSE_PURPOSES.linkedin, messages, LinkedInDraftSchema, 'LinkedIn post'));
+    case 'email':
+      if (!options.ctaUrl) {
+        throw new Error('A CTA link is required for the email format');
+      }
+      return emailVariant(await completeValidated(provider, REPURPOSE_PURPOSES.email, messages, EmailDraftSchema, 'email teaser'), options.ctaUrl);
+  }
+}
+
+async function draftFaq(provider: LLMProvider, blog: RepurposableBlog, voice?: VoiceSettings | null): Promise<FaqItem[]> {
+  const { faq } = await completeValidated(provider, 'blog.faq', [
+    {
+      role: 'system',
+      content: withVoice('You write FAQ sections for blog posts. Answer only from what the post says.', voice)
+    },
+    {
+      role: 'user',
+      content: `Write 4-6 questions a reader of this post is likely to search for, each with a self-contained answer of 1-3 sentences in plain text.
+Questions are at most 150 characters and answers at most 600. Do not repeat the post's headings as questions. Write in the language of the post.
+Respond with a JSON object of the form {"faq": [{"question": string, "answer": string}]}.
+
+Blog title: ${blog.title}
+
+Blog post:
+${blog.content.substring(0, 12000)}`
+    }
+  ], GeneratedFaqSchema, 'FAQ');
+
+  return faq;
+}
+
+// Question/answer pairs for an existing post
+export async function generateFaq(blog: RepurposableBlog, options: GenerationOptions = {}): Promise<FaqItem[]> {
+  return draftFaq(providerFor(options), blog, options.voice);
+}
@@ -0,0 +1,313 @@
+import { FetchError, getHttpFetcher } from './httpFetcher';
+
+// Longer articles are cut so the source fits the generation prompt
+export const MAX_ARTICLE_CHARS = 60000;
+const MIN_ARTICLE_WORDS = 80;
+
+export interface ArticleMetadata {
+  url: string;
+  title: string;
+  author?: string;
+  publishedAt?: string;
+  siteName?: string;
+  description?: string;
+  // Readable body text, paragraphs separated by blank lines and headings marked with ##
+  text: string;
+  wordCount: number;
+}
+
+export class ArticleError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'ArticleError';
+  }
+}
+
+// Elements dropped with everything inside them
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button', 'select',
+  'nav', 'header', 'footer', 'aside', 'figure', 'head'
+]);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'blockquote', 'pre', 'ul', 'ol', 'li', 'table', 'tr', 'dl', 'dt', 'dd',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr'
+]);
+// Class or id names of share bars, comment threads, related links and similar page furniture
+const BOILERPLATE_PATTERN = /^(nav|navbar|menu|breadcrumbs?|sidebar|footer|header|comments?|share|sharing|social|related|recommended|newsletter|subscribe|signup|promo|advert|ads?|sponsored|cookie|banner|popup|modal|author-bio|tags)([_-]|$)/i;
+
+const ENTITIES: Record<string, string> = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', copy: '©', reg: '®', trade: '™'
+};
+
+export const decodeEntities = (text: string) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+const attribute = (attributes: string, name: string) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3] ?? '').trim() : undefined;
+};
+
+interface Token {
+  kind: 'open' | 'close' | 'text';
+  name: string;
+  attributes: string;
+  text: string;
+  // Offset of the token in the page
+  index: number;
+  end: number;
+}
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+const tokenize = (html: string): Token[] => {
+  const tokens: Token[] = [];
+  // Searched for closing script and style tags; only ASCII is lowercased, so indices match the original
+  const lowered = html.replace(/[A-Z]+/g, letters => letters.toLowerCase());
+  let match: RegExpExecArray | null;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(html))) {
+    const [raw, tagName, attributes = ''] = match;
+    const end = match.index + raw.length;
+
+    if (tagName) {
+      const name = tagName.toLowerCase();
+      tokens.push({ kind: raw[1] === '/' ? 'close' : 'open', name, attributes, text: '', index: match.index, end });
+
+      // Raw text elements end at their closing tag, whatever they contain
+      if (raw[1] !== '/' && (name === 'script' || name === 'style')) {
+        const close = lowered.indexOf(`</${name}`, end);
+        TOKEN_PATTERN.lastIndex = close === -1 ? html.length : close;
+      }
+    } else if (raw[0] !== '<' || raw === '<') {
+      tokens.push({ kind: 'text', name: '', attributes: '', text: raw, index: match.index, end });
+    }
+  }
+  return tokens;
+};
+
+// Index of the token closing the element opened at `start`, or the last token when it is never closed
+const closingIndex = (tokens: Token[], start: number) => {
+  const name = tokens[start].name;
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (tokens[i].name !== name) continue;
+    if (tokens[i].kind === 'open') depth++;
+    if (tokens[i].kind === 'close' && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+};
+
+const isBoilerplate = (token: Token) => {
+  if (SKIPPED_TAGS.has(token.name)) return true;
+  const role = attribute(token.attributes, 'role');
+  if (role && /^(navigation|banner|contentinfo|complementary|dialog)$/i.test(role)) return true;
+  if (attribute(token.attributes, 'aria-hidden') === 'true' || /(^|\s)hidden(\s|$|=)/i.test(token.attributes)) return true;
+  const names = `${attribute(token.attributes, 'class') || ''} ${attribute(token.attributes, 'id') || ''}`;
+  return names.split(/\s+/).some(name => BOILERPLATE_PATTERN.test(name));
+};
+
+const collapse = (text: string) => decodeEntities(text).replace(/\s+/g, ' ').trim();
+
+// Readable text of the tokens between `start` and `end`, one paragraph per block element
+const readableText = (tokens: Token[], start: number, end: number) => {
+  const blocks: string[] = [];
+  let current = '';
+  let prefix = '';
+
+  const flush = () => {
+    const text = collapse(current);
+    if (text) blocks.push(prefix + text);
+    current = '';
+    prefix = '';
+  };
+
+  for (let i = start; i <= end; i++) {
+    const token = tokens[i];
+
+    if (token.kind === 'text') {
+      current += token.text;
+      continue;
+    }
+    // The container itself is kept whatever its classes say
+    if (i > start && token.kind === 'open' && !VOID_TAGS.has(token.name) && isBoilerplate(token)) {
+      i = closingIndex(tokens, i);
+      continue;
+    }
+    if (!BLOCK_TAGS.has(token.name)) continue;
+
+    flush();
+    if (token.kind === 'open') {
+      if (/^h[1-6]$/.test(token.name)) prefix = '## ';
+      else if (token.name === 'li') prefix = '- ';
+      else if (token.name === 'blockquote') prefix = '> ';
+    }
+  }
+  flush();
+
+  // Short lines outside headings and lists are usually bylines, captions and buttons
+  return blocks
+    .filter(block => /^(## |- |> )/.test(block) || block.split(' ').length >= 6 || /[.!?]$/.test(block))
+    .filter((block, index, all) => block !== all[index - 1])
+    .join('\n\n');
+};
+
+const wordCount = (text: string) => text.split(/\s+/).filter(Boolean).length;
+
+// The element holding the article body: the <article> or <main> with the most text, then the body
+const contentRange = (tokens: Token[]): [number, number] => {
+  for (const candidates of [['article'], ['main'], ['body']]) {
+    let best: [number, number] | undefined;
+    let bestWords = 0;
+
+    tokens.forEach((token, index) => {
+      const isMain = token.kind === 'open' && (candidates.includes(token.name)
+        || (candidates[0] === 'main' && attribute(token.attributes, 'role') === 'main'));
+      if (!isMain) return;
+
+      const end = closingIndex(tokens, index);
+      const words = wordCount(readableText(tokens, index, end));
+      if (words > bestWords) {
+        best = [index, end];
+        bestWords = words;
+      }
+    });
+
+    if (best && bestWords >= MIN_ARTICLE_WORDS) return best;
+  }
+  return [0, tokens.length - 1];
+};
+
+const metaContent = (tokens: Token[], ...names: string[]) => {
+  for (const name of names) {
+    const meta = tokens.find(token => token.kind === 'open' && token.name === 'meta'
+      && (attribute(token.attributes, 'property') || attribute(token.attributes, 'name') || '').toLowerCase() === name);
+    const content = meta && attribute(meta.attributes, 'content');
+    if (content) return content;
+  }
+  return undefined;
+};
+
+const elementText = (tokens: Token[], name: string) => {
+  const start = tokens.findIndex(token => token.kind === 'open' && token.name === name);
+  if (start === -1) return undefined;
+  const end = closingIndex(tokens, start);
+  return collapse(tokens.slice(start, end).filter(token => token.kind === 'text').map(token => token.text).join(' ')) || undefined;
+};
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|Report|TechArticle|ScholarlyArticle|WebPage)$/;
+
+// schema.org Article data from JSON-LD blocks, the most reliable metadata when present
+const jsonLdArticle = (html: string) => {
+  const blocks = html.match(/<script[^>]+application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) || [];
+
+  for (const block of blocks) {
+    try {
+      const data = JSON.parse(block.replace(/^<script[^>]*>|<\/script>$/gi, ''));
+      const items: any[] = (Array.isArray(data) ? data : [data]).flatMap(item => item?.['@graph'] || [item]);
+      const article = items.find(item => [].concat(item?.['@type']).some(type => ARTICLE_TYPES.test(type)));
+      if (!article) continue;
+
+      const author = [].concat(article.author || []).map((entry: any) => typeof entry === 'string' ? entry : entry?.name).filter(Boolean);
+      return {
+        title: typeof article.headline === 'string' ? article.headline : undefined,
+        author: author.length ? author.join(', ') : undefined,
+        publishedAt: typeof article.datePublished === 'string' ? article.datePublished : undefined,
+        siteName: typeof article.publisher?.name === 'string' ? article.publisher.name : undefined
+      };
+    } catch {
+      // Malformed JSON-LD is common; fall back to meta tags
+    }
+  }
+  return {};
+};
+
+const normalizeDate = (value?: string) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+// Title, byline, date and readable text of an HTML page
+export const extractArticle = (html: string, url: string): ArticleMetadata => {
+  const tokens = tokenize(html);
+  const jsonLd = jsonLdArticle(html);
+  const [start, end] = contentRange(tokens);
+
+  let text = readableText(tokens, start, end);
+  const words = wordCount(text);
+  if (words < MIN_ARTICLE_WORDS) {
+    throw new ArticleError('Could not find article text on this page', 422);
+  }
+  if (text.length > MAX_ARTICLE_CHARS) {
+    text = text.slice(0, text.lastIndexOf('\n\n', MAX_ARTICLE_CHARS)).trim() || text.slice(0, MAX_ARTICLE_CHARS);
+  }
+
+  const timeElement = tokens.find(token => token.kind === 'open' && token.name === 'time' && attribute(token.attributes, 'datetime'));
+  const title = jsonLd.title
+    || metaContent(tokens, 'og:title', 'twitter:title')
+    || elementText(tokens, 'h1')
+    || elementText(tokens, 'title')
+    || new URL(url).hostname;
+
+  return {
+    url,
+    title: collapse(title),
+    author: jsonLd.author || metaContent(tokens, 'author', 'article:author', 'parsely-author') || undefined,
+    publishedAt: normalizeDate(jsonLd.publishedAt
+      || metaContent(tokens, 'article:published_time', 'datepublished', 'date', 'dc.date')
+      || (timeElement && attribute(timeElement.attributes, 'datetime'))),
+    siteName: jsonLd.siteName || metaContent(tokens, 'og:site_name', 'application-name'),
+    description: metaContent(tokens, 'og:description', 'description', 'twitter:description'),
+    text,
+    wordCount: wordCount(text)
+  };
+};
+
+// Fetch a web page and extract its article
+export const fetchArticle = async (url: string, options: { signal?: AbortSignal } = {}): Promise<ArticleMetadata> => {
+  let page;
+  try {
+    page = await getHttpFetcher().get(url, options);
+  } catch (error) {
+    if (error instanceof FetchError) {
+      throw new ArticleError(error.message, 422);
+    }
+    throw error;
+  }
+
+  if (page.status < 200 || page.status >= 300) {
+    throw new ArticleError(`The page returned HTTP ${page.status}`, 422);
+  }
+
+  if (/^text\/plain/i.test(page.contentType)) {
+    const text = page.body.trim().slice(0, MAX_ARTICLE_CHARS);
+    if (wordCount(text) < MIN_ARTICLE_WORDS) {
+      throw new ArticleError('Could not find article text on this page', 422);
+    }
+    return { url: page.url, title: new URL(page.url).pathname.split('/').pop() || page.url, text, wordCount: wordCount(text) };
+  }
+  if (page.contentType && !/html|xml/i.test(page.contentType)) {
+    throw new ArticleError('The URL does not point to a web page', 422);
+  }
+
+  return extractArticle(page.body, page.url);
+};
+
+// The Prompt.metadata fields an article prompt is stored with
+export const articlePromptMetadata = (article: ArticleMetadata) => ({
+  articleUrl: article.url,
+  articleTitle: article.title,
+  articleAuthor: article.author,
+  articlePublishedAt: article.publishedAt ? new Date(article.publishedAt) : undefined,
+  articleSiteName: article.siteName,
+  articleText: article.text
+});
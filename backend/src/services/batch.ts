@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import Batch, { BatchRowStatus, IBatch, IBatchRow } from '../models/Batch';
+import Job, { JobStatus } from '../models/Job';
+import Prompt from '../models/Prompt';
+import User, { Plan } from '../models/User';
+import { availableCreditsForJobs, enqueueGenerationJob } from './jobWorker';
+import { estimateGenerationCredits } from './credits';
+import { findCachedGeneration, generationRequestHash, promptSourceText } from './generationCache';
+import { fetchVideoTranscript, isTranscriptUnavailableError } from './youtube';
+import { parseYouTubeUrl } from './youtubeUrl';
+import { TranscriptSegment } from './transcriptChunker';
+import { ArticleError, articlePromptMetadata, fetchArticle } from './article';
+
+export const MAX_BATCH_ROWS = 50;
+// Rows whose transcripts or articles are fetched at the same time
+const PREPARE_CONCURRENCY = 3;
+// Same default the dashboard uses for a video without instructions
+const DEFAULT_VIDEO_PROMPT = 'Create a comprehensive blog post from this video';
+const DEFAULT_ARTICLE_PROMPT = 'Create a comprehensive blog post from this article';
+
+const INPUT_COLUMNS = ['url', 'youtube url', 'video', 'topic', 'keyword', 'prompt', 'input'];
+const INSTRUCTION_COLUMNS = ['instructions', 'instruction', 'notes'];
+
+export interface ParsedRow {
+  type: 'youtube' | 'text' | 'article';
+  input: string;
+  instructions?: string;
+  // Set for rows that cannot be generated; they are reported but not charged
+  error?: string;
+}
+
+// Minimal CSV reader: quoted fields, escaped quotes and newlines inside quotes; tab-separated when the first line has tabs
+export const parseCsv = (text: string): string[][] => {
+  const delimiter = text.split('\n')[0].includes('\t') ? '\t' : ',';
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+// One row per URL or topic, with optional instructions in the second column or a column named "instructions"
+export const parseBatchRows = (text: string): ParsedRow[] => {
+  const rows = parseCsv(text);
+  const header = rows[0]?.map(cell => cell.toLowerCase());
+  const hasHeader = !!header && INPUT_COLUMNS.includes(header[0]);
+
+  const inputColumn = hasHeader ? header.findIndex(cell => INPUT_COLUMNS.includes(cell)) : 0;
+  const instructionsColumn = hasHeader ? header.findIndex(cell => INSTRUCTION_COLUMNS.includes(cell)) : 1;
+
+  return rows.slice(hasHeader ? 1 : 0)
+    .filter(cells => cells[inputColumn])
+    .map(cells => {
+      const input = cells[inputColumn];
+      const instructions = instructionsColumn >= 0 ? cells[instructionsColumn] || undefined : undefined;
+
+      if (/^https?:\/\//i.test(input)) {
+        const link = parseYouTubeUrl(input);
+        if (link && !link.videoId) {
+          return { type: 'youtube' as const, input, instructions, error: 'Playlist links are not supported; link to a single video' };
+        }
+        return { type: link ? 'youtube' as const : 'article' as const, input, instructions };
+      }
+      return { type: 'text' as const, input, instructions };
+    });
+};
+
+const promptText = (row: Pick<IBatchRow, 'type' | 'input' | 'instructions'>) => {
+  if (row.type === 'youtube') {
+    return row.instructions || DEFAULT_VIDEO_PROMPT;
+  }
+  if (row.type === 'article') {
+    return row.instructions || DEFAULT_ARTICLE_PROMPT;
+  }
+  return row.instructions ? `${row.input}\n\nInstructions: ${row.instructions}` : row.input;
+};
+
+const updateRow = (batchId: unknown, rowId: unknown, changes: Partial<IBatchRow>) =>
+  Batch.updateOne(
+    { _id: batchId, 'rows._id': rowId },
+    { $set: Object.fromEntries(Object.entries(changes).map(([key, value]) => [`rows.$.${key}`, value])) }
+  );
+
+// Credits a row is expected to cost before its transcript or article is fetched
+export const estimateRowCredits = (row: ParsedRow, plan: Plan | undefined, includeFaq: boolean) =>
+  estimateGenerationCredits(plan, row.type === 'text' ? promptText(row) : null, includeFaq);
+
+// Runs tasks one at a time, in the order they are passed
+const createSerialQueue = () => {
+  let tail: Promise<unknown> = Promise.resolve();
+  return <T>(task: () => Promise<T>): Promise<T> => {
+    const run = tail.then(task);
+    tail = run.catch(() => undefined);
+    return run;
+  };
+};
+
+// Run `task` over the items with at most `limit` running at once
+const forEachBounded = async <T>(items: T[], limit: number, task: (item: T) => Promise<void>) => {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+};
+
+const prepareRow = async (
+  batch: IBatch,
+  row: IBatchRow,
+  plan: Plan,
+  reserve: ReturnType<typeof createSerialQueue>
+) => {
+  try {
+    let source: { youtubeUrl?: string; transcript?: string; segments?: TranscriptSegment[]; metadata?: any } = {};
+
+    if (row.type === 'youtube') {
+      const link = parseYouTubeUrl(row.input)!;
+      const video = await fetchVideoTranscript(link.videoId!);
+      if (!video) {
+        await updateRow(batch._id, row._id, { status: 'failed', error: 'No transcript available for this video' });
+        return;
+      }
+      source = {
+        youtubeUrl: link.url,
+        transcript: video.transcript,
+        segments: video.segments,
+        metadata: { ...video.metadata, transcriptLanguage: video.language ?? undefined }
+      };
+    }
+
+    if (row.type === 'article') {
+      source = { metadata: articlePromptMetadata(await fetchArticle(row.input)) };
+    }
+
+    const prompt = promptText(row);
+    const sourceText = promptSourceText({ type: row.type, ...source });
+    const requestHash = generationRequestHash({
+      type: row.type,
+      prompt,
+      transcript: sourceText,
+      segments: source.segments,
+      voiceProfileId: batch.voiceProfileId,
+      includeFaq: batch.includeFaq,
+      plan
+    });
+
+    const cached = await findCachedGeneration(batch.userId, requestHash);
+    if (cached) {
+      await updateRow(batch._id, row._id, { status: 'queued', promptId: cached.prompt._id, jobId: cached.job._id as mongoose.Types.ObjectId, reused: true });
+      return;
+    }
+
+    // Rows reserve their estimate one at a time, so parallel rows cannot count the same credits as available
+    const estimatedCredits = estimateGenerationCredits(plan, sourceText ?? prompt, batch.includeFaq);
+    await reserve(async () => {
+      const user = await User.findById(batch.userId);
+      const available = user ? await availableCreditsForJobs(user) : 0;
+      if (estimatedCredits > available) {
+        await updateRow(batch._id, row._id, {
+          status: 'failed',
+          estimatedCredits,
+          error: `Not enough credits left for this row: it needs about ${estimatedCredits}, ${Math.max(0, available)} available`
+        });
+        return;
+      }
+
+      const newPrompt = await Prompt.create({
+        userId: batch.userId,
+        type: row.type,
+        prompt,
+        ...source,
+        voiceProfileId: batch.voiceProfileId,
+        includeFaq: batch.includeFaq,
+        requestHash
+      });
+      const job = await enqueueGenerationJob(batch.userId, newPrompt._id, estimatedCredits);
+
+      await updateRow(batch._id, row._id, {
+        status: 'queued',
+        promptId: newPrompt._id,
+        jobId: job._id as mongoose.Types.ObjectId,
+        estimatedCredits
+      });
+    });
+  } catch (error) {
+    console.error(`Error preparing batch ${batch._id} row ${row._id}:`, error);
+    let message = 'Failed to queue generation';
+    if (isTranscriptUnavailableError(error)) message = 'Transcript not available for this video';
+    if (error instanceof ArticleError) message = error.message;
+
+    await updateRow(batch._id, row._id, { status: 'failed', error: message });
+  }
+};
+
+// Turn every pending row into a generation job; the job worker bounds how many generate at once
+export const prepareBatch = async (batch: IBatch, plan: Plan) => {
+  const pending = batch.rows.filter(row => row.status === 'pending');
+  const reserve = createSerialQueue();
+
+  try {
+    await forEachBounded(pending, PREPARE_CONCURRENCY, row => prepareRow(batch, row, plan, reserve));
+  } finally {
+    await Batch.updateOne({ _id: batch._id }, { status: 'queued' });
+  }
+};
+
+// Rows are prepared in memory by the process that accepted the batch; those it had not reached when it stopped are failed
+export const failInterruptedBatches = async () => {
+  const { modifiedCount } = await Batch.updateMany(
+    { status: 'preparing' },
+    {
+      $set: {
+        status: 'queued',
+        'rows.$[row].status': 'failed',
+        'rows.$[row].error': 'Interrupted by a server restart; submit this row again'
+      }
+    },
+    { arrayFilters: [{ 'row.status': 'pending' }] }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Marked ${modifiedCount} interrupted batch(es) as failed`);
+  }
+};
+
+export interface BatchRowView {
+  id: mongoose.Types.ObjectId;
+  type: IBatchRow['type'];
+  input: string;
+  instructions?: string;
+  status: BatchRowStatus | JobStatus;
+  error?: string;
+  reused?: boolean;
+  estimatedCredits?: number;
+  blogId?: mongoose.Types.ObjectId;
+}
+
+// Rows with the status of their generation job, and counts per status
+export const describeBatch = async (batch: IBatch) => {
+  const jobIds = batch.rows.map(row => row.jobId).filter(Boolean);
+  const jobs = await Job.find({ _id: { $in: jobIds } }).select('status blogId error');
+  const jobById = new Map(jobs.map(job => [String(job._id), job]));
+
+  const rows: BatchRowView[] = batch.rows.map(row => {
+    const job = row.jobId ? jobById.get(String(row.jobId)) : undefined;
+    return {
+      id: row._id,
+      type: row.type,
+      input: row.input,
+      instructions: row.instructions,
+      status: job ? job.status : row.status,
+      error: job ? job.error : row.error,
+      reused: row.reused,
+      estimatedCredits: row.estimatedCredits,
+      blogId: job?.status === 'succeeded' ? job.blogId : undefined
+    };
+  });
+
+  const counts: Record<string, number> = {};
+  for (const row of rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+
+  return {
+    id: batch._id,
+    createdAt: batch.createdAt,
+    includeFaq: batch.includeFaq,
+    // Finished once every row has succeeded or failed
+    done: rows.every(row => row.status === 'succeeded' || row.status === 'failed'),
+    counts,
+    rows
+  };
+};
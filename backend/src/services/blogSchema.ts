@@ -0,0 +1,79 @@
+import { z } from 'zod';
+
+// Runtime contract for generated posts; anything that fails it is repaired or rejected, never saved
+export const BlogDataSchema = z.object({
+  title: z.string().trim()
+    .min(5, 'Title must be at least 5 characters')
+    .max(120, 'Title must be at most 120 characters'),
+  content: z.string().trim()
+    .min(1, 'Content must be non-empty markdown'),
+  summary: z.string().trim()
+    .min(1, 'Summary is required')
+    .max(500, 'Summary must be at most 500 characters'),
+  tags: z.array(z.string().trim().min(1, 'Tags must not be empty'))
+    .min(3, 'Provide at least 3 tags')
+    .max(10, 'Provide at most 10 tags'),
+  seoMeta: z.object({
+    metaTitle: z.string().trim()
+      .min(1, 'Meta title is required')
+      .max(70, 'Meta title must be at most 70 characters'),
+    metaDescription: z.string().trim()
+      .min(1, 'Meta description is required')
+      .max(160, 'Meta description must be at most 160 characters'),
+    keywords: z.array(z.string().trim().min(1))
+      .min(1, 'Provide at least 1 keyword')
+      .max(15, 'Provide at most 15 keywords')
+  })
+});
+
+export type BlogData = z.infer<typeof BlogDataSchema>;
+
+export const OutlineSectionSchema = z.object({
+  heading: z.string().trim()
+    .min(1, 'Heading is required')
+    .max(150, 'Heading must be at most 150 characters'),
+  level: z.union([z.literal(2), z.literal(3)]),
+  bullets: z.array(z.string().trim().min(1)).max(10, 'Provide at most 10 bullets per section').default([])
+});
+
+export const OutlineSchema = z.object({
+  sections: z.array(OutlineSectionSchema)
+    .min(1, 'Outline needs at least 1 section')
+    .max(30, 'Outline can have at most 30 sections')
+});
+
+export type OutlineSection = z.infer<typeof OutlineSectionSchema>;
+
+export const FaqItemSchema = z.object({
+  question: z.string().trim()
+    .min(1, 'Question is required')
+    .max(200, 'Question must be at most 200 characters'),
+  answer: z.string().trim()
+    .min(1, 'Answer is required')
+    .max(1000, 'Answer must be at most 1000 characters')
+});
+
+// What the generator must produce
+export const GeneratedFaqSchema = z.object({
+  faq: z.array(FaqItemSchema)
+    .min(3, 'Provide at least 3 questions')
+    .max(8, 'Provide at most 8 questions')
+});
+
+// What users may save after editing
+export const FaqListSchema = z.array(FaqItemSchema).max(20, 'An FAQ can have at most 20 questions');
+
+export type FaqItem = z.infer<typeof FaqItemSchema>;
+
+export class BlogValidationError extends Error {
+  issues: string[];
+
+  constructor(issues: string[], subject: string = 'blog') {
+    super(`Generated ${subject} failed validation: ${issues.join('; ')}`);
+    this.name = 'BlogValidationError';
+    this.issues = issues;
+  }
+}
+
+export const formatIssues = (error: z.ZodError) =>
+  error.issues.map(issue => `${issue.path.join('.') || 'blog'}: ${issue.message}`);
@@ -0,0 +1,109 @@
+import { decodeEntities } from './article';
+import { TranscriptSegment } from './transcriptChunker';
+
+export const MAX_CAPTION_BYTES = 5 * 1024 * 1024;
+// Speaking rate used to estimate how long the last line of a pasted transcript lasts
+const WORDS_PER_SECOND = 2.5;
+
+export class CaptionParseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CaptionParseError';
+  }
+}
+
+// "01:02:03,456", "02:03.456", "1:02:03" or "2:03" in seconds
+const parseClock = (value: string) => {
+  const [clock, fraction = '0'] = value.trim().split(/[.,]/);
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+const CUE_TIMING = /((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+
+// Caption markup: WebVTT voice, class and inline timestamp tags, SRT font tags and ASS-style positioning
+const cleanCueText = (text: string) =>
+  decodeEntities(text.replace(/<v\s+([^>]+)>/gi, '$1: ').replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// SRT and WebVTT: blocks separated by blank lines, each with a "start --> end" line followed by its text
+const parseCues = (text: string): TranscriptSegment[] => {
+  const segments: TranscriptSegment[] = [];
+  let previousLines: string[] = [];
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timingLine = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingLine === -1) continue;
+
+    const [, start, end] = lines[timingLine].match(CUE_TIMING)!;
+    // Auto-generated captions repeat the previous cue's last line while the next one scrolls in
+    const cueLines = lines.slice(timingLine + 1)
+      .map(cleanCueText)
+      .filter(line => line && !previousLines.includes(line));
+    previousLines = lines.slice(timingLine + 1).map(cleanCueText);
+
+    if (cueLines.length === 0) continue;
+    const offset = parseClock(start);
+    segments.push({ text: cueLines.join(' '), offset, duration: Math.max(0, parseClock(end) - offset) });
+  }
+
+  return segments;
+};
+
+const CLOCK = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}';
+// "[1:23] text", "(01:02:03) text" or "1:23 - text"
+const LEADING_TIMESTAMP = new RegExp(`^[\\[(]?(${CLOCK})[\\])]?\\s*[-–—:]?\\s*(.*)$`);
+// A line holding only a timestamp, optionally after a speaker name, with the text on the lines below
+const TIMESTAMP_HEADER = new RegExp(`^(?:(.{1,40}?)\\s+)?[\\[(]?(${CLOCK})[\\])]?:?$`);
+
+// Transcripts copied from YouTube, podcast tools or meeting recorders, with a timestamp per line or paragraph
+const parsePastedTranscript = (text: string): TranscriptSegment[] => {
+  const entries: { offset: number; lines: string[] }[] = [];
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const header = line.match(TIMESTAMP_HEADER);
+    const leading = !header && line.match(LEADING_TIMESTAMP);
+    if (header) {
+      entries.push({ offset: parseClock(header[2]), lines: header[1] ? [`${header[1]}:`] : [] });
+    } else if (leading) {
+      entries.push({ offset: parseClock(leading[1]), lines: [leading[2]] });
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].lines.push(line);
+    }
+  }
+
+  return entries
+    .map(entry => ({ offset: entry.offset, text: entry.lines.join(' ').replace(/\s+/g, ' ').trim() }))
+    .filter(entry => entry.text && !/^[^:]+:$/.test(entry.text))
+    .map((entry, index, all) => {
+      const next = all[index + 1];
+      const duration = next && next.offset > entry.offset
+        ? next.offset - entry.offset
+        : Math.max(1, entry.text.split(' ').length / WORDS_PER_SECOND);
+      return { text: entry.text, offset: entry.offset, duration };
+    });
+};
+
+// Segments of an SRT or WebVTT file or a pasted timestamped transcript, in the shape fetched YouTube transcripts have
+export const parseCaptions = (input: string): TranscriptSegment[] => {
+  const text = input.replace(/^﻿/, '').replace(/\r\n?/g, '\n').trim();
+
+  const segments = CUE_TIMING.test(text) ? parseCues(text) : parsePastedTranscript(text);
+  if (segments.length === 0) {
+    throw new CaptionParseError('No timestamps found. Upload an SRT or VTT file, or paste a transcript with timestamps such as [1:23]');
+  }
+  return segments;
+};
+
+// Plain transcript text of a list of segments
+export const segmentsToTranscript = (segments: TranscriptSegment[]) =>
+  segments
+    .map(segment => segment.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
@@ -0,0 +1,282 @@
+import { parseSections } from './markdownSections';
+
+// Average reading speed in words per minute
+const WORDS_PER_MINUTE = 200;
+const MIN_WORDS = 300;
+// Flesch-Kincaid grade above which general audiences start to struggle
+const MAX_READING_GRADE = 12;
+const MAX_SENTENCE_WORDS = 25;
+// Keyword density (percent of words) outside this range reads as missing or stuffed
+const MIN_KEYWORD_DENSITY = 0.5;
+const MAX_KEYWORD_DENSITY = 3;
+// What search engines typically show before truncating
+const META_TITLE_LENGTH = { min: 30, max: 60 };
+const META_DESCRIPTION_LENGTH = { min: 120, max: 160 };
+// Points an issue of each severity costs the overall score
+const SEVERITY_PENALTY = { error: 15, warning: 7, info: 2 } as const;
+
+export type IssueSeverity = keyof typeof SEVERITY_PENALTY;
+
+export interface AnalysisIssue {
+  // Stable identifier, for clients that want to group or hide issues
+  code: string;
+  severity: IssueSeverity;
+  message: string;
+}
+
+export interface KeywordUsage {
+  keyword: string;
+  count: number;
+  // Percent of the post's words taken up by the keyword
+  density: number;
+}
+
+export interface ContentAnalysis {
+  // 0-100, higher is better
+  score: number;
+  wordCount: number;
+  readTime: number;
+  readability: {
+    fleschKincaidGrade: number;
+    sentences: number;
+    averageSentenceWords: number;
+  };
+  headings: {
+    h2: number;
+    h3: number;
+  };
+  keywords: KeywordUsage[];
+  meta: {
+    titleLength: number;
+    descriptionLength: number;
+  };
+  links: {
+    internal: number;
+    external: number;
+  };
+  issues: AnalysisIssue[];
+}
+
+export interface AnalysisInput {
+  title: string;
+  content: string;
+  seoMeta?: {
+    metaTitle?: string;
+    metaDescription?: string;
+    keywords?: string[];
+  };
+}
+
+const round = (value: number, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The prose of a post, without markup, code or link targets
+export const plainText = (markdown: string) => markdown
+  .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*$/gm, '')
+  .replace(/`[^`\n]*`/g, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/^\s{0,3}(#{1,6}\s+|>\s?|[-*+]\s+|\d+\.\s+)/gm, '')
+  .replace(/[*_~]+/g, '')
+  .trim();
+
+const countWords = (text: string) => text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+
+// English syllable estimate: vowel groups, less a silent final "e", at least one per word
+const countSyllables = (word: string) => {
+  const normalized = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!normalized) return 1;
+  if (normalized.length <= 3) return 1;
+
+  const groups = normalized
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups?.length || 0);
+};
+
+// Prose blocks are split into sentences; headings and list items each count as one
+const countSentences = (markdown: string) => plainText(markdown)
+  .split(/\n+/)
+  .flatMap(line => line.split(/(?<=[.!?])\s+/))
+  .filter(sentence => countWords(sentence).length > 0)
+  .length;
+
+const analyzeReadability = (content: string, words: string[]) => {
+  const sentences = Math.max(1, countSentences(content));
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const wordsPerSentence = words.length / sentences;
+  const grade = words.length
+    ? 0.39 * wordsPerSentence + 11.8 * (syllables / words.length) - 15.59
+    : 0;
+
+  return {
+    fleschKincaidGrade: round(Math.max(0, grade)),
+    sentences,
+    averageSentenceWords: round(wordsPerSentence)
+  };
+};
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const analyzeKeywords = (text: string, keywords: string[], wordCount: number): KeywordUsage[] => {
+  const unique = Array.from(new Set(keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean)));
+
+  return unique.map(keyword => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+    const count = text.match(pattern)?.length || 0;
+    const keywordWords = countWords(keyword).length || 1;
+    return {
+      keyword,
+      count,
+      density: wordCount ? round((count * keywordWords / wordCount) * 100, 2) : 0
+    };
+  });
+};
+
+// Relative links and anchors point into the site; absolute http(s) links point elsewhere
+const countLinks = (content: string) => {
+  const targets = Array.from(content.matchAll(/(?<!!)\[[^\]]*\]\(\s*<?([^)\s>]+)/g)).map(match => match[1]);
+  const external = targets.filter(target => /^https?:\/\//i.test(target)).length;
+  const internal = targets.filter(target => !/^[a-z][a-z\d+.-]*:/i.test(target)).length;
+  return { internal, external };
+};
+
+const headingIssues = (content: string): { counts: ContentAnalysis['headings']; issues: AnalysisIssue[] } => {
+  const sections = parseSections(content);
+  const issues: AnalysisIssue[] = [];
+
+  if (sections.some(section => section.level === 1)) {
+    issues.push({
+      code: 'heading.h1',
+      severity: 'warning',
+      message: 'The title is the page\'s H1; use H2 and below inside the post.'
+    });
+  }
+
+  let previous = 1;
+  for (const section of sections) {
+    if (section.level > previous + 1) {
+      issues.push({
+        code: 'heading.skipped',
+        severity: 'warning',
+        message: `"${section.heading}" is an H${section.level} directly under an H${previous}; don't skip heading levels.`
+      });
+    }
+    if (!section.heading.trim()) {
+      issues.push({ code: 'heading.empty', severity: 'warning', message: 'A heading has no text.' });
+    }
+    previous = section.level;
+  }
+
+  return {
+    counts: {
+      h2: sections.filter(section => section.level === 2).length,
+      h3: sections.filter(section => section.level === 3).length
+    },
+    issues
+  };
+};
+
+const lengthIssue = (
+  code: string,
+  label: string,
+  length: number,
+  range: { min: number; max: number }
+): AnalysisIssue | null => {
+  if (length === 0) {
+    return { code: `${code}.missing`, severity: 'error', message: `Add a ${label}.` };
+  }
+  if (length < range.min) {
+    return { code: `${code}.short`, severity: 'warning', message: `The ${label} is ${length} characters; aim for ${range.min}-${range.max}.` };
+  }
+  if (length > range.max) {
+    return { code: `${code}.long`, severity: 'warning', message: `The ${label} is ${length} characters and will be cut off in search results; keep it under ${range.max}.` };
+  }
+  return null;
+};
+
+// Readability, structure and on-page SEO checks for a post, with an overall score and what to fix
+export const analyzeContent = ({ title, content, seoMeta }: AnalysisInput): ContentAnalysis => {
+  const text = plainText(content);
+  const words = countWords(text);
+  const wordCount = words.length;
+  const issues: AnalysisIssue[] = [];
+
+  if (wordCount < MIN_WORDS) {
+    issues.push({
+      code: 'content.short',
+      severity: 'warning',
+      message: `The post has ${wordCount} words; posts under ${MIN_WORDS} words rarely rank.`
+    });
+  }
+
+  const readability = analyzeReadability(content, words);
+  if (readability.fleschKincaidGrade > MAX_READING_GRADE) {
+    issues.push({
+      code: 'readability.grade',
+      severity: 'warning',
+      message: `Reading level is grade ${readability.fleschKincaidGrade}; shorter sentences and simpler words would bring it to ${MAX_READING_GRADE} or below.`
+    });
+  }
+  if (readability.averageSentenceWords > MAX_SENTENCE_WORDS) {
+    issues.push({
+      code: 'readability.sentences',
+      severity: 'info',
+      message: `Sentences average ${readability.averageSentenceWords} words; break up the longest ones.`
+    });
+  }
+
+  const headings = headingIssues(content);
+  issues.push(...headings.issues);
+  if (headings.counts.h2 === 0 && wordCount >= MIN_WORDS) {
+    issues.push({ code: 'heading.none', severity: 'warning', message: 'Split the post into sections with H2 headings.' });
+  }
+
+  const keywords = analyzeKeywords(text, seoMeta?.keywords || [], wordCount);
+  if (keywords.length === 0) {
+    issues.push({ code: 'keywords.missing', severity: 'info', message: 'Add target keywords to check how the post uses them.' });
+  }
+  for (const usage of keywords) {
+    if (usage.count === 0) {
+      issues.push({ code: 'keywords.unused', severity: 'warning', message: `The keyword "${usage.keyword}" does not appear in the post.` });
+    } else if (usage.density < MIN_KEYWORD_DENSITY) {
+      issues.push({ code: 'keywords.sparse', severity: 'info', message: `"${usage.keyword}" appears ${usage.count} time(s) (${usage.density}%); use it a little more.` });
+    } else if (usage.density > MAX_KEYWORD_DENSITY) {
+      issues.push({ code: 'keywords.stuffed', severity: 'warning', message: `"${usage.keyword}" makes up ${usage.density}% of the post, which reads as keyword stuffing; keep it under ${MAX_KEYWORD_DENSITY}%.` });
+    }
+  }
+  if (keywords.length && !title.toLowerCase().includes(keywords[0].keyword)) {
+    issues.push({ code: 'keywords.title', severity: 'info', message: `Put the main keyword "${keywords[0].keyword}" in the title.` });
+  }
+
+  const meta = {
+    titleLength: (seoMeta?.metaTitle || title).trim().length,
+    descriptionLength: (seoMeta?.metaDescription || '').trim().length
+  };
+  const titleIssue = lengthIssue('meta.title', 'meta title', meta.titleLength, META_TITLE_LENGTH);
+  const descriptionIssue = lengthIssue('meta.description', 'meta description', meta.descriptionLength, META_DESCRIPTION_LENGTH);
+  issues.push(...[titleIssue, descriptionIssue].filter((issue): issue is AnalysisIssue => !!issue));
+
+  const links = countLinks(content);
+  if (links.internal === 0) {
+    issues.push({ code: 'links.internal', severity: 'info', message: 'Link to related posts on your site.' });
+  }
+  if (links.external === 0) {
+    issues.push({ code: 'links.external', severity: 'info', message: 'Link to at least one authoritative source.' });
+  }
+
+  const penalty = issues.reduce((total, issue) => total + SEVERITY_PENALTY[issue.severity], 0);
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    wordCount,
+    readTime: Math.ceil(wordCount / WORDS_PER_MINUTE),
+    readability,
+    headings: headings.counts,
+    keywords,
+    meta,
+    links,
+    issues
+  };
+};
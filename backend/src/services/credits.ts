@@ -0,0 +1,29 @@
+import { Plan } from '../models/User';
+
+// Tokens one credit buys on each plan; CREDIT_TOKENS_<PLAN> overrides the default
+const DEFAULT_TOKENS_PER_CREDIT: Record<Plan, number> = {
+  free: 20000,
+  pro: 40000,
+  enterprise: 80000
+};
+
+export const tokensPerCredit = (plan: Plan = 'free') =>
+  Number(process.env[`CREDIT_TOKENS_${plan.toUpperCase()}`]) || DEFAULT_TOKENS_PER_CREDIT[plan];
+
+// Charges scale with tokens consumed; every charged operation costs at least one credit
+export const creditsForTokens = (plan: Plan | undefined, tokens: number) =>
+  Math.max(1, Math.ceil(tokens / tokensPerCredit(plan)));
+
+// Text runs about four characters a token in English and fewer in other scripts; three keeps estimates high
+const CHARS_PER_TOKEN = 3;
+// Prompts, the written post (1500-2500 words), SEO metadata and a validation round trip
+const GENERATION_TOKENS = 8000;
+const FAQ_TOKENS = 1500;
+// Assumed size of a transcript or article that has not been fetched yet, about a 40-minute video
+const UNFETCHED_SOURCE_TOKENS = 10000;
+
+// Credits a generation is expected to cost, from its source text, or a typical source when it is not known yet
+export const estimateGenerationCredits = (plan: Plan | undefined, source: string | null, includeFaq = false) =>
+  creditsForTokens(plan, (source === null ? UNFETCHED_SOURCE_TOKENS : Math.ceil(source.length / CHARS_PER_TOKEN))
+    + GENERATION_TOKENS
+    + (includeFaq ? FAQ_TOKENS : 0));
@@ -0,0 +1,179 @@
+import path from 'path';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { decodeEntities } from './article';
+
+export const MAX_DOCUMENT_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 10) * 1024 * 1024;
+// Longer documents are summarized section by section before writing, but an upper bound keeps that affordable
+export const MAX_DOCUMENT_CHARS = 200000;
+const MIN_DOCUMENT_WORDS = 30;
+
+export type DocumentFormat = 'pdf' | 'docx' | 'markdown' | 'text';
+
+export interface DocumentHeading {
+  level: number;
+  text: string;
+}
+
+export interface ExtractedDocument {
+  fileName: string;
+  format: DocumentFormat;
+  size: number;
+  title: string;
+  headings: DocumentHeading[];
+  // Markdown-style text: paragraphs separated by blank lines, headings marked with #
+  text: string;
+  pageCount?: number;
+  wordCount: number;
+}
+
+export class DocumentError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'DocumentError';
+  }
+}
+
+const FORMATS_BY_EXTENSION: Record<string, DocumentFormat> = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+
+const FORMATS_BY_MIME_TYPE: Record<string, DocumentFormat> = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text'
+};
+
+// Browsers report Markdown inconsistently, so the extension wins when it is known
+export const documentFormat = (fileName: string, mimeType?: string): DocumentFormat | null =>
+  FORMATS_BY_EXTENSION[path.extname(fileName).toLowerCase()] ?? FORMATS_BY_MIME_TYPE[mimeType?.split(';')[0] ?? ''] ?? null;
+
+const wordCount = (text: string) => text.split(/\s+/).filter(Boolean).length;
+
+const titleFromFileName = (fileName: string) =>
+  path.basename(fileName, path.extname(fileName)).replace(/[-_]+/g, ' ').trim() || 'Document';
+
+const markdownHeadings = (text: string): DocumentHeading[] =>
+  Array.from(text.matchAll(/^(#{1,6})\s+(.+?)\s*#*\s*$/gm), match => ({ level: match[1].length, text: match[2] }));
+
+const extractMarkdown = (source: string) => {
+  const frontMatter = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  const text = (frontMatter ? source.slice(frontMatter[0].length) : source).replace(/\r\n/g, '\n').trim();
+  const title = frontMatter?.[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1];
+  return { text, title };
+};
+
+// Mammoth maps Word heading styles to <h1>-<h6>; keep those and paragraph breaks, drop the rest of the markup
+const docxHtmlToText = (html: string) => html
+  .replace(/<h([1-6])[^>]*>/gi, (_, level) => `\n\n${'#'.repeat(Number(level))} `)
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<\/(p|h[1-6]|li|tr|table|ul|ol)>/gi, '\n\n')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, ' | ')
+  .replace(/<[^>]+>/g, '')
+  .split('\n')
+  .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const extractDocx = async (buffer: Buffer) => {
+  const { value } = await mammoth.convertToHtml({ buffer });
+  return { text: docxHtmlToText(value) };
+};
+
+interface OutlineNode {
+  title: string;
+  items?: OutlineNode[];
+}
+
+const flattenOutline = (nodes: OutlineNode[] = [], level = 1): DocumentHeading[] =>
+  nodes.flatMap(node => [{ level, text: node.title.trim() }, ...flattenOutline(node.items, level + 1)]);
+
+// PDFs carry no paragraph structure; lines are rejoined, page markers dropped and words hyphenated across lines mended
+const normalizePdfText = (text: string) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/^\s*-- \d+ of \d+ --\s*$/gm, '\n')
+  .replace(/(\w)-\n(\w)/g, '$1$2')
+  .replace(/([^\n.!?:])\n(?=[a-z])/g, '$1 ')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const extractPdf = async (buffer: Buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const info = await parser.getInfo();
+    const result = await parser.getText();
+    return {
+      text: normalizePdfText(result.text),
+      title: typeof info.info?.Title === 'string' ? info.info.Title.trim() : undefined,
+      headings: info.outline ? flattenOutline(info.outline) : undefined,
+      pageCount: result.total
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Text and headings of an uploaded PDF, Word, Markdown or plain-text file
+export const extractDocument = async (file: { buffer: Buffer; originalname: string; mimetype?: string }): Promise<ExtractedDocument> => {
+  const format = documentFormat(file.originalname, file.mimetype);
+  if (!format) {
+    throw new DocumentError('Upload a PDF, DOCX, Markdown or TXT file', 415);
+  }
+
+  let extracted: { text: string; title?: string; headings?: DocumentHeading[]; pageCount?: number };
+  try {
+    if (format === 'pdf') {
+      extracted = await extractPdf(file.buffer);
+    } else if (format === 'docx') {
+      extracted = await extractDocx(file.buffer);
+    } else if (format === 'markdown') {
+      extracted = extractMarkdown(file.buffer.toString('utf8'));
+    } else {
+      extracted = { text: file.buffer.toString('utf8').replace(/\r\n/g, '\n').trim() };
+    }
+  } catch (error) {
+    console.error(`Error reading ${format} upload:`, error);
+    throw new DocumentError(`Could not read this ${format === 'text' ? 'text' : format.toUpperCase()} file`, 422);
+  }
+
+  let text = extracted.text;
+  if (wordCount(text) < MIN_DOCUMENT_WORDS) {
+    // Scanned PDFs are images of text and come out empty
+    throw new DocumentError(format === 'pdf' ? 'No text found; scanned PDFs are not supported' : 'The document has too little text', 422);
+  }
+  if (text.length > MAX_DOCUMENT_CHARS) {
+    text = text.slice(0, text.lastIndexOf('\n\n', MAX_DOCUMENT_CHARS)).trim() || text.slice(0, MAX_DOCUMENT_CHARS);
+  }
+
+  const headings = extracted.headings?.length ? extracted.headings : markdownHeadings(text);
+  return {
+    fileName: path.basename(file.originalname),
+    format,
+    size: file.buffer.length,
+    title: extracted.title || headings.find(heading => heading.level === 1)?.text || titleFromFileName(file.originalname),
+    headings,
+    text,
+    pageCount: extracted.pageCount,
+    wordCount: wordCount(text)
+  };
+};
+
+// The Prompt.metadata fields a document prompt is stored with
+export const documentPromptMetadata = (document: ExtractedDocument) => ({
+  documentName: document.fileName,
+  documentFormat: document.format,
+  documentSize: document.size,
+  documentPages: document.pageCount,
+  documentTitle: document.title,
+  documentHeadings: document.headings.map(heading => `${'#'.repeat(heading.level)} ${heading.text}`),
+  documentText: document.text
+});
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Prompt, { IPrompt } from '../models/Prompt';
+import Job, { IJob } from '../models/Job';
+import Blog from '../models/Blog';
+import { Plan } from '../models/User';
+import { notifyJobQueued } from './jobWorker';
+
+// Identical requests within this window reuse the earlier generation
+const CACHE_WINDOW_MS = (Number(process.env.GENERATION_CACHE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+// A keyed prompt still without a job after this long lost it to a crash between the two writes,
+// rather than having its job created right now
+const ORPHANED_PROMPT_MS = 30 * 1000;
+
+const sha256 = (value: string) => crypto.createHash('sha256').update(value).digest('hex');
+
+export interface GenerationRequest {
+  type: string;
+  prompt: string;
+  transcript?: string;
+  // Timings decide the source map and the timestamps the post cites
+  segments?: { offset: number; duration: number }[];
+  voiceProfileId?: unknown;
+  includeFaq?: boolean;
+  language?: string;
+  // The plan selects the provider and model, so it is part of the settings
+  plan?: Plan;
+}
+
+// The text a prompt's post is based on: the transcript, or the extracted article or document
+export const promptSourceText = (prompt: { type: string; transcript?: string; metadata?: { articleText?: string; documentText?: string } }) => {
+  if (prompt.type === 'article') return prompt.metadata?.articleText;
+  if (prompt.type === 'document') return prompt.metadata?.documentText;
+  return prompt.transcript;
+};
+
+// Fingerprint of everything that determines the generated post
+export const generationRequestHash = (request: GenerationRequest) => sha256(JSON.stringify({
+  type: request.type,
+  prompt: request.prompt.trim(),
+  transcript: request.transcript ? sha256(request.transcript) : null,
+  voiceProfileId: request.voiceProfileId ? String(request.voiceProfileId) : null,
+  plan: request.plan || null,
+  // Only present when set, so fingerprints of requests without segments, an FAQ or a language are unchanged
+  ...(request.segments?.length && {
+    segments: sha256(JSON.stringify(request.segments.map(segment => [segment.offset, segment.duration])))
+  }),
+  ...(request.includeFaq && { includeFaq: true }),
+  ...(request.language && { language: request.language })
+}));
+
+export interface ReusableGeneration {
+  prompt: IPrompt;
+  job: IJob;
+}
+
+const latestJob = (promptId: mongoose.Types.ObjectId) =>
+  Job.findOne({ promptId }).sort({ createdAt: -1 });
+
+// The prompt's generation is still usable if it is in flight or produced a post that still exists
+const isReusable = async (job: IJob | null) => {
+  if (!job || job.status === 'failed') return false;
+  if (job.status === 'succeeded') return Boolean(job.blogId && await Blog.exists({ _id: job.blogId }));
+  return true;
+};
+
+// The generation an idempotency key was first used for, whatever its outcome. An orphaned prompt gets its
+// job now, so retries finish the generation instead of conflicting with the key for good.
+export const findByIdempotencyKey = async (userId: unknown, idempotencyKey: string): Promise<ReusableGeneration | null> => {
+  const prompt = await Prompt.findOne({ userId, idempotencyKey });
+  if (!prompt) return null;
+
+  const job = await latestJob(prompt._id);
+  if (job) return { prompt, job };
+  if (Date.now() - prompt.createdAt.getTime() < ORPHANED_PROMPT_MS) return null;
+
+  // Upserted so concurrent retries agree on a single job
+  const requeued = await Job.findOneAndUpdate(
+    { promptId: prompt._id },
+    { $setOnInsert: { userId: prompt.userId, promptId: prompt._id } },
+    { upsert: true, new: true }
+  );
+  notifyJobQueued();
+  return { prompt, job: requeued };
+};
+
+// The newest in-flight or successful generation of an identical request inside the cache window
+export const findCachedGeneration = async (userId: unknown, requestHash: string): Promise<ReusableGeneration | null> => {
+  const prompts = await Prompt.find({
+    userId,
+    requestHash,
+    createdAt: { $gte: new Date(Date.now() - CACHE_WINDOW_MS) }
+  }).sort({ createdAt: -1 }).limit(5);
+
+  for (const prompt of prompts) {
+    const job = await latestJob(prompt._id);
+    if (job && await isReusable(job)) {
+      return { prompt, job };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,164 @@
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS) || 10000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+export interface FetchedPage {
+  // Final URL after redirects
+  url: string;
+  status: number;
+  contentType: string;
+  body: string;
+}
+
+export interface HttpFetcher {
+  get(url: string, options?: { signal?: AbortSignal }): Promise<FetchedPage>;
+}
+
+export class FetchError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FetchError';
+  }
+}
+
+const isPrivateIPv4 = (address: string) => {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 100 && b >= 64 && b <= 127);
+};
+
+const isPrivateAddress = (address: string) => {
+  if (net.isIPv4(address)) return isPrivateIPv4(address);
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) return isPrivateIPv4(normalized.slice(7));
+  return normalized === '::' || normalized === '::1'
+    || normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+};
+
+const PRIVATE_HOST_MESSAGE = 'URLs on private networks cannot be fetched';
+const PRIVATE_HOST_CODE = 'EPRIVATEHOST';
+
+// Server-side fetches of user-supplied URLs must not reach the internal network. Host names are checked
+// in the lookup the socket connects with, so a second DNS answer cannot swap in a private address.
+const publicLookup = ((hostname: string, options: dns.LookupOptions, callback: (...args: any[]) => void) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(Object.assign(new Error(PRIVATE_HOST_MESSAGE), { code: PRIVATE_HOST_CODE }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}) as net.LookupFunction;
+
+// A proxy would resolve the target itself, out of reach of the lookup
+const publicRequestOptions = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  proxy: false as const
+};
+
+// IP literals never reach the lookup, so they are checked directly
+const assertPublicAddress = (url: URL) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new FetchError(PRIVATE_HOST_MESSAGE);
+  }
+};
+
+const describeRequestError = (error: any) => {
+  const code = error?.cause?.code ?? error?.code;
+  if (code === PRIVATE_HOST_CODE) return PRIVATE_HOST_MESSAGE;
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') return 'The site could not be found';
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT') return 'The page took too long to respond';
+  return 'The page could not be reached';
+};
+
+const parseUrl = (url: string, base?: URL) => {
+  try {
+    return new URL(url, base);
+  } catch {
+    throw new FetchError(base ? 'The page redirected to an invalid URL' : 'Invalid URL');
+  }
+};
+
+interface FetcherOptions {
+  timeoutMs?: number;
+  maxBytes?: number;
+  // Allow localhost and private addresses, e.g. for a local fixture server
+  allowPrivateHosts?: boolean;
+}
+
+// Fetches pages over HTTP(S), following redirects itself so every hop is checked
+export const createHttpFetcher = ({
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  allowPrivateHosts = false
+}: FetcherOptions = {}): HttpFetcher => ({
+  async get(url, options = {}) {
+    let current = parseUrl(url);
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+        throw new FetchError('Only http and https URLs can be fetched');
+      }
+      if (!allowPrivateHosts) {
+        assertPublicAddress(current);
+      }
+
+      let response;
+      try {
+        response = await axios.get<string>(current.toString(), {
+          timeout: timeoutMs,
+          maxContentLength: maxBytes,
+          maxRedirects: 0,
+          responseType: 'text',
+          signal: options.signal,
+          validateStatus: () => true,
+          ...(!allowPrivateHosts && publicRequestOptions),
+          headers: {
+            'User-Agent': 'BlogTubeBot/1.0 (+https://github.com/blogtube)',
+            Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5'
+          }
+        });
+      } catch (error: any) {
+        throw new FetchError(describeRequestError(error));
+      }
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        current = parseUrl(location, current);
+        continue;
+      }
+
+      return {
+        url: current.toString(),
+        status: response.status,
+        contentType: String(response.headers['content-type'] || ''),
+        body: typeof response.data === 'string' ? response.data : String(response.data ?? '')
+      };
+    }
+
+    throw new FetchError('The page redirected too many times');
+  }
+});
+
+let fetcher: HttpFetcher = createHttpFetcher({
+  allowPrivateHosts: process.env.FETCH_ALLOW_PRIVATE_HOSTS === 'true'
+});
+
+export const getHttpFetcher = () => fetcher;
+
+// Swap the fetcher, e.g. for one pointed at a fixture server
+export const setHttpFetcher = (next: HttpFetcher) => {
+  fetcher = next;
+};
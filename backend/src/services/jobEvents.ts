@@ -0,0 +1,49 @@
+import { EventEmitter } from 'events';
+import { IJob } from '../models/Job';
+
+export type JobEvent =
+  | { type: 'status'; data: { status: string } }
+  | { type: 'progress'; data: { stage: string; completed: number; total: number } }
+  | { type: 'title'; data: { title: string } }
+  | { type: 'delta'; data: { content: string } }
+  | { type: 'done'; data: { blog: any; similarPosts?: IJob['similarPosts'] } }
+  | { type: 'failed'; data: { error: string } };
+
+interface JobDraft {
+  title: string;
+  content: string;
+}
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+// Partial output of running jobs, so late subscribers can catch up before receiving new tokens
+const drafts = new Map<string, JobDraft>();
+
+export const publishJobEvent = (jobId: string, event: JobEvent) => {
+  if (event.type === 'title' || event.type === 'delta') {
+    const draft = drafts.get(jobId) || { title: '', content: '' };
+    if (event.type === 'title') {
+      draft.title = event.data.title;
+    } else {
+      draft.content += event.data.content;
+    }
+    drafts.set(jobId, draft);
+  }
+
+  if (event.type === 'done' || event.type === 'failed') {
+    drafts.delete(jobId);
+  }
+
+  emitter.emit(jobId, event);
+};
+
+export const getJobDraft = (jobId: string): JobDraft | undefined => drafts.get(jobId);
+
+export const subscribeToJob = (jobId: string, listener: (event: JobEvent) => void) => {
+  emitter.on(jobId, listener);
+  return () => {
+    emitter.off(jobId, listener);
+  };
+};
@@ -0,0 +1,224 @@
+import Job, { IJob } from '../models/Job';
+import Prompt from '../models/Prompt';
+import Blog, { IBlog } from '../models/Blog';
+import User, { Plan } from '../models/User';
+import { generateBlog } from './ai';
+import { publishJobEvent } from './jobEvents';
+import VoiceProfile from '../models/VoiceProfile';
+import { describeLLMError, UsageRecorder } from './llm';
+import { recordFailedUsage, recordUsage } from './usageLedger';
+import { findDuplicatesSafely } from './similarPosts';
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+// Jobs generated at the same time by this process
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+// Claims per job; a job that keeps getting interrupted may be what brings the process down
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 3);
+
+let timer: NodeJS.Timeout | null = null;
+let activeWorkers = 0;
+
+// Atomically move the oldest queued job to running so that only one worker picks it up
+const claimNextJob = () => {
+  return Job.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      status: 'running',
+      startedAt: new Date(),
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+const describeError = (error: any): string =>
+  describeLLMError(error)?.message || error.message || 'Failed to generate blog';
+
+const completeJob = async (job: IJob, blog: IBlog) => {
+  const jobId = String(job._id);
+  const similarPosts = await findDuplicatesSafely(blog);
+
+  job.status = 'succeeded';
+  job.blogId = blog._id as any;
+  job.similarPosts = similarPosts;
+  job.finishedAt = new Date();
+  try {
+    await job.save();
+  } catch (error) {
+    // Left running, the job is requeued on restart and picks up this blog instead of generating again
+    console.error(`Failed to record success of job ${jobId} (blog ${blog._id}):`, error);
+  }
+
+  publishJobEvent(jobId, { type: 'done', data: { blog, similarPosts } });
+};
+
+const processJob = async (job: IJob) => {
+  const jobId = String(job._id);
+  publishJobEvent(jobId, { type: 'status', data: { status: 'running' } });
+
+  // A requeued job may have written its blog before the process went down
+  const earlier = job.attempts > 1 ? await Blog.findOne({ promptId: job.promptId, userId: job.userId }) : null;
+  if (earlier) {
+    return completeJob(job, earlier);
+  }
+  const usage = new UsageRecorder();
+  let plan: Plan | undefined;
+  let blog: IBlog;
+
+  try {
+    const prompt = await Prompt.findById(job.promptId);
+
+    if (!prompt) {
+      throw new Error('Prompt not found');
+    }
+
+    const user = await User.findById(job.userId);
+    plan = user?.subscription?.plan;
+
+    // Earlier jobs may have cost more than they reserved; stop rather than run the account past its limit
+    if (user?.subscription && user.subscription.creditsUsed >= user.subscription.creditsLimit) {
+      throw new Error('Credit limit exceeded before this post could be generated');
+    }
+    const voice = prompt.voiceProfileId ? await VoiceProfile.findById(prompt.voiceProfileId) : null;
+
+    const blogData = await generateBlog({
+      type: prompt.type,
+      prompt: prompt.prompt,
+      transcript: prompt.transcript,
+      segments: prompt.segments,
+      youtubeUrl: prompt.youtubeUrl,
+      metadata: prompt.metadata,
+      outline: prompt.outline,
+      includeFaq: prompt.includeFaq,
+      language: prompt.language
+    }, {
+      plan,
+      voice,
+      usage,
+      onProgress: (progress) => {
+        publishJobEvent(jobId, { type: 'progress', data: progress });
+        Job.updateOne({ _id: job._id }, { progress }).catch((error) => {
+          console.error(`Failed to record progress for job ${jobId}:`, error);
+        });
+      },
+      onDelta: (delta) => {
+        if (delta.title !== undefined) {
+          publishJobEvent(jobId, { type: 'title', data: { title: delta.title } });
+        }
+        if (delta.content) {
+          publishJobEvent(jobId, { type: 'delta', data: { content: delta.content } });
+        }
+      }
+    });
+
+    blog = await Blog.create({
+      userId: job.userId,
+      promptId: prompt._id,
+      title: blogData.title,
+      content: blogData.content,
+      summary: blogData.summary,
+      tags: blogData.tags,
+      status: 'draft',
+      seoMeta: blogData.seoMeta,
+      sourceMap: blogData.sourceMap,
+      faq: blogData.faq,
+      ...(prompt.language && { locale: prompt.language })
+    });
+
+    // Credits are only charged once the blog has been persisted. From here on the blog exists, so a failure
+    // to charge is recorded on the job for reconciliation instead of failing it; retrying could charge twice.
+    try {
+      await recordUsage({
+        userId: job.userId,
+        plan,
+        operation: 'generate',
+        usage,
+        promptId: job.promptId,
+        blogId: blog._id,
+        charge: true
+      });
+    } catch (error: any) {
+      console.error(`Failed to record usage for job ${jobId} (blog ${blog._id}):`, error);
+      job.chargeError = error.message || 'Failed to record usage';
+    }
+  } catch (error: any) {
+    console.error(`Generation job ${jobId} failed:`, error);
+    await recordFailedUsage({ userId: job.userId, plan, operation: 'generate', usage, promptId: job.promptId });
+    job.status = 'failed';
+    job.error = describeError(error);
+    job.finishedAt = new Date();
+    await job.save();
+
+    publishJobEvent(jobId, { type: 'failed', data: { error: job.error } });
+    return;
+  }
+
+  // Outside the generation try: the blog exists and was charged for, so failing the job now would
+  // have the client resubmit and pay twice
+  await completeJob(job, blog);
+};
+
+// Each call adds a worker until the concurrency limit is reached; workers stop when the queue is empty
+const drainQueue = async () => {
+  if (activeWorkers >= CONCURRENCY) return;
+  activeWorkers++;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await processJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    activeWorkers--;
+  }
+};
+
+// Wake the worker immediately instead of waiting for the next poll
+export const notifyJobQueued = () => {
+  setImmediate(drainQueue);
+};
+
+// Queued and running jobs hold their reserved credits, so they count against the limit up front
+export const availableCreditsForJobs = async (user: any) => {
+  const [pending] = await Job.aggregate<{ credits: number }>([
+    { $match: { userId: user._id, status: { $in: ['queued', 'running'] } } },
+    { $group: { _id: null, credits: { $sum: { $ifNull: ['$reservedCredits', 1] } } } }
+  ]);
+  return user.subscription.creditsLimit - user.subscription.creditsUsed - (pending?.credits ?? 0);
+};
+
+export const hasCreditForNewJob = async (user: any) => (await availableCreditsForJobs(user)) > 0;
+
+export const enqueueGenerationJob = async (userId: unknown, promptId: unknown, reservedCredits?: number) => {
+  const job = await Job.create({ userId, promptId, ...(reservedCredits && { reservedCredits }) });
+  notifyJobQueued();
+  return job;
+};
+
+export const startJobWorker = async () => {
+  if (timer) return;
+
+  // Jobs left running by a previous process will never finish: put them back in the queue, unless they
+  // have used up their attempts
+  const exhausted = await Job.updateMany(
+    { status: 'running', attempts: { $gte: MAX_ATTEMPTS } },
+    { status: 'failed', error: 'Generation was interrupted too many times', finishedAt: new Date() }
+  );
+  if (exhausted.modifiedCount > 0) {
+    console.warn(`Failed ${exhausted.modifiedCount} generation job(s) interrupted ${MAX_ATTEMPTS} times`);
+  }
+
+  const requeued = await Job.updateMany(
+    { status: 'running' },
+    { status: 'queued', $unset: { startedAt: 1 } }
+  );
+  if (requeued.modifiedCount > 0) {
+    console.log(`Requeued ${requeued.modifiedCount} interrupted generation job(s)`);
+  }
+
+  timer = setInterval(drainQueue, POLL_INTERVAL_MS);
+  drainQueue();
+};
@@ -0,0 +1,36 @@
+export interface DiffLine {
+  type: 'equal' | 'add' | 'remove';
+  text: string;
+}
+
+// Line-level diff via longest common subsequence; inputs are single sections, so O(n*m) is fine
+export const diffLines = (before: string, after: string): DiffLine[] => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  const lcs: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'remove', text: a[i++] });
+    } else {
+      diff.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'add', text: b[j++] });
+
+  return diff;
+};
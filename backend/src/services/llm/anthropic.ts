@@ -0,0 +1,133 @@
+import axios from 'axios';
+import { CompletionRequest, CompletionResult, LLMProvider, ModelTier } from './types';
+import { LLMUnavailableError, errorForStatus, parseRetryAfter } from './errors';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4000;
+
+export interface AnthropicProviderConfig {
+  apiKey?: string;
+  models: Record<ModelTier, string>;
+}
+
+export class AnthropicProvider implements LLMProvider {
+  readonly name = 'anthropic';
+  private config: AnthropicProviderConfig;
+
+  constructor(config: AnthropicProviderConfig) {
+    this.config = config;
+  }
+
+  // The Messages API takes the system prompt separately from the conversation
+  private buildBody(request: CompletionRequest) {
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content);
+
+    if (request.json) {
+      system.push('Respond with a single JSON object and nothing else.');
+    }
+
+    return {
+      model: this.config.models[request.tier || 'default'],
+      system: system.join('\n\n'),
+      messages: request.messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content })),
+      temperature: request.temperature,
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS
+    };
+  }
+
+  private get headers() {
+    return {
+      'x-api-key': this.config.apiKey || '',
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    };
+  }
+
+  // Map HTTP failures to the shared LLM error types; cancellations are rethrown as-is
+  private toLLMError(error: unknown): unknown {
+    if (axios.isCancel(error) || !axios.isAxiosError(error)) return error;
+
+    if (error.response) {
+      // Streamed error bodies are not parsed, so fall back to the status text
+      const message = error.response.data?.error?.message || error.response.statusText || error.message;
+      return errorForStatus(this.name, error.response.status, message, parseRetryAfter(error.response.headers['retry-after']));
+    }
+    return new LLMUnavailableError(this.name, error.message);
+  }
+
+  private post(body: object, options: { signal?: AbortSignal; stream?: boolean }) {
+    return axios.post(API_URL, body, {
+      headers: this.headers,
+      signal: options.signal,
+      ...(options.stream ? { responseType: 'stream' as const } : {})
+    }).catch(error => {
+      throw this.toLLMError(error);
+    });
+  }
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    const response = await this.post(this.buildBody(request), { signal: request.signal });
+
+    const content = (response.data.content || [])
+      .filter((block: any) => block.type === 'text')
+      .map((block: any) => block.text)
+      .join('');
+
+    return {
+      content,
+      model: response.data.model,
+      usage: response.data.usage && {
+        promptTokens: response.data.usage.input_tokens,
+        completionTokens: response.data.usage.output_tokens
+      }
+    };
+  }
+
+  async stream(request: CompletionRequest, onToken: (text: string) => void): Promise<CompletionResult> {
+    const body = this.buildBody(request);
+    const response = await this.post({ ...body, stream: true }, { signal: request.signal, stream: true });
+
+    let content = '';
+    let model = body.model;
+    let buffer = '';
+    // Input tokens come with message_start, the running output count with message_delta
+    const usage = { promptTokens: 0, completionTokens: 0 };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        let event;
+        try {
+          event = JSON.parse(line.slice(5));
+        } catch {
+          // A garbled event means the stream broke, which is worth retrying like a dropped connection
+          throw new LLMUnavailableError(this.name, 'Anthropic sent a malformed stream event');
+        }
+        if (event.type === 'message_start') {
+          model = event.message?.model || model;
+          usage.promptTokens = event.message?.usage?.input_tokens ?? usage.promptTokens;
+        } else if (event.type === 'message_delta') {
+          usage.completionTokens = event.usage?.output_tokens ?? usage.completionTokens;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          content += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'error') {
+          // Errors sent mid-stream are transient, e.g. overloaded_error
+          throw new LLMUnavailableError(this.name, event.error?.message || 'Anthropic stream error');
+        }
+      }
+    }
+
+    return { content, model, usage };
+  }
+}
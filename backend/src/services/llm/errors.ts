@@ -0,0 +1,100 @@
+// Typed failures from LLM providers. `retryable` marks transient conditions worth another attempt.
+export class LLMError extends Error {
+  readonly provider: string;
+  readonly retryable: boolean;
+  readonly status?: number;
+  // Server-requested wait before retrying, from Retry-After
+  readonly retryAfterMs?: number;
+
+  constructor(provider: string, message: string, options: { retryable: boolean; status?: number; retryAfterMs?: number }) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.retryable = options.retryable;
+    this.status = options.status;
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+export class LLMRateLimitError extends LLMError {
+  constructor(provider: string, message: string, retryAfterMs?: number) {
+    super(provider, message, { retryable: true, status: 429, retryAfterMs });
+    this.name = 'LLMRateLimitError';
+  }
+}
+
+// 5xx responses and network failures
+export class LLMUnavailableError extends LLMError {
+  constructor(provider: string, message: string, status?: number, retryAfterMs?: number) {
+    super(provider, message, { retryable: true, status, retryAfterMs });
+    this.name = 'LLMUnavailableError';
+  }
+}
+
+export class LLMTimeoutError extends LLMError {
+  constructor(provider: string, timeoutMs: number) {
+    super(provider, `${provider} did not respond within ${timeoutMs}ms`, { retryable: true });
+    this.name = 'LLMTimeoutError';
+  }
+}
+
+// The caller cancelled, e.g. because the client disconnected
+export class LLMAbortedError extends LLMError {
+  constructor(provider: string) {
+    super(provider, `${provider} request was cancelled`, { retryable: false });
+    this.name = 'LLMAbortedError';
+  }
+}
+
+// The provider kept failing recently, so calls fail fast until the cooldown passes
+export class LLMCircuitOpenError extends LLMError {
+  constructor(provider: string, retryAfterMs: number) {
+    super(provider, `${provider} is temporarily unavailable`, { retryable: false, retryAfterMs });
+    this.name = 'LLMCircuitOpenError';
+  }
+}
+
+// Other 4xx responses: bad request, authentication, quota; retrying will not help
+export class LLMRequestError extends LLMError {
+  constructor(provider: string, message: string, status?: number) {
+    super(provider, message, { retryable: false, status });
+    this.name = 'LLMRequestError';
+  }
+}
+
+export const errorForStatus = (provider: string, status: number, message: string, retryAfterMs?: number): LLMError => {
+  if (status === 429) return new LLMRateLimitError(provider, message, retryAfterMs);
+  if (status >= 500 || status === 408) return new LLMUnavailableError(provider, message, status, retryAfterMs);
+  return new LLMRequestError(provider, message, status);
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value?: string | null): number | undefined => {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// HTTP status and user-facing message for an LLM failure, or null for any other error
+export const describeLLMError = (error: unknown): { status: number; message: string } | null => {
+  if (error instanceof LLMRateLimitError) {
+    return { status: 429, message: 'Rate limit exceeded. Please try again later.' };
+  }
+  if (error instanceof LLMCircuitOpenError || error instanceof LLMUnavailableError) {
+    return { status: 503, message: 'The AI provider is temporarily unavailable. Please try again in a few minutes.' };
+  }
+  if (error instanceof LLMTimeoutError) {
+    return { status: 504, message: 'The AI provider took too long to respond. Please try again.' };
+  }
+  if (error instanceof LLMAbortedError) {
+    return { status: 499, message: 'Request cancelled' };
+  }
+  if (error instanceof LLMRequestError) {
+    return { status: 502, message: 'The AI provider rejected the request' };
+  }
+  return null;
+};
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { CompletionRequest, CompletionResult, LLMProvider } from './types';
+import { estimateTokens } from './usage';
+import { LLMAbortedError } from './errors';
+
+export type FixtureResponder = (input: string, request: CompletionRequest) => string;
+
+const lastUserMessage = (request: CompletionRequest) => {
+  const messages = request.messages.filter(message => message.role === 'user');
+  return messages[messages.length - 1]?.content.trim() || '';
+};
+
+const shortHash = (value: string) => crypto.createHash('sha1').update(value).digest('hex').slice(0, 6);
+
+const SAMPLE_METADATA = {
+  summary: 'This is a sample blog post summary produced by the fixture provider.',
+  tags: ['sample', 'blog', 'ai-generated', 'blogtube', 'fixture'],
+  seoMeta: {
+    metaTitle: 'Sample Blog Post',
+    metaDescription: 'Sample blog post description',
+    keywords: ['sample', 'blog', 'content']
+  }
+};
+
+// Canned, input-derived responses per call site. The same request always produces the same output.
+const responders: Record<string, FixtureResponder> = {
+  'blog.draft': (input) => {
+    // Cite the first timestamp of a timed transcript, as real drafts are asked to
+    const citation = input.match(/^\s*(\[\d+:\d{2}\])/m)?.[1];
+    return [
+      `# Sample Blog Post ${shortHash(input)}`,
+      '',
+      '## Introduction',
+      '',
+      `This is a sample blog post produced by the fixture provider. Configure an LLM provider to generate real content.${citation ? ` ${citation}` : ''}`,
+      '',
+      '## Main Content',
+      '',
+      'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.',
+      '',
+      '## Key Points',
+      '',
+      '- Point 1: Important insight',
+      '- Point 2: Another key takeaway',
+      '- Point 3: Final consideration',
+      '',
+      '## Conclusion',
+      '',
+      'In conclusion, this topic provides valuable insights for readers interested in this subject matter.'
+    ].join('\n');
+  },
+  'blog.metadata': () => JSON.stringify(SAMPLE_METADATA),
+  // Title and content are kept from the post being repaired
+  'blog.repair': () => JSON.stringify(SAMPLE_METADATA),
+  'blog.chunkNotes': (input) => {
+    const source = input.match(/(?:Transcript|Section text):([\s\S]*)/)?.[1].trim() ?? '';
+    return `## Notes\n\n- ${source.slice(0, 200)}`;
+  },
+  'blog.outline': () => JSON.stringify({
+    sections: [
+      { heading: 'Introduction', level: 2, bullets: ['Why this topic matters'] },
+      { heading: 'Main Content', level: 2, bullets: ['The core idea', 'A worked example'] },
+      { heading: 'Key Points', level: 3, bullets: ['Three takeaways'] },
+      { heading: 'Conclusion', level: 2, bullets: ['Summary and next steps'] }
+    ]
+  }),
+  'blog.rewriteSection': (input) => {
+    const instruction = input.match(/^Instruction: (.*)$/m)?.[1] || '';
+    const section = input.slice(input.indexOf('Section to rewrite:\n') + 'Section to rewrite:\n'.length);
+    return `${section.trim()}\n\n_Rewritten to ${instruction.toLowerCase()}._`;
+  },
+  'blog.titles': (input) => [1, 2, 3, 4, 5]
+    .map(n => `${n}. Sample Title ${n} (${shortHash(input)})`)
+    .join('\n'),
+  'blog.enhance': (input) => input.slice(input.indexOf('Original content:\n') + 'Original content:\n'.length),
+  // Echo the source back; placeholders and structure survive, which is what callers check
+  'blog.translate': (input) => input.slice(input.indexOf('Markdown:\n') + 'Markdown:\n'.length).trim(),
+  'blog.translateMetadata': (input) => input.slice(input.indexOf('Data:\n') + 'Data:\n'.length),
+  'blog.faq': (input) => JSON.stringify({
+    faq: [1, 2, 3].map(n => ({
+      question: `Sample question ${n} (${shortHash(input)})?`,
+      answer: `Sample answer ${n} produced by the fixture provider.`
+    }))
+  }),
+  'blog.repurposeThread': (input) => JSON.stringify({
+    posts: [
+      `Sample thread ${shortHash(input)}: here is what the post covers.`,
+      'Point 1: Important insight',
+      'Point 2: Another key takeaway',
+      'Read the full post for the details.'
+    ]
+  }),
+  'blog.repurposeLinkedIn': (input) => JSON.stringify({
+    text: `Sample LinkedIn post ${shortHash(input)}.\n\nThree takeaways from the post, and a question for you: what would you add?\n\n#sample #blog`
+  }),
+  'blog.repurposeEmail': (input) => JSON.stringify({
+    subject: `Sample newsletter ${shortHash(input)}`,
+    previewText: 'A short preview of the new post',
+    body: 'This is a sample teaser produced by the fixture provider.',
+    cta: 'Read the full post'
+  })
+};
+
+// Replace the response for one call site, e.g. with malformed output to exercise repairs; returns a restore function
+export const setFixtureResponder = (purpose: string, responder: FixtureResponder) => {
+  const previous = responders[purpose];
+  responders[purpose] = responder;
+  return () => {
+    responders[purpose] = previous;
+  };
+};
+
+export class FixtureProvider implements LLMProvider {
+  readonly name = 'fixture';
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    if (request.signal?.aborted) {
+      throw new LLMAbortedError(this.name);
+    }
+
+    const input = lastUserMessage(request);
+    const responder = responders[request.purpose];
+    const content = responder
+      ? responder(input, request)
+      : request.json ? '{}' : input;
+
+    // Estimated usage, so accounting has something to count offline
+    return {
+      content,
+      model: 'fixture',
+      usage: {
+        promptTokens: estimateTokens(request.messages.map(message => message.content).join('\n')),
+        completionTokens: estimateTokens(content)
+      }
+    };
+  }
+
+  async stream(request: CompletionRequest, onToken: (text: string) => void): Promise<CompletionResult> {
+    const result = await this.complete(request);
+
+    // Emit word-sized tokens so streaming consumers are exercised
+    for (const token of result.content.match(/\S+\s*|\s+/g) || []) {
+      onToken(token);
+    }
+
+    return result;
+  }
+}
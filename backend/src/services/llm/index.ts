@@ -0,0 +1,103 @@
+import dotenv from 'dotenv';
+import { Plan } from '../../models/User';
+import { LLMProvider } from './types';
+import { OpenAIProvider } from './openai';
+import { AnthropicProvider } from './anthropic';
+import { FixtureProvider } from './fixture';
+import { ResilientProvider } from './resilient';
+
+dotenv.config();
+
+export * from './types';
+export * from './usage';
+export * from './errors';
+export { getProviderHealth, withAbortSignal } from './resilient';
+
+const PROVIDER_NAMES = ['openai', 'anthropic', 'local', 'fixture'] as const;
+type ProviderName = typeof PROVIDER_NAMES[number];
+
+const hasRealKey = (key?: string) => !!key && !key.startsWith('your_');
+
+const createProvider = (name: ProviderName): LLMProvider => {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        models: {
+          default: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+          fast: process.env.OPENAI_FAST_MODEL || 'gpt-3.5-turbo'
+        },
+        supportsJsonMode: true
+      });
+    case 'anthropic':
+      return new AnthropicProvider({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        models: {
+          default: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+          fast: process.env.ANTHROPIC_FAST_MODEL || 'claude-3-5-haiku-latest'
+        }
+      });
+    case 'local':
+      return new OpenAIProvider({
+        name: 'local',
+        // Local servers ignore the key, but the client requires one
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        models: {
+          default: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+          fast: process.env.LOCAL_LLM_FAST_MODEL || process.env.LOCAL_LLM_MODEL || 'llama3.1'
+        },
+        supportsJsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true'
+      });
+    case 'fixture':
+      return new FixtureProvider();
+  }
+};
+
+const parseProviderName = (value: string | undefined, variable: string): ProviderName | undefined => {
+  if (!value) return undefined;
+  if (!PROVIDER_NAMES.includes(value as ProviderName)) {
+    throw new Error(`${variable} must be one of ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return value as ProviderName;
+};
+
+// LLM_PROVIDER picks the provider for the environment; LLM_PROVIDER_<PLAN> overrides it per plan.
+// Without it, tests get the offline fixture provider and other environments need an OpenAI key, so a
+// missing key never ships sample content to users.
+const resolveProviderName = (plan?: Plan): ProviderName => {
+  const planOverride = plan && parseProviderName(
+    process.env[`LLM_PROVIDER_${plan.toUpperCase()}`],
+    `LLM_PROVIDER_${plan.toUpperCase()}`
+  );
+  if (planOverride) return planOverride;
+
+  const configured = parseProviderName(process.env.LLM_PROVIDER, 'LLM_PROVIDER');
+  if (configured) return configured;
+
+  if (process.env.NODE_ENV === 'test') return 'fixture';
+  if (!hasRealKey(process.env.OPENAI_API_KEY)) {
+    throw new Error('No LLM provider configured: set OPENAI_API_KEY, or LLM_PROVIDER (use LLM_PROVIDER=fixture for sample content)');
+  }
+  return 'openai';
+};
+
+// Throws at startup what getProvider would otherwise throw on the first generation
+export const assertProviderConfigured = () => {
+  resolveProviderName();
+  (['free', 'pro', 'enterprise'] as Plan[]).forEach(resolveProviderName);
+};
+
+const providers = new Map<ProviderName, LLMProvider>();
+
+export const getProvider = (plan?: Plan): LLMProvider => {
+  const name = resolveProviderName(plan);
+
+  let provider = providers.get(name);
+  if (!provider) {
+    provider = new ResilientProvider(createProvider(name));
+    providers.set(name, provider);
+  }
+  return provider;
+};
@@ -0,0 +1,120 @@
+import OpenAI from 'openai';
+import { CompletionRequest, CompletionResult, LLMProvider, ModelTier } from './types';
+import { LLMTimeoutError, LLMUnavailableError, errorForStatus, parseRetryAfter } from './errors';
+
+export interface OpenAIProviderConfig {
+  name: string;
+  apiKey?: string;
+  // Set for OpenAI-compatible servers such as Ollama, vLLM or LM Studio
+  baseURL?: string;
+  models: Record<ModelTier, string>;
+  // Not every compatible server implements response_format
+  supportsJsonMode: boolean;
+}
+
+export class OpenAIProvider implements LLMProvider {
+  readonly name: string;
+  private client: OpenAI;
+  private config: OpenAIProviderConfig;
+
+  constructor(config: OpenAIProviderConfig) {
+    this.name = config.name;
+    this.config = config;
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      // Retries are handled uniformly for all providers by ResilientProvider
+      maxRetries: 0
+    });
+  }
+
+  // Map SDK errors to the shared LLM error types; cancellations are rethrown as-is
+  private toLLMError(error: unknown): unknown {
+    if (error instanceof OpenAI.APIUserAbortError) return error;
+    if (error instanceof OpenAI.APIConnectionTimeoutError) {
+      return new LLMTimeoutError(this.name, this.client.timeout);
+    }
+    if (error instanceof OpenAI.APIConnectionError) {
+      return new LLMUnavailableError(this.name, error.message);
+    }
+    if (error instanceof OpenAI.APIError && error.status) {
+      return errorForStatus(this.name, error.status, error.message, parseRetryAfter(error.headers?.get('retry-after')));
+    }
+    if (error instanceof OpenAI.APIError) {
+      // Errors reported inside a stream carry no status
+      return new LLMUnavailableError(this.name, error.message);
+    }
+    return error;
+  }
+
+  private buildParams(request: CompletionRequest) {
+    const messages = [...request.messages];
+
+    if (request.json && !this.config.supportsJsonMode) {
+      messages.push({ role: 'system', content: 'Respond with a single JSON object and nothing else.' });
+    }
+
+    return {
+      model: this.config.models[request.tier || 'default'],
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.json && this.config.supportsJsonMode
+        ? { response_format: { type: 'json_object' as const } }
+        : {})
+    };
+  }
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    let completion;
+    try {
+      completion = await this.client.chat.completions.create(this.buildParams(request), { signal: request.signal });
+    } catch (error) {
+      throw this.toLLMError(error);
+    }
+
+    return {
+      content: completion.choices[0]?.message.content || '',
+      model: completion.model,
+      usage: completion.usage && {
+        promptTokens: completion.usage.prompt_tokens,
+        completionTokens: completion.usage.completion_tokens
+      }
+    };
+  }
+
+  async stream(request: CompletionRequest, onToken: (text: string) => void): Promise<CompletionResult> {
+    const params = this.buildParams(request);
+    let content = '';
+    let model = params.model;
+    let usage: CompletionResult['usage'];
+
+    try {
+      // Usage arrives in a final chunk without choices
+      const stream = await this.client.chat.completions.create({
+        ...params,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: request.signal });
+
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        if (chunk.usage) {
+          usage = {
+            promptTokens: chunk.usage.prompt_tokens,
+            completionTokens: chunk.usage.completion_tokens
+          };
+        }
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+      }
+    } catch (error) {
+      throw this.toLLMError(error);
+    }
+
+    return { content, model, usage };
+  }
+}
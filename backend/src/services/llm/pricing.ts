@@ -0,0 +1,45 @@
+import { TokenUsage } from './types';
+
+export interface ModelPrice {
+  // USD per million tokens
+  input: number;
+  output: number;
+}
+
+// List prices for the default models; LLM_PRICING (JSON, same shape) adds or overrides entries.
+// Keys match model names by prefix, so dated snapshots such as gpt-4o-mini-2024-07-18 are covered.
+const DEFAULT_PRICES: Record<string, ModelPrice> = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+const loadPrices = (): Record<string, ModelPrice> => {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICES;
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch {
+    throw new Error('LLM_PRICING must be a JSON object of { "<model>": { "input": number, "output": number } }');
+  }
+};
+
+const prices = loadPrices();
+
+// Longest matching prefix wins so gpt-4o-mini is not priced as gpt-4o
+const findPrice = (model: string): ModelPrice | undefined => {
+  const key = Object.keys(prices)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : undefined;
+};
+
+// Unknown models (local servers, the fixture provider) are treated as free
+export const estimateCost = (model: string, usage: TokenUsage) => {
+  const price = findPrice(model);
+  if (!price) return 0;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+};
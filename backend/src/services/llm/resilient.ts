@@ -0,0 +1,237 @@
+import { CompletionRequest, CompletionResult, LLMProvider } from './types';
+import {
+  LLMAbortedError,
+  LLMCircuitOpenError,
+  LLMError,
+  LLMRequestError,
+  LLMTimeoutError
+} from './errors';
+
+const MAX_RETRIES = Math.max(1, Number(process.env.LLM_MAX_RETRIES) || 3);
+const RETRY_BASE_MS = Math.max(50, Number(process.env.LLM_RETRY_BASE_MS) || 500);
+const RETRY_MAX_MS = 20000;
+// For streams this is the longest allowed gap between tokens rather than the total duration
+const TIMEOUT_MS = Math.max(1000, Number(process.env.LLM_TIMEOUT_MS) || 60000);
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.LLM_BREAKER_THRESHOLD) || 5);
+const BREAKER_COOLDOWN_MS = Math.max(1000, Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000);
+
+type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface ProviderHealth {
+  provider: string;
+  state: CircuitState;
+  consecutiveFailures: number;
+  lastFailureAt: Date | null;
+  lastError: string | null;
+  // When an open circuit lets the next trial call through
+  retryAt: Date | null;
+}
+
+// Opens after BREAKER_THRESHOLD consecutive provider failures. After the cooldown one trial call
+// is let through: success closes the circuit, failure opens it for another cooldown.
+class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private lastFailureAt: Date | null = null;
+  private lastError: string | null = null;
+
+  constructor(private readonly provider: string) {}
+
+  acquire() {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+      if (remaining > 0) {
+        throw new LLMCircuitOpenError(this.provider, remaining);
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new LLMCircuitOpenError(this.provider, BREAKER_COOLDOWN_MS);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  succeed() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  fail(error: LLMError) {
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date();
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= BREAKER_THRESHOLD) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit for ${this.provider} opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  // The call ended without telling us anything about the provider, e.g. the client went away
+  release() {
+    this.trialInFlight = false;
+  }
+
+  health(): ProviderHealth {
+    return {
+      provider: this.provider,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + BREAKER_COOLDOWN_MS) : null
+    };
+  }
+}
+
+const breakers = new Map<string, CircuitBreaker>();
+
+export const getProviderHealth = (): ProviderHealth[] =>
+  Array.from(breakers.values(), breaker => breaker.health());
+
+const backoffDelay = (attempt: number, error: LLMError) => {
+  if (error.retryAfterMs !== undefined) return Math.min(error.retryAfterMs, RETRY_MAX_MS);
+  const exponential = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  // Full jitter keeps concurrent retries from arriving together
+  return exponential / 2 + Math.random() * exponential / 2;
+};
+
+const sleep = (ms: number, signal: AbortSignal | undefined, provider: string) =>
+  new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) return reject(new LLMAbortedError(provider));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LLMAbortedError(provider));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+type Attempt = (signal: AbortSignal, keepAlive: () => void) => Promise<CompletionResult>;
+
+// Adds per-call timeouts, retries with exponential backoff on transient errors, cancellation
+// through request.signal and a per-provider circuit breaker around any provider
+export class ResilientProvider implements LLMProvider {
+  readonly name: string;
+  private breaker: CircuitBreaker;
+
+  constructor(private readonly inner: LLMProvider) {
+    this.name = inner.name;
+    this.breaker = new CircuitBreaker(inner.name);
+    breakers.set(inner.name, this.breaker);
+  }
+
+  complete(request: CompletionRequest): Promise<CompletionResult> {
+    return this.run(request, (signal) => this.inner.complete({ ...request, signal }));
+  }
+
+  stream(request: CompletionRequest, onToken: (text: string) => void): Promise<CompletionResult> {
+    let emitted = false;
+
+    // Once tokens have reached the caller a retry would repeat them, so only a stream that produced nothing is retried
+    return this.run(request, (signal, keepAlive) => this.inner.stream({ ...request, signal }, (text) => {
+      emitted = true;
+      keepAlive();
+      onToken(text);
+    }), () => !emitted);
+  }
+
+  private async run(request: CompletionRequest, call: Attempt, canRetry: () => boolean = () => true) {
+    for (let attempt = 0; ; attempt++) {
+      this.breaker.acquire();
+
+      let error: LLMError;
+      try {
+        const result = await this.attempt(request, call);
+        this.breaker.succeed();
+        return result;
+      } catch (caught) {
+        if (!(caught instanceof LLMError)) {
+          this.breaker.release();
+          throw caught;
+        }
+        error = caught;
+      }
+
+      if (error instanceof LLMRequestError) {
+        // The provider answered; the request itself was the problem
+        this.breaker.succeed();
+      } else if (error instanceof LLMAbortedError) {
+        this.breaker.release();
+      } else {
+        this.breaker.fail(error);
+      }
+
+      // Once this failure opened the circuit, report it rather than the circuit error the next attempt would get
+      if (!error.retryable || attempt >= MAX_RETRIES || !canRetry() || this.breaker.isOpen) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, error);
+      console.warn(`${this.name} ${request.purpose} failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+      await sleep(delay, request.signal, this.name);
+    }
+  }
+
+  private async attempt(request: CompletionRequest, call: Attempt) {
+    if (request.signal?.aborted) {
+      throw new LLMAbortedError(this.name);
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer: NodeJS.Timeout | undefined;
+
+    const keepAlive = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, TIMEOUT_MS);
+    };
+    const onAbort = () => controller.abort();
+
+    request.signal?.addEventListener('abort', onAbort, { once: true });
+    keepAlive();
+
+    try {
+      return await call(controller.signal, keepAlive);
+    } catch (error) {
+      if (request.signal?.aborted) throw new LLMAbortedError(this.name);
+      if (timedOut) throw new LLMTimeoutError(this.name, TIMEOUT_MS);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+// Attach a cancellation signal to every request sent through a provider
+export const withAbortSignal = (provider: LLMProvider, signal?: AbortSignal): LLMProvider => {
+  if (!signal) return provider;
+
+  return {
+    name: provider.name,
+    complete: (request) => provider.complete({ ...request, signal }),
+    stream: (request, onToken) => provider.stream({ ...request, signal }, onToken)
+  };
+};
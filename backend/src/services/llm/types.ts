@@ -0,0 +1,39 @@
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+// Providers map tiers to concrete model names, so call sites never hardcode a model
+export type ModelTier = 'default' | 'fast';
+
+export interface CompletionRequest {
+  // Identifies the call site, e.g. 'blog.draft'; used by the fixture provider and for logging
+  purpose: string;
+  messages: ChatMessage[];
+  tier?: ModelTier;
+  temperature?: number;
+  maxTokens?: number;
+  // Ask the model for a single JSON object
+  json?: boolean;
+  // Cancels the call, e.g. when the client disconnects
+  signal?: AbortSignal;
+}
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface CompletionResult {
+  content: string;
+  model: string;
+  // Reported by the provider; missing when a compatible server does not return it
+  usage?: TokenUsage;
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  complete(request: CompletionRequest): Promise<CompletionResult>;
+  // Resolves with the full completion once the stream ends
+  stream(request: CompletionRequest, onToken: (text: string) => void): Promise<CompletionResult>;
+}
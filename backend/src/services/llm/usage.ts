@@ -0,0 +1,70 @@
+import { CompletionRequest, CompletionResult, LLMProvider, TokenUsage } from './types';
+import { estimateCost } from './pricing';
+
+export interface LLMCallRecord {
+  purpose: string;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  // True when the provider did not report usage and tokens were estimated from text length
+  estimated: boolean;
+  latencyMs: number;
+  cost: number;
+}
+
+// Roughly four characters per token for English prose
+export const estimateTokens = (text: string) => Math.ceil(text.length / 4);
+
+// Collects every LLM call made on behalf of one operation, e.g. a generation or a translation
+export class UsageRecorder {
+  readonly calls: LLMCallRecord[] = [];
+
+  record(provider: string, request: CompletionRequest, result: CompletionResult, latencyMs: number) {
+    const usage: TokenUsage = result.usage || {
+      promptTokens: estimateTokens(request.messages.map(message => message.content).join('\n')),
+      completionTokens: estimateTokens(result.content)
+    };
+
+    this.calls.push({
+      purpose: request.purpose,
+      provider,
+      model: result.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimated: !result.usage,
+      latencyMs,
+      cost: estimateCost(result.model, usage)
+    });
+  }
+
+  get totals() {
+    return this.calls.reduce((totals, call) => ({
+      calls: totals.calls + 1,
+      promptTokens: totals.promptTokens + call.promptTokens,
+      completionTokens: totals.completionTokens + call.completionTokens,
+      cost: totals.cost + call.cost
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+  }
+}
+
+// Wrap a provider so each successful call is timed and recorded; without a recorder the provider is returned as is
+export const meterProvider = (provider: LLMProvider, recorder?: UsageRecorder): LLMProvider => {
+  if (!recorder) return provider;
+
+  return {
+    name: provider.name,
+    async complete(request) {
+      const startedAt = Date.now();
+      const result = await provider.complete(request);
+      recorder.record(provider.name, request, result, Date.now() - startedAt);
+      return result;
+    },
+    async stream(request, onToken) {
+      const startedAt = Date.now();
+      const result = await provider.stream(request, onToken);
+      recorder.record(provider.name, request, result, Date.now() - startedAt);
+      return result;
+    }
+  };
+};
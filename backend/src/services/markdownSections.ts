@@ -0,0 +1,79 @@
+export interface MarkdownSection {
+  anchor: string;
+  heading: string;
+  level: number;
+  // Character offsets into the markdown; the section runs from its heading line to the next heading of the same or higher level
+  start: number;
+  end: number;
+}
+
+// GitHub-style heading slug, so anchors match rendered links
+export const slugify = (heading: string) => heading
+  .trim()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+  .replace(/\s/g, '-');
+
+interface HeadingLine {
+  heading: string;
+  level: number;
+  start: number;
+}
+
+const findHeadings = (markdown: string): HeadingLine[] => {
+  const headings: HeadingLine[] = [];
+  let offset = 0;
+  let fence: string | null = null;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+    } else if (!fence) {
+      const match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (match) {
+        headings.push({ heading: match[2], level: match[1].length, start: offset });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return headings;
+};
+
+export const parseSections = (markdown: string): MarkdownSection[] => {
+  const headings = findHeadings(markdown);
+  const seen = new Map<string, number>();
+
+  return headings.map((current, index) => {
+    const next = headings.slice(index + 1).find(heading => heading.level <= current.level);
+
+    // Repeated headings get -1, -2, ... suffixes like GitHub
+    const base = slugify(current.heading);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+
+    return {
+      anchor: count === 0 ? base : `${base}-${count}`,
+      heading: current.heading,
+      level: current.level,
+      start: current.start,
+      end: next ? next.start : markdown.length
+    };
+  });
+};
+
+export const findSection = (markdown: string, anchor: string) =>
+  parseSections(markdown).find(section => section.anchor === anchor.replace(/^#/, ''));
+
+// Swap one section's text while leaving every other byte of the document untouched
+export const replaceSection = (markdown: string, section: MarkdownSection, replacement: string) => {
+  const original = markdown.slice(section.start, section.end);
+  const trailing = original.match(/\s*$/)?.[0] || '';
+  return markdown.slice(0, section.start) + replacement.trimEnd() + trailing + markdown.slice(section.end);
+};
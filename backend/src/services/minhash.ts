@@ -0,0 +1,118 @@
+import { plainText } from './contentAnalysis';
+import { splitParagraphs } from './transcriptCitations';
+
+// Word n-grams compared between posts; 5 words is long enough that shared shingles mean shared phrasing
+const SHINGLE_WORDS = 5;
+// More hash functions make the estimate tighter; 128 keeps the error around +/-0.09
+export const SIGNATURE_SIZE = 128;
+// Paragraphs sharing at least this share of their shingles are reported as overlapping
+const PARAGRAPH_OVERLAP = 0.5;
+
+const fnv1a = (value: string) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer; mixing a shingle hash with each seed gives independent hash functions
+const mix = (value: number) => {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 1));
+
+const normalizedWords = (markdown: string) =>
+  plainText(markdown).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Hashed word shingles; text shorter than a shingle counts as a single one
+export const shingles = (markdown: string, size: number = SHINGLE_WORDS) => {
+  const words = normalizedWords(markdown);
+  const result = new Set<number>();
+
+  if (words.length > 0 && words.length < size) {
+    result.add(fnv1a(words.join(' ')));
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(fnv1a(words.slice(i, i + size).join(' ')));
+  }
+
+  return result;
+};
+
+// Fixed-size fingerprint whose slot-wise agreement estimates the Jaccard similarity of two posts' shingles
+export const minHashSignature = (markdown: string): number[] => {
+  const hashes = shingles(markdown);
+  if (hashes.size === 0) return [];
+
+  const signature = new Array<number>(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const hash of hashes) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix(hash ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+
+  return signature;
+};
+
+export const estimateSimilarity = (a: number[], b: number[]) => {
+  if (a.length === 0 || a.length !== b.length) return 0;
+
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+};
+
+const jaccard = (a: Set<number>, b: Set<number>) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+export interface ParagraphOverlap {
+  text: string;
+  // The paragraph of the other post it overlaps with
+  matchText: string;
+  similarity: number;
+}
+
+// Paragraphs of a post that largely repeat a paragraph of another post
+export const overlappingParagraphs = (content: string, otherContent: string): ParagraphOverlap[] => {
+  // Shorter shingles, since paragraphs are short
+  const shingleSize = 3;
+  const others = splitParagraphs(otherContent).map(paragraph => ({
+    text: paragraph.text,
+    shingles: shingles(paragraph.text, shingleSize)
+  }));
+  const overlaps: ParagraphOverlap[] = [];
+
+  for (const paragraph of splitParagraphs(content)) {
+    const own = shingles(paragraph.text, shingleSize);
+    let best: ParagraphOverlap | null = null;
+
+    for (const other of others) {
+      const similarity = jaccard(own, other.shingles);
+      if (similarity >= PARAGRAPH_OVERLAP && (!best || similarity > best.similarity)) {
+        best = { text: paragraph.text, matchText: other.text, similarity: Math.round(similarity * 100) / 100 };
+      }
+    }
+    if (best) overlaps.push(best);
+  }
+
+  return overlaps;
+};
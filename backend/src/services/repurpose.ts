@@ -0,0 +1,78 @@
+import { z } from 'zod';
+import { RepurposedVariant } from '../models/Blog';
+
+export const THREAD_POST_LIMIT = 280;
+export const LINKEDIN_POST_LIMIT = 3000;
+// Room kept at the end of each thread post for its " 3/8" counter
+const THREAD_COUNTER_RESERVE = 6;
+
+// What the model returns for each format; platform limits the model cannot be trusted with are enforced afterwards
+export const ThreadDraftSchema = z.object({
+  posts: z.array(z.string().trim().min(1, 'Posts must not be empty'))
+    .min(2, 'A thread needs at least 2 posts')
+    .max(15, 'A thread can have at most 15 posts')
+});
+
+export const LinkedInDraftSchema = z.object({
+  text: z.string().trim()
+    .min(1, 'Post text is required')
+    .max(LINKEDIN_POST_LIMIT, `LinkedIn posts must be at most ${LINKEDIN_POST_LIMIT} characters`)
+});
+
+export const EmailDraftSchema = z.object({
+  subject: z.string().trim()
+    .min(1, 'Subject is required')
+    .max(80, 'Subject must be at most 80 characters'),
+  previewText: z.string().trim()
+    .min(1, 'Preview text is required')
+    .max(140, 'Preview text must be at most 140 characters'),
+  body: z.string().trim()
+    .min(1, 'Body is required')
+    .max(1000, 'Body must be at most 1000 characters'),
+  cta: z.string().trim()
+    .min(1, 'Call to action is required')
+    .max(40, 'Call to action must be at most 40 characters')
+});
+
+// Split text into pieces of at most `limit` characters, preferring sentence and then word boundaries
+const splitText = (text: string, limit: number): string[] => {
+  const pieces: string[] = [];
+  let rest = text.trim();
+
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit + 1);
+    const sentenceEnd = Math.max(...['. ', '! ', '? ', '\n'].map(mark => window.lastIndexOf(mark)));
+    const wordEnd = window.lastIndexOf(' ');
+    const cut = sentenceEnd > limit / 3 ? sentenceEnd + 1 : wordEnd > 0 ? wordEnd : limit;
+
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+
+  return pieces;
+};
+
+// Re-split any post that is too long and number the result, so every post fits the platform limit
+export const fitThread = (posts: string[], limit: number = THREAD_POST_LIMIT) => {
+  const pieces = posts.flatMap(post => splitText(post, limit - THREAD_COUNTER_RESERVE));
+  return pieces.map((piece, index) => `${piece} ${index + 1}/${pieces.length}`);
+};
+
+export const threadVariant = (draft: z.infer<typeof ThreadDraftSchema>): RepurposedVariant => {
+  const posts = fitThread(draft.posts);
+  return { format: 'thread', posts, text: posts.join('\n\n') };
+};
+
+export const linkedInVariant = (draft: z.infer<typeof LinkedInDraftSchema>): RepurposedVariant => ({
+  format: 'linkedin',
+  text: draft.text
+});
+
+export const emailVariant = (draft: z.infer<typeof EmailDraftSchema>, ctaUrl: string): RepurposedVariant => ({
+  format: 'email',
+  subject: draft.subject,
+  previewText: draft.previewText,
+  ctaUrl,
+  text: `${draft.body}\n\n${draft.cta}: ${ctaUrl}`
+});
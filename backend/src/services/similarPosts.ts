@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Blog, { IBlog } from '../models/Blog';
+import { estimateSimilarity, minHashSignature, overlappingParagraphs, ParagraphOverlap } from './minhash';
+
+// Posts at least this similar are flagged as duplicates when generating or publishing
+export const DUPLICATE_THRESHOLD = Math.min(1, Number(process.env.SIMILARITY_THRESHOLD) || 0.6);
+// Posts at least this similar are listed as similar
+export const RELATED_THRESHOLD = 0.3;
+const MAX_RESULTS = 10;
+const BACKFILL_BATCH_SIZE = 500;
+
+export interface SimilarPost {
+  blogId: mongoose.Types.ObjectId;
+  title: string;
+  status: IBlog['status'];
+  similarity: number;
+}
+
+export interface SimilarPostWithOverlaps extends SimilarPost {
+  paragraphs: ParagraphOverlap[];
+}
+
+type ComparedBlog = Pick<IBlog, '_id' | 'userId' | 'content'>;
+
+interface SimilarityOptions {
+  minSimilarity?: number;
+  // Only compare with posts in this status
+  status?: IBlog['status'];
+}
+
+// Sign posts saved before signatures existed, in bulk; saving a post signs it from then on. Run once at startup.
+export const backfillMinHashSignatures = async () => {
+  const cursor = Blog.find({ minhash: { $exists: false } }).select('content').lean().cursor();
+  let updates: mongoose.AnyBulkWriteOperation<IBlog>[] = [];
+  let signed = 0;
+
+  const flush = async () => {
+    if (updates.length === 0) return;
+    await Blog.bulkWrite(updates, { ordered: false });
+    signed += updates.length;
+    updates = [];
+  };
+
+  for await (const blog of cursor) {
+    updates.push({
+      updateOne: { filter: { _id: blog._id }, update: { $set: { minhash: minHashSignature(blog.content || '') } } }
+    });
+    if (updates.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return signed;
+};
+
+// Signatures of the user's other posts; posts the backfill has not reached yet are left out
+const librarySignatures = (blog: ComparedBlog, status?: IBlog['status']) =>
+  Blog.find({
+    userId: blog.userId,
+    _id: { $ne: blog._id },
+    minhash: { $exists: true },
+    ...(status && { status })
+  }).select('+minhash title status').lean();
+
+// The user's other posts whose content overlaps with this one, most similar first
+export const findSimilarBlogs = async (
+  blog: ComparedBlog,
+  { minSimilarity = DUPLICATE_THRESHOLD, status }: SimilarityOptions = {}
+): Promise<SimilarPost[]> => {
+  const signature = minHashSignature(blog.content);
+  const others = await librarySignatures(blog, status);
+
+  return others
+    .map(other => ({
+      blogId: other._id,
+      title: other.title,
+      status: other.status,
+      similarity: Math.round(estimateSimilarity(signature, other.minhash || []) * 100) / 100
+    }))
+    .filter(post => post.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_RESULTS);
+};
+
+// Similar posts with the paragraphs they share with this one
+export const findSimilarBlogsWithOverlaps = async (blog: ComparedBlog): Promise<SimilarPostWithOverlaps[]> => {
+  const similar = await findSimilarBlogs(blog, { minSimilarity: RELATED_THRESHOLD });
+  const contents = await Blog.find({ _id: { $in: similar.map(post => post.blogId) } }).select('content');
+  const contentById = new Map(contents.map(other => [String(other._id), other.content]));
+
+  return similar.map(post => ({
+    ...post,
+    paragraphs: overlappingParagraphs(blog.content, contentById.get(String(post.blogId)) || '')
+  }));
+};
+
+// Logged rather than thrown: a failed check must not fail the action it warns about
+export const findDuplicatesSafely = async (blog: ComparedBlog, options?: SimilarityOptions) => {
+  try {
+    return await findSimilarBlogs(blog, options);
+  } catch (error) {
+    console.error('Error checking for similar posts:', error);
+    return [];
+  }
+};
@@ -0,0 +1,48 @@
+import { TemplateVariable } from '../models/Template';
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+// Variable names in order of first appearance
+export const extractVariables = (body: string) =>
+  Array.from(new Set(Array.from(body.matchAll(VARIABLE_PATTERN), match => match[1])));
+
+// One entry per placeholder in the body, keeping labels and defaults supplied for them
+export const normalizeVariables = (body: string, variables: TemplateVariable[] = []): TemplateVariable[] => {
+  const supplied = new Map(variables.map(variable => [variable.name, variable]));
+
+  return extractVariables(body).map(name => {
+    const variable = supplied.get(name);
+    return {
+      name,
+      label: variable?.label?.trim() || undefined,
+      defaultValue: variable?.defaultValue?.trim() || undefined
+    };
+  });
+};
+
+export interface RenderedTemplate {
+  text: string;
+  // Every variable's value as used, defaults included
+  values: Record<string, string>;
+  missing: string[];
+}
+
+export const renderTemplate = (
+  template: { body: string; variables: TemplateVariable[] },
+  input: Record<string, unknown> = {}
+): RenderedTemplate => {
+  const values: Record<string, string> = {};
+  const missing: string[] = [];
+
+  for (const variable of normalizeVariables(template.body, template.variables)) {
+    const supplied = typeof input[variable.name] === 'string' ? (input[variable.name] as string).trim() : '';
+    const value = supplied || variable.defaultValue || '';
+    if (!value) {
+      missing.push(variable.name);
+    }
+    values[variable.name] = value;
+  }
+
+  const text = template.body.replace(VARIABLE_PATTERN, (_, name: string) => values[name] ?? '');
+  return { text: text.trim(), values, missing };
+};
@@ -0,0 +1,71 @@
+export interface TranscriptSegment {
+  text: string;
+  offset: number; // seconds from the start of the video
+  duration: number; // seconds
+}
+
+export interface TranscriptChunk {
+  text: string;
+  start: number;
+  end: number;
+  segments: TranscriptSegment[];
+}
+
+// Roughly 6k tokens; longer transcripts are summarized chunk by chunk before writing the post
+export const LONG_TRANSCRIPT_CHARS = Number(process.env.LONG_TRANSCRIPT_CHARS) || 24000;
+const CHUNK_CHARS = Number(process.env.TRANSCRIPT_CHUNK_CHARS) || 12000;
+
+export const isLongTranscript = (transcript?: string) =>
+  !!transcript && transcript.length > LONG_TRANSCRIPT_CHARS;
+
+// Without timestamps, fall back to sentence boundaries so chunks never split mid-sentence
+const segmentsFromText = (transcript: string): TranscriptSegment[] =>
+  (transcript.match(/[^.!?]+[.!?]*\s*/g) || [transcript])
+    .map(text => ({ text: text.trim(), offset: 0, duration: 0 }))
+    .filter(segment => segment.text);
+
+// Group consecutive segments into chunks of at most maxChars, never splitting a segment
+export const chunkTranscript = (
+  transcript: string,
+  segments?: TranscriptSegment[],
+  maxChars: number = CHUNK_CHARS
+): TranscriptChunk[] => {
+  const source = segments && segments.length > 0 ? segments : segmentsFromText(transcript);
+  const chunks: TranscriptChunk[] = [];
+  let current: TranscriptSegment[] = [];
+  let length = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const last = current[current.length - 1];
+    chunks.push({
+      text: current.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim(),
+      start: current[0].offset,
+      end: last.offset + last.duration,
+      segments: current
+    });
+    current = [];
+    length = 0;
+  };
+
+  for (const segment of source) {
+    if (length > 0 && length + segment.text.length + 1 > maxChars) {
+      flush();
+    }
+    current.push(segment);
+    length += segment.text.length + 1;
+  }
+  flush();
+
+  return chunks;
+};
+
+export const formatTimestamp = (seconds: number) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mm = String(m).padStart(h > 0 ? 2 : 1, '0');
+  const ss = String(s).padStart(2, '0');
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+};
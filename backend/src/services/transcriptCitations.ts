@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { formatTimestamp, TranscriptSegment } from './transcriptChunker';
+import { momentUrl } from './youtube';
+
+// Transcript lines shown to the model start a new timestamp at most this far apart
+const LINE_SECONDS = 20;
+const LINE_CHARS = 400;
+// A citation points at a moment; the passage shown for it covers at least this much of the video
+const PASSAGE_SECONDS = 20;
+// Uncited paragraphs are matched to the transcript by shared words; weaker matches are left unmapped
+const MIN_SHARED_WORDS = 3;
+const MIN_MATCH_SCORE = 0.2;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'because', 'been', 'before', 'being', 'could', 'does', 'doing', 'from', 'going',
+  'have', 'here', 'into', 'just', 'know', 'like', 'more', 'most', 'much', 'only', 'other', 'really', 'should',
+  'some', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this',
+  'those', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would',
+  'your', 'you\'re'
+]);
+
+export interface SourceMapEntry {
+  // Fingerprint of the paragraph text, so the mapping survives edits to other paragraphs
+  paragraphHash: string;
+  // Seconds into the video
+  start: number;
+  end: number;
+  // Whether the paragraph cites the passage or it was matched by wording
+  cited: boolean;
+}
+
+export interface Paragraph {
+  text: string;
+  hash: string;
+}
+
+// Only transcripts with real timings can be cited; text-derived segments all start at zero
+export const hasTimings = (segments?: TranscriptSegment[]): segments is TranscriptSegment[] =>
+  !!segments && segments.length > 1 && segments.some(segment => segment.offset > 0);
+
+interface TranscriptLine {
+  start: number;
+  end: number;
+  text: string;
+}
+
+const groupLines = (segments: TranscriptSegment[]): TranscriptLine[] => {
+  const lines: TranscriptLine[] = [];
+
+  for (const segment of segments) {
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const last = lines[lines.length - 1];
+    if (last && segment.offset - last.start < LINE_SECONDS && last.text.length + text.length < LINE_CHARS) {
+      last.text += ` ${text}`;
+      last.end = segment.offset + segment.duration;
+    } else {
+      lines.push({ start: segment.offset, end: segment.offset + segment.duration, text });
+    }
+  }
+
+  return lines;
+};
+
+// The transcript as "[m:ss] text" lines, which the model copies into its citations
+export const formatTimestampedTranscript = (segments: TranscriptSegment[]) =>
+  groupLines(segments)
+    .map(line => `[${formatTimestamp(line.start)}] ${line.text}`)
+    .join('\n');
+
+const parseTimestamp = (value: string) =>
+  value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+// Bare [m:ss] or [h:mm:ss] markers that are not already links
+const CITATION_PATTERN = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})\](?!\()/g;
+
+// Turn the model's [m:ss] markers into links to that moment, or keep them as text when the video has no URL;
+// markers past the end of the video are dropped
+export const linkCitations = (content: string, videoUrl: string | null, segments: TranscriptSegment[]) => {
+  const last = segments[segments.length - 1];
+  const videoEnd = last.offset + last.duration;
+
+  return content
+    .replace(CITATION_PATTERN, (marker: string, timestamp: string) => {
+      const seconds = parseTimestamp(timestamp);
+      if (seconds > videoEnd) return '';
+      return videoUrl ? `[${timestamp}](${momentUrl(videoUrl, seconds)})` : marker;
+    })
+    // Dropping a marker can leave a space before punctuation
+    .replace(/ +([.,;:!?])/g, '$1');
+};
+
+// Seconds of every moment of this video the text cites: links to a YouTube video, or [m:ss] markers for other videos
+export const citedSeconds = (text: string, videoId: string | null) => {
+  if (!videoId) {
+    return Array.from(text.matchAll(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g), match => parseTimestamp(match[1]));
+  }
+
+  const pattern = /https?:\/\/(?:www\.)?youtube\.com\/watch\?v=([\w-]+)&t=(\d+)s/g;
+  return Array.from(text.matchAll(pattern))
+    .filter(match => match[1] === videoId)
+    .map(match => Number(match[2]));
+};
+
+export const paragraphHash = (text: string) =>
+  crypto.createHash('sha1').update(text.replace(/\s+/g, ' ').trim()).digest('hex').slice(0, 16);
+
+// Body blocks of a post: paragraphs, lists and quotes, without headings, rules or code
+export const splitParagraphs = (content: string): Paragraph[] =>
+  content
+    .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*$/gm, '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(block => block && !/^#{1,6}\s/.test(block) && !/^([-*_])(\s*\1){2,}$/.test(block))
+    .map(text => ({ text, hash: paragraphHash(text) }));
+
+const words = (text: string) => new Set(
+  (text.toLowerCase().replace(/\]\([^)]*\)/g, ']').match(/[\p{L}\p{N}']{4,}/gu) || [])
+    .filter(word => !STOPWORDS.has(word))
+);
+
+// The stretch of video a set of cited moments covers
+const citedSpan = (seconds: number[], segments: TranscriptSegment[]) => {
+  const first = Math.min(...seconds);
+  const last = Math.max(...seconds);
+  // Start at the segment being spoken at the first cited moment
+  const start = segments.reduce((current, segment) => segment.offset <= first ? segment.offset : current, first);
+  return { start, end: Math.max(last, start) + PASSAGE_SECONDS };
+};
+
+// The transcript lines that share the most vocabulary with a paragraph, or null when nothing matches well
+const matchedSpan = (paragraph: string, lines: TranscriptLine[], lineWords: Set<string>[]) => {
+  const target = words(paragraph);
+  if (target.size < MIN_SHARED_WORDS) return null;
+
+  const scores = lineWords.map(candidates => {
+    let shared = 0;
+    for (const word of target) {
+      if (candidates.has(word)) shared++;
+    }
+    return shared >= MIN_SHARED_WORDS ? shared / target.size : 0;
+  });
+
+  const best = scores.indexOf(Math.max(...scores));
+  if (best === -1 || scores[best] < MIN_MATCH_SCORE) return null;
+
+  // Take in neighbouring lines that match nearly as well, since a paragraph often spans a few
+  let first = best;
+  let last = best;
+  while (first > 0 && scores[first - 1] >= scores[best] * 0.75) first--;
+  while (last < lines.length - 1 && scores[last + 1] >= scores[best] * 0.75) last++;
+
+  return { start: lines[first].start, end: lines[last].end };
+};
+
+// Map each paragraph to the transcript passage it is based on: the moments it cites, or else the best wording match
+export const mapParagraphsToTranscript = (
+  content: string,
+  segments: TranscriptSegment[],
+  videoId?: string | null
+): SourceMapEntry[] => {
+  const lines = groupLines(segments);
+  const lineWords = lines.map(line => words(line.text));
+  const entries: SourceMapEntry[] = [];
+
+  for (const paragraph of splitParagraphs(content)) {
+    const cited = citedSeconds(paragraph.text, videoId ?? null);
+    const span = cited.length
+      ? citedSpan(cited, segments)
+      : matchedSpan(paragraph.text, lines, lineWords);
+
+    if (span) {
+      entries.push({ paragraphHash: paragraph.hash, ...span, cited: cited.length > 0 });
+    }
+  }
+
+  return entries;
+};
+
+// The transcript text spoken between two moments
+export const transcriptPassage = (segments: TranscriptSegment[], start: number, end: number) =>
+  segments
+    .filter(segment => segment.offset + segment.duration > start && segment.offset < end)
+    .map(segment => segment.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+
+// Spans the model must copy verbatim, most specific first so e.g. URLs inside code stay inside the code block
+// `prefix` is matched for context but left in the text to be translated
+const PROTECTED_PATTERNS: { pattern: RegExp; prefix?: string }[] = [
+  // Fenced code blocks
+  { pattern: /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*$/gm },
+  // Inline code
+  { pattern: /`[^`\n]+`/g },
+  // Reference-style link definitions
+  { pattern: /^ {0,3}\[[^\]\n]+\]:[ \t]*\S+.*$/gm },
+  // Link and image destinations; the link text itself is translated
+  { pattern: /\]\((?:[^()\n]|\([^()\n]*\))*\)/g, prefix: ']' },
+  // Autolinks and bare URLs
+  { pattern: /<https?:\/\/[^>\s]+>/g },
+  { pattern: /https?:\/\/[^\s)>\]]+/g }
+];
+
+const placeholder = (index: number) => `%%KEEP_${index}%%`;
+
+export interface ProtectedMarkdown {
+  text: string;
+  placeholders: string[];
+}
+
+// Swap code, links and URLs for numbered placeholders so translation cannot alter them
+export const protectMarkdown = (markdown: string): ProtectedMarkdown => {
+  const placeholders: string[] = [];
+  let text = markdown;
+
+  for (const { pattern, prefix = '' } of PROTECTED_PATTERNS) {
+    text = text.replace(pattern, (match) => {
+      placeholders.push(match.slice(prefix.length));
+      return `${prefix}${placeholder(placeholders.length - 1)}`;
+    });
+  }
+
+  return { text, placeholders };
+};
+
+export const restoreMarkdown = (text: string, placeholders: string[]) =>
+  text.replace(/%%KEEP_(\d+)%%/g, (match, index) => placeholders[Number(index)] ?? match);
+
+const headingLevels = (markdown: string) =>
+  Array.from(markdown.matchAll(/^ {0,3}(#{1,6})\s/gm), match => match[1].length);
+
+// Compare a translated draft with its protected source; an empty list means the structure survived
+export const findTranslationIssues = (source: ProtectedMarkdown, translated: string): string[] => {
+  const issues: string[] = [];
+
+  source.placeholders.forEach((_, index) => {
+    const count = translated.split(placeholder(index)).length - 1;
+    if (count !== 1) {
+      issues.push(`${placeholder(index)} must appear exactly once (found ${count})`);
+    }
+  });
+
+  const expected = headingLevels(source.text);
+  const actual = headingLevels(translated);
+  if (expected.join() !== actual.join()) {
+    issues.push(`Headings must match the original levels and order (expected ${expected.map(level => `H${level}`).join(', ') || 'none'}, got ${actual.map(level => `H${level}`).join(', ') || 'none'})`);
+  }
+
+  return issues;
+};
+
+// Fingerprint of the parts of a post a translation is derived from
+export const translationSourceHash = (blog: { title: string; content: string }) =>
+  crypto.createHash('sha1').update(`${blog.title}\n${blog.content}`).digest('hex');
+
+// Canonical BCP 47 tag such as "fr" or "pt-BR", or null when the value is not a locale
+export const normalizeLocale = (value: string): string | null => {
+  try {
+    return Intl.getCanonicalLocales(value)[0] ?? null;
+  } catch {
+    return null;
+  }
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+export const languageName = (locale: string) => {
+  try {
+    return languageNames.of(locale) || locale;
+  } catch {
+    return locale;
+  }
+};
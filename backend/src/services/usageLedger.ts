@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import Prompt from '../models/Prompt';
+import User, { Plan } from '../models/User';
+import UsageEntry, { UsageOperation } from '../models/UsageEntry';
+import { UsageRecorder } from './llm';
+import { creditsForTokens } from './credits';
+
+interface UsageRecord {
+  userId: mongoose.Types.ObjectId;
+  plan?: Plan;
+  operation: UsageOperation;
+  usage: UsageRecorder;
+  promptId?: mongoose.Types.ObjectId | string;
+  blogId?: mongoose.Types.ObjectId | string;
+  // Charge credits for this operation; failed operations are recorded but never charged
+  charge: boolean;
+  succeeded?: boolean;
+}
+
+// Write the operation to the user's ledger and the prompt's call log, and charge credits for it.
+// Returns the number of credits charged.
+export const recordUsage = async ({
+  userId,
+  plan,
+  operation,
+  usage,
+  promptId,
+  blogId,
+  charge,
+  succeeded = true
+}: UsageRecord) => {
+  const totals = usage.totals;
+  const credits = charge && succeeded
+    ? creditsForTokens(plan, totals.promptTokens + totals.completionTokens)
+    : 0;
+
+  await UsageEntry.create({
+    userId,
+    promptId,
+    blogId,
+    operation,
+    succeeded,
+    calls: usage.calls,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    cost: totals.cost,
+    credits
+  });
+
+  if (promptId && usage.calls.length) {
+    const createdAt = new Date();
+    await Prompt.updateOne(
+      { _id: promptId },
+      { $push: { usage: { $each: usage.calls.map(call => ({ ...call, operation, createdAt })) } } }
+    );
+  }
+
+  if (credits) {
+    await User.updateOne(
+      { _id: userId },
+      { $inc: { 'subscription.creditsUsed': credits } }
+    );
+  }
+
+  return credits;
+};
+
+// Keep the cost of failed operations on the books; this must never mask the original error
+export const recordFailedUsage = async (record: Omit<UsageRecord, 'charge' | 'succeeded'>) => {
+  if (record.usage.calls.length === 0) return;
+
+  try {
+    await recordUsage({ ...record, charge: false, succeeded: false });
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+};
@@ -0,0 +1,45 @@
+import VoiceProfile, { IVoiceProfile, PointOfView } from '../models/VoiceProfile';
+import { workspaceScope } from './workspace';
+
+export interface VoiceSettings {
+  name: string;
+  tone?: string;
+  readingLevel?: string;
+  pointOfView?: PointOfView;
+  bannedPhrases?: string[];
+  preferredCta?: string;
+}
+
+const POINT_OF_VIEW: Record<PointOfView, string> = {
+  'first-person-singular': 'first person singular ("I")',
+  'first-person-plural': 'first person plural ("we")',
+  'second-person': 'second person, addressing the reader as "you"',
+  'third-person': 'third person'
+};
+
+// An explicit id wins; undefined falls back to the user's default profile and null means no profile
+export const resolveVoiceProfile = async (user: any, voiceProfileId?: string | null): Promise<IVoiceProfile | null> => {
+  if (voiceProfileId === null) return null;
+
+  if (voiceProfileId) {
+    return VoiceProfile.findOne({ _id: voiceProfileId, ...workspaceScope(user) });
+  }
+
+  return VoiceProfile.findOne({ userId: user._id, isDefault: true });
+};
+
+export const composeVoiceInstructions = (voice: VoiceSettings) => {
+  const rules: string[] = [];
+
+  if (voice.tone) rules.push(`- Tone: ${voice.tone}`);
+  if (voice.readingLevel) rules.push(`- Reading level: ${voice.readingLevel}`);
+  if (voice.pointOfView) rules.push(`- Write in the ${POINT_OF_VIEW[voice.pointOfView]}`);
+  if (voice.bannedPhrases?.length) {
+    rules.push(`- Never use these phrases: ${voice.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  if (voice.preferredCta) rules.push(`- When a call to action fits, use: ${voice.preferredCta}`);
+
+  if (rules.length === 0) return '';
+
+  return `Write in the "${voice.name}" brand voice:\n${rules.join('\n')}`;
+};
@@ -0,0 +1,4 @@
+// Documents a user can see: their own, plus those shared with their workspace
+export const workspaceScope = (user: any) => user.workspaceId
+  ? { $or: [{ userId: user._id }, { workspaceId: user.workspaceId }] }
+  : { userId: user._id };
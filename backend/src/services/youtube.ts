@@ -0,0 +1,186 @@
+import axios from 'axios';
+import {
+  YoutubeTranscript,
+  YoutubeTranscriptDisabledError,
+  YoutubeTranscriptNotAvailableError,
+  YoutubeTranscriptNotAvailableLanguageError,
+  YoutubeTranscriptVideoUnavailableError
+} from 'youtube-transcript';
+import { TranscriptSegment } from './transcriptChunker';
+import { segmentsToTranscript } from './captions';
+import { decodeEntities } from './article';
+import { languageName } from './translation';
+import { extractVideoId } from './youtubeUrl';
+
+// Same agent the transcript library sends, so the watch page embeds the same caption data
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_4) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.83 Safari/537.36,gzip(gfe)';
+
+// Link to a moment in the video
+export const timestampUrl = (videoId: string, seconds: number) =>
+  `https://www.youtube.com/watch?v=${videoId}&t=${Math.max(0, Math.floor(seconds))}s`;
+
+// Link to a moment of any video: YouTube and Vimeo take it in their own formats, other players as a media fragment
+export const momentUrl = (videoUrl: string, seconds: number) => {
+  const videoId = extractVideoId(videoUrl);
+  if (videoId) return timestampUrl(videoId, seconds);
+
+  const start = Math.max(0, Math.floor(seconds));
+  const base = videoUrl.replace(/#.*$/, '');
+  return /^https?:\/\/(www\.)?vimeo\.com\//i.test(base) ? `${base}#t=${start}s` : `${base}#t=${start}`;
+};
+
+export interface VideoMetadata {
+  title: string;
+  author: string;
+  authorUrl: string;
+  thumbnail: string;
+}
+
+export const fetchVideoMetadata = async (videoId: string): Promise<VideoMetadata | null> => {
+  try {
+    // Using YouTube oEmbed API (no API key required)
+    const response = await axios.get(`https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`);
+    return {
+      title: response.data.title,
+      author: response.data.author_name,
+      authorUrl: response.data.author_url,
+      thumbnail: response.data.thumbnail_url
+    };
+  } catch (error) {
+    console.error('Error fetching video metadata:', error);
+    return null;
+  }
+};
+
+export interface CaptionTrack {
+  // YouTube's id for the track, e.g. ".es" for uploaded Spanish captions and "a.es" for auto-generated ones
+  id: string;
+  languageCode: string;
+  name: string;
+  // Captions uploaded by the creator, or generated by speech recognition
+  kind: 'manual' | 'auto';
+}
+
+interface CaptionTrackSource extends CaptionTrack {
+  baseUrl: string;
+}
+
+export class CaptionTrackError extends Error {
+  constructor(message: string, public available: CaptionTrack[]) {
+    super(message);
+    this.name = 'CaptionTrackError';
+  }
+}
+
+const trackName = (track: any, languageCode: string) =>
+  track.name?.simpleText
+    || track.name?.runs?.map((run: { text: string }) => run.text).join('')
+    || languageName(languageCode);
+
+// Caption tracks listed in the watch page's player response, with the URLs their timed text is served from
+const fetchCaptionTrackSources = async (videoId: string): Promise<CaptionTrackSource[]> => {
+  const response = await axios.get<string>(`https://www.youtube.com/watch?v=${videoId}`, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'en' },
+    responseType: 'text'
+  });
+
+  const [, captionsJson] = response.data.split('"captions":');
+  if (!captionsJson) return [];
+
+  let captions: any;
+  try {
+    captions = JSON.parse(captionsJson.split(',"videoDetails')[0].replace('\n', ''));
+  } catch {
+    return [];
+  }
+
+  const tracks: any[] = captions?.playerCaptionsTracklistRenderer?.captionTracks ?? [];
+  return tracks
+    .filter(track => track.baseUrl && track.languageCode)
+    .map(track => ({
+      id: track.vssId || `${track.kind === 'asr' ? 'a' : ''}.${track.languageCode}`,
+      languageCode: track.languageCode,
+      name: trackName(track, track.languageCode),
+      kind: track.kind === 'asr' ? 'auto' : 'manual',
+      baseUrl: track.baseUrl
+    }));
+};
+
+// Caption tracks a video offers, uploaded ones first; empty when it has none
+export const fetchCaptionTracks = async (videoId: string): Promise<CaptionTrack[]> => {
+  const sources = await fetchCaptionTrackSources(videoId);
+  return sources
+    .map(({ baseUrl, ...track }) => track)
+    .sort((a, b) => Number(a.kind === 'auto') - Number(b.kind === 'auto'));
+};
+
+const TIMED_TEXT = /<text start="([^"]*)" dur="([^"]*)"[^>]*>([^<]*)<\/text>/g;
+
+// Segments of one caption track; its text arrives HTML-escaped twice (&amp;#39;)
+const fetchTrackSegments = async (track: CaptionTrackSource): Promise<TranscriptSegment[]> => {
+  const response = await axios.get<string>(track.baseUrl, {
+    headers: { 'User-Agent': USER_AGENT },
+    responseType: 'text'
+  });
+
+  return Array.from(response.data.matchAll(TIMED_TEXT), ([, start, duration, text]) => ({
+    text: decodeEntities(decodeEntities(text)).replace(/\s+/g, ' ').trim(),
+    offset: parseFloat(start),
+    duration: parseFloat(duration)
+  })).filter(segment => segment.text);
+};
+
+export interface VideoTranscript {
+  videoId: string;
+  transcript: string;
+  // Original segments with timestamps
+  segments: TranscriptSegment[];
+  metadata: VideoMetadata | null;
+  // Language of the captions the transcript was taken from, when known
+  language: string | null;
+  // The track that was asked for; null when YouTube's default track was used
+  track: CaptionTrack | null;
+}
+
+// Transcript and metadata of a video, from the given caption track or else YouTube's default one;
+// null when the video has no transcript
+export const fetchVideoTranscript = async (
+  videoId: string,
+  options: { trackId?: string } = {}
+): Promise<VideoTranscript | null> => {
+  let segments: (TranscriptSegment & { lang?: string })[];
+  let track: CaptionTrack | null = null;
+
+  if (options.trackId) {
+    const sources = await fetchCaptionTrackSources(videoId);
+    const source = sources.find(candidate => candidate.id === options.trackId);
+    if (!source) {
+      throw new CaptionTrackError('Caption track not found for this video', sources.map(({ baseUrl, ...rest }) => rest));
+    }
+    const { baseUrl, ...rest } = source;
+    track = rest;
+    segments = await fetchTrackSegments(source);
+  } else {
+    segments = await YoutubeTranscript.fetchTranscript(videoId);
+  }
+
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  return {
+    videoId,
+    transcript: segmentsToTranscript(segments),
+    segments,
+    metadata: await fetchVideoMetadata(videoId),
+    language: track?.languageCode ?? segments[0].lang ?? null,
+    track
+  };
+};
+
+export const isTranscriptUnavailableError = (error: any) =>
+  error instanceof YoutubeTranscriptDisabledError
+  || error instanceof YoutubeTranscriptNotAvailableError
+  || error instanceof YoutubeTranscriptNotAvailableLanguageError
+  || error instanceof YoutubeTranscriptVideoUnavailableError
+  || !!error?.message?.includes('Could not get transcript');
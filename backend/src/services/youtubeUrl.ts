@@ -0,0 +1,119 @@
+// Parsing and normalization of YouTube links; frontend/lib/youtube-url.ts mirrors this module
+
+export type YouTubeUrlKind = 'video' | 'short' | 'live' | 'embed' | 'playlist';
+
+export interface ParsedYouTubeUrl {
+  kind: YouTubeUrlKind;
+  // Null only for playlist links
+  videoId: string | null;
+  // Seconds into the video the link starts at, from t= or start=
+  startSeconds: number | null;
+  playlistId: string | null;
+  // Canonical link: https://www.youtube.com/watch?v=<id> for videos, or the playlist page
+  url: string;
+}
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID = /^[A-Za-z0-9_-]{2,}$/;
+// Longer than any video or live archive YouTube keeps; larger values are typos or garbage
+const MAX_START_SECONDS = 24 * 60 * 60;
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com',
+  'youtube-nocookie.com', 'www.youtube-nocookie.com'
+]);
+const SHORT_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+
+// Path prefixes followed by the video id
+const PATH_KINDS: Record<string, YouTubeUrlKind> = {
+  shorts: 'short',
+  live: 'live',
+  embed: 'embed',
+  v: 'embed',
+  e: 'embed'
+};
+
+export const isValidVideoId = (id: string) => VIDEO_ID.test(id);
+
+// "90", "90s", "1m30s", "1h2m3s" or "1:30" in seconds; null when malformed or past MAX_START_SECONDS
+export const parseStartTime = (value: string | null): number | null => {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+  let seconds: number;
+
+  if (/^\d{1,6}s?$/.test(text)) {
+    seconds = parseInt(text, 10);
+  } else if (/^\d{1,3}(:[0-5]\d){1,2}$/.test(text)) {
+    seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  } else {
+    const match = text.match(/^(?:(\d{1,3})h)?(?:(\d{1,4})m)?(?:(\d{1,6})s)?$/);
+    if (!match || !text) return null;
+    const [, hours = '0', minutes = '0', secs = '0'] = match;
+    seconds = Number(hours) * 3600 + Number(minutes) * 60 + Number(secs);
+  }
+
+  return seconds <= MAX_START_SECONDS ? seconds : null;
+};
+
+export const canonicalVideoUrl = (videoId: string) => `https://www.youtube.com/watch?v=${videoId}`;
+
+const toUrl = (input: string) => {
+  const text = input.trim();
+  try {
+    return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+};
+
+// Video id, start time, playlist and kind of a YouTube link; null when it does not link to a video or playlist
+export const parseYouTubeUrl = (input: string): ParsedYouTubeUrl | null => {
+  const url = toUrl(input);
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) return null;
+
+  const host = url.hostname.toLowerCase();
+  // Links pasted with "&" instead of "?" after the id still name the video
+  const segments = url.pathname.split('/').filter(Boolean).map(segment => segment.split('&')[0]);
+  // The fragment form (#t=1m30s) is what the share dialog of some players produces
+  const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const startSeconds = parseStartTime(url.searchParams.get('t') ?? url.searchParams.get('start') ?? hashParams.get('t'));
+  const listParam = url.searchParams.get('list');
+  const playlistId = listParam && PLAYLIST_ID.test(listParam) ? listParam : null;
+
+  let kind: YouTubeUrlKind = 'video';
+  let videoId: string | null = null;
+
+  if (SHORT_HOSTS.has(host)) {
+    videoId = segments[0] ?? null;
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    const [first, second] = segments;
+
+    if (first === 'watch') {
+      videoId = url.searchParams.get('v') ?? second ?? null;
+    } else if (first && second && PATH_KINDS[first]) {
+      kind = PATH_KINDS[first];
+      videoId = second;
+    } else if (first === 'attribution_link') {
+      // Old share links wrap the watch path in u=
+      const target = url.searchParams.get('u');
+      return target ? parseYouTubeUrl(`https://www.youtube.com${target.startsWith('/') ? '' : '/'}${target}`) : null;
+    } else if (first === 'playlist' && playlistId) {
+      return {
+        kind: 'playlist',
+        videoId: null,
+        startSeconds: null,
+        playlistId,
+        url: `https://www.youtube.com/playlist?list=${playlistId}`
+      };
+    }
+  } else {
+    return null;
+  }
+
+  if (!videoId || !isValidVideoId(videoId)) return null;
+
+  return { kind, videoId, startSeconds, playlistId, url: canonicalVideoUrl(videoId) };
+};
+
+// Video id of a YouTube link, or null when it does not link to a single video
+export const extractVideoId = (url: string): string | null => parseYouTubeUrl(url)?.videoId ?? null;
@@ -0,0 +1,90 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateBlog, generateFaq } from '../src/services/ai';
+import { BlogValidationError } from '../src/services/blogSchema';
+import { UsageRecorder } from '../src/services/llm';
+import { setFixtureResponder } from '../src/services/llm/fixture';
+
+// The provider is resolved per call, so this applies even though the modules are already loaded
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'fixture';
+
+const params = { type: 'text' as const, prompt: 'Composting at home' };
+
+describe('generateBlog with the fixture provider', () => {
+  it('produces the same valid post for the same input', async () => {
+    const first = await generateBlog(params);
+    const second = await generateBlog(params);
+
+    assert.deepEqual(second, first);
+    assert.match(first.title, /^Sample Blog Post [0-9a-f]{6}$/);
+    assert.match(first.content, /^## Introduction/m);
+    assert.equal(first.seoMeta.metaTitle, 'Sample Blog Post');
+  });
+
+  it('derives the post from its input', async () => {
+    const other = await generateBlog({ ...params, prompt: 'Pruning fruit trees' });
+    assert.notEqual(other.title, (await generateBlog(params)).title);
+  });
+
+  it('cites and maps timed transcripts and adds an FAQ on request', async () => {
+    const blog = await generateBlog({
+      type: 'youtube',
+      prompt: 'Composting at home',
+      youtubeUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      transcript: 'Choose a bin. Balance greens and browns.',
+      segments: [
+        { text: 'Choose a bin.', offset: 0, duration: 4 },
+        { text: 'Balance greens and browns.', offset: 75, duration: 5 }
+      ],
+      includeFaq: true
+    });
+
+    assert.match(blog.content, /\[0:00\]\(https:\/\/www\.youtube\.com\/watch\?v=dQw4w9WgXcQ[^)]*\)/);
+    assert.ok(blog.sourceMap?.length);
+    assert.equal(blog.faq?.length, 3);
+  });
+});
+
+describe('repairs of malformed model output', () => {
+  let restore: (() => void) | undefined;
+
+  afterEach(() => {
+    restore?.();
+    restore = undefined;
+  });
+
+  it('repairs post metadata that is not valid JSON', async () => {
+    restore = setFixtureResponder('blog.metadata', () => '{"summary": "Cut off in the mid');
+    const usage = new UsageRecorder();
+
+    const blog = await generateBlog(params, { usage });
+
+    assert.equal(blog.summary, 'This is a sample blog post summary produced by the fixture provider.');
+    assert.ok(blog.tags.length >= 3);
+    assert.deepEqual(usage.calls.map(call => call.purpose), ['blog.draft', 'blog.metadata', 'blog.repair']);
+  });
+
+  it('asks again when a JSON answer is malformed', async () => {
+    const answers = [
+      '{"faq": [{"question": "Is it',
+      JSON.stringify({ faq: [1, 2, 3].map(n => ({ question: `Question ${n}?`, answer: `Answer ${n}.` })) })
+    ];
+    restore = setFixtureResponder('blog.faq', () => answers.shift() ?? '{}');
+    const usage = new UsageRecorder();
+
+    const faq = await generateFaq({ title: 'Composting at home', content: '## Bins\n\nUse a bin.' }, { usage });
+
+    assert.deepEqual(faq.map(item => item.question), ['Question 1?', 'Question 2?', 'Question 3?']);
+    assert.equal(usage.calls.length, 2);
+  });
+
+  it('gives up after the bounded number of attempts', async () => {
+    restore = setFixtureResponder('blog.faq', () => 'not json');
+    const usage = new UsageRecorder();
+
+    await assert.rejects(generateFaq({ title: 'Composting at home', content: 'Use a bin.' }, { usage }), BlogValidationError);
+    // The first answer and two repairs with the default LLM_REPAIR_ATTEMPTS
+    assert.equal(usage.calls.length, 3);
+  });
+});
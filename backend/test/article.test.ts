@@ -0,0 +1,155 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { createHttpFetcher, FetchError, getHttpFetcher, setHttpFetcher } from '../src/services/httpFetcher';
+import { ArticleError, extractArticle, fetchArticle } from '../src/services/article';
+
+const paragraph = (topic: string) =>
+  `<p>${topic} is covered in depth here, with enough words in every paragraph that the extractor treats it as article text rather than navigation or boilerplate around it.</p>`;
+
+const ARTICLE = `<!doctype html>
+<html>
+  <head>
+    <title>Composting at home | Garden Weekly</title>
+    <meta property="og:site_name" content="Garden Weekly">
+    <meta name="author" content="Ada Gardener">
+    <meta property="article:published_time" content="2024-03-05T10:00:00Z">
+  </head>
+  <body>
+    <nav class="site-nav"><a href="/">Home</a> <a href="/about">About</a></nav>
+    <article>
+      <h1>Composting at home</h1>
+      ${paragraph('Choosing a bin')}
+      ${paragraph('Balancing greens and browns')}
+      ${paragraph('Turning the pile')}
+      <div class="share-buttons">Share this on every network you can think of</div>
+    </article>
+    <footer class="footer">Copyright Garden Weekly</footer>
+  </body>
+</html>`;
+
+const routes: Record<string, (res: http.ServerResponse) => void> = {
+  '/article': res => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(ARTICLE);
+  },
+  '/moved': res => {
+    res.writeHead(301, { Location: '/article' });
+    res.end();
+  },
+  '/bad-redirect': res => {
+    res.writeHead(302, { Location: 'http://[not-an-address/' });
+    res.end();
+  },
+  '/loop': res => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/missing': res => {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<p>Not found</p>');
+  },
+  '/image': res => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end('png');
+  },
+  '/empty': res => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body><nav>Home</nav></body></html>');
+  }
+};
+
+let server: http.Server;
+let base: string;
+const defaultFetcher = getHttpFetcher();
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url ?? ''];
+    if (route) return route(res);
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+after(() => {
+  setHttpFetcher(defaultFetcher);
+  server.close();
+});
+
+describe('fetchArticle against a fixture server', () => {
+  before(() => setHttpFetcher(createHttpFetcher({ allowPrivateHosts: true, timeoutMs: 5000 })));
+
+  it('extracts the text and metadata of an article', async () => {
+    const article = await fetchArticle(`${base}/article`);
+
+    assert.equal(article.title, 'Composting at home');
+    assert.equal(article.author, 'Ada Gardener');
+    assert.equal(article.siteName, 'Garden Weekly');
+    assert.equal(article.publishedAt?.slice(0, 10), '2024-03-05');
+    assert.match(article.text, /Balancing greens and browns/);
+    assert.doesNotMatch(article.text, /Share this|Copyright|About/);
+  });
+
+  it('follows redirects and reports the final URL', async () => {
+    const article = await fetchArticle(`${base}/moved`);
+    assert.equal(article.url, `${base}/article`);
+  });
+
+  const failures: [string, RegExp][] = [
+    ['/missing', /HTTP 404/],
+    ['/image', /not point to a web page/],
+    ['/empty', /Could not find article text/],
+    ['/bad-redirect', /redirected to an invalid URL/],
+    ['/loop', /redirected too many times/]
+  ];
+
+  for (const [path, message] of failures) {
+    it(`rejects ${path} with a 422`, async () => {
+      await assert.rejects(fetchArticle(`${base}${path}`), (error: unknown) =>
+        error instanceof ArticleError && error.status === 422 && message.test(error.message));
+    });
+  }
+
+  it('rejects hosts that do not resolve with a 422', async () => {
+    await assert.rejects(fetchArticle('http://blogtube-test.invalid/post'), (error: unknown) =>
+      error instanceof ArticleError && error.status === 422 && /could not be found/.test(error.message));
+  });
+});
+
+describe('extractArticle', () => {
+  it('skips inline scripts and styles in linear time', { timeout: 1000 }, () => {
+    const scripts = Array.from({ length: 3000 }, (_, n) =>
+      `<SCRIPT>window.track${n} = "</div><p>Tracking code</p>";</SCRIPT><style>.x${n} { color: red }</style>`).join('\n');
+    const article = extractArticle(ARTICLE.replace('<article>', `${scripts}<article>`), 'https://example.com/compost');
+
+    assert.match(article.text, /Turning the pile/);
+    assert.doesNotMatch(article.text, /Tracking code|color: red/);
+  });
+});
+
+describe('default fetcher', () => {
+  const fetcher = createHttpFetcher({ timeoutMs: 5000 });
+
+  const rejects = (url: string, message: RegExp) =>
+    assert.rejects(fetcher.get(url), (error: unknown) => error instanceof FetchError && message.test(error.message));
+
+  it('refuses private IP addresses', async () => {
+    await rejects(`${base}/article`, /private networks/);
+    await rejects('http://[::1]/', /private networks/);
+    await rejects('http://10.0.0.1/', /private networks/);
+  });
+
+  it('refuses host names that resolve to private addresses', async () => {
+    await rejects(`http://localhost:${new URL(base).port}/article`, /private networks/);
+  });
+
+  it('reports unresolvable hosts, invalid URLs and other schemes as fetch errors', async () => {
+    await rejects('http://blogtube-test.invalid/', /could not be found/);
+    await rejects('not a url', /Invalid URL/);
+    await rejects('ftp://example.com/file', /Only http and https/);
+  });
+});
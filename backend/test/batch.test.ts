@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateRowCredits, parseBatchRows } from '../src/services/batch';
+import { estimateGenerationCredits, tokensPerCredit } from '../src/services/credits';
+
+describe('estimateGenerationCredits', () => {
+  const cases: [string, string | null, boolean, number][] = [
+    ['a short topic', 'Composting at home', false, 1],
+    ['an unfetched source', null, false, 1],
+    ['an unfetched source with an FAQ', null, true, 1],
+    ['a transcript of 60,000 characters', 'x'.repeat(60000), false, 2],
+    ['a transcript of 200,000 characters', 'x'.repeat(200000), false, 4]
+  ];
+
+  for (const [name, source, includeFaq, credits] of cases) {
+    it(`charges ${credits} for ${name} on the free plan`, () => {
+      assert.equal(estimateGenerationCredits('free', source, includeFaq), credits);
+    });
+  }
+
+  it('scales with the tokens a credit buys on the plan', () => {
+    assert.ok(tokensPerCredit('enterprise') > tokensPerCredit('free'));
+    assert.ok(estimateGenerationCredits('enterprise', 'x'.repeat(200000)) < estimateGenerationCredits('free', 'x'.repeat(200000)));
+  });
+});
+
+describe('estimateRowCredits', () => {
+  it('estimates every row of a batch, URL rows from a typical source', () => {
+    const rows = parseBatchRows([
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      'https://example.com/press-release',
+      `"${'A very long brief. '.repeat(4000)}"`
+    ].join('\n'));
+
+    assert.deepEqual(rows.map(row => row.type), ['youtube', 'article', 'text']);
+    assert.deepEqual(rows.map(row => estimateRowCredits(row, 'free', false)), [1, 1, 2]);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generationRequestHash } from '../src/services/generationCache';
+
+const request = {
+  type: 'youtube',
+  prompt: 'Composting at home',
+  transcript: 'Choose a bin. Balance greens and browns.',
+  plan: 'free' as const
+};
+const segments = [
+  { text: 'Choose a bin.', offset: 0, duration: 4 },
+  { text: 'Balance greens and browns.', offset: 75, duration: 5 }
+];
+
+describe('generationRequestHash', () => {
+  it('is stable for the same request', () => {
+    assert.equal(generationRequestHash({ ...request, segments }), generationRequestHash({ ...request, segments }));
+  });
+
+  it('changes when the same captions are timed differently', () => {
+    const resynced = segments.map(segment => ({ ...segment, offset: segment.offset + 2 }));
+    assert.notEqual(generationRequestHash({ ...request, segments: resynced }), generationRequestHash({ ...request, segments }));
+  });
+
+  it('keeps fingerprints of requests without segments unchanged', () => {
+    assert.equal(generationRequestHash({ ...request, segments: [] }), generationRequestHash(request));
+    assert.notEqual(generationRequestHash({ ...request, segments }), generationRequestHash(request));
+  });
+});
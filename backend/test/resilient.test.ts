@@ -0,0 +1,78 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompletionRequest, LLMProvider } from '../src/services/llm/types';
+import { LLMCircuitOpenError, LLMRequestError, LLMUnavailableError } from '../src/services/llm/errors';
+
+// Read when the module loads: an empty timeout must fall back to the default, not time out every call
+process.env.LLM_TIMEOUT_MS = '';
+process.env.LLM_MAX_RETRIES = 'abc';
+process.env.LLM_RETRY_BASE_MS = '50';
+process.env.LLM_BREAKER_THRESHOLD = '6';
+
+let ResilientProvider: typeof import('../src/services/llm/resilient').ResilientProvider;
+
+before(async () => {
+  ({ ResilientProvider } = await import('../src/services/llm/resilient'));
+});
+
+const request: CompletionRequest = { purpose: 'test', messages: [{ role: 'user', content: 'Hi' }] };
+
+// Fails with the given errors in turn, then answers after a short delay
+const scripted = (name: string, errors: Error[]) => {
+  let calls = 0;
+  const provider: LLMProvider & { calls: () => number } = {
+    name,
+    calls: () => calls,
+    async complete() {
+      const error = errors[calls++];
+      if (error) throw error;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { content: 'ok', model: 'scripted' };
+    },
+    stream(req, onToken) {
+      return this.complete(req).then(result => {
+        onToken(result.content);
+        return result;
+      });
+    }
+  };
+  return provider;
+};
+
+describe('ResilientProvider', () => {
+  it('falls back to the defaults for empty or invalid settings', { timeout: 5000 }, async () => {
+    const inner = scripted('defaults', []);
+    const result = await new ResilientProvider(inner).complete(request);
+    assert.equal(result.content, 'ok');
+  });
+
+  it('retries transient failures', async () => {
+    const inner = scripted('transient', [
+      new LLMUnavailableError('transient', 'overloaded', 503),
+      new LLMUnavailableError('transient', 'overloaded', 503)
+    ]);
+    const result = await new ResilientProvider(inner).complete(request);
+    assert.equal(result.content, 'ok');
+    assert.equal(inner.calls(), 3);
+  });
+
+  it('does not retry rejected requests', async () => {
+    const inner = scripted('rejected', [new LLMRequestError('rejected', 'bad request', 400)]);
+    await assert.rejects(new ResilientProvider(inner).complete(request), LLMRequestError);
+    assert.equal(inner.calls(), 1);
+  });
+
+  it('opens the circuit after consecutive failures and then fails fast', async () => {
+    const failure = new LLMUnavailableError('flaky', 'down', 503);
+    const inner = scripted('flaky', Array(20).fill(failure));
+    const provider = new ResilientProvider(inner);
+
+    // Four attempts per call with the default of three retries; the sixth failure opens the circuit
+    await assert.rejects(provider.complete(request), LLMUnavailableError);
+    await assert.rejects(provider.complete(request), LLMUnavailableError);
+    assert.equal(inner.calls(), 6);
+
+    await assert.rejects(provider.complete(request), LLMCircuitOpenError);
+    assert.equal(inner.calls(), 6);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as backend from '../src/services/youtubeUrl';
+// The dashboard's copy has to parse links exactly as the API does, so it runs against the same table
+import * as frontend from '../../frontend/lib/youtube-url';
+
+const ID = 'dQw4w9WgXcQ';
+const WATCH = `https://www.youtube.com/watch?v=${ID}`;
+
+type Expected = {
+  kind: string;
+  videoId: string | null;
+  startSeconds?: number | null;
+  playlistId?: string | null;
+  url?: string;
+} | null;
+
+const cases: [string, Expected][] = [
+  // Watch pages
+  [WATCH, { kind: 'video', videoId: ID }],
+  [`http://youtube.com/watch?v=${ID}`, { kind: 'video', videoId: ID }],
+  [`www.youtube.com/watch?v=${ID}`, { kind: 'video', videoId: ID }],
+  [`youtube.com/watch?v=${ID}`, { kind: 'video', videoId: ID }],
+  [`  ${WATCH}  `, { kind: 'video', videoId: ID }],
+  [`HTTPS://WWW.YOUTUBE.COM/watch?v=${ID}`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/watch?feature=share&v=${ID}&ab_channel=Rick`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/watch/${ID}`, { kind: 'video', videoId: ID }],
+  [`https://m.youtube.com/watch?v=${ID}`, { kind: 'video', videoId: ID }],
+  [`https://music.youtube.com/watch?v=${ID}&si=abc`, { kind: 'video', videoId: ID }],
+
+  // Short links
+  [`https://youtu.be/${ID}`, { kind: 'video', videoId: ID }],
+  [`youtu.be/${ID}?si=xyz`, { kind: 'video', videoId: ID }],
+  [`https://www.youtu.be/${ID}`, { kind: 'video', videoId: ID }],
+  [`https://youtu.be/${ID}&feature=shared`, { kind: 'video', videoId: ID }],
+
+  // Shorts, live, embeds
+  [`https://www.youtube.com/shorts/${ID}`, { kind: 'short', videoId: ID }],
+  [`https://youtube.com/shorts/${ID}?feature=share`, { kind: 'short', videoId: ID }],
+  [`https://m.youtube.com/shorts/${ID}`, { kind: 'short', videoId: ID }],
+  [`https://www.youtube.com/live/${ID}?si=abc`, { kind: 'live', videoId: ID }],
+  [`https://www.youtube.com/embed/${ID}`, { kind: 'embed', videoId: ID }],
+  [`https://www.youtube.com/embed/${ID}?start=42`, { kind: 'embed', videoId: ID, startSeconds: 42 }],
+  [`https://www.youtube-nocookie.com/embed/${ID}`, { kind: 'embed', videoId: ID }],
+  [`https://youtube-nocookie.com/embed/${ID}?start=5`, { kind: 'embed', videoId: ID, startSeconds: 5 }],
+  [`https://www.youtube.com/v/${ID}`, { kind: 'embed', videoId: ID }],
+  [`https://www.youtube.com/e/${ID}`, { kind: 'embed', videoId: ID }],
+
+  // Start times
+  [`${WATCH}&t=90`, { kind: 'video', videoId: ID, startSeconds: 90 }],
+  [`${WATCH}&t=90s`, { kind: 'video', videoId: ID, startSeconds: 90 }],
+  [`${WATCH}&t=1m30s`, { kind: 'video', videoId: ID, startSeconds: 90 }],
+  [`${WATCH}&t=1h2m3s`, { kind: 'video', videoId: ID, startSeconds: 3723 }],
+  [`${WATCH}&t=1h`, { kind: 'video', videoId: ID, startSeconds: 3600 }],
+  [`${WATCH}&t=2M`, { kind: 'video', videoId: ID, startSeconds: 120 }],
+  [`${WATCH}&t=1:30`, { kind: 'video', videoId: ID, startSeconds: 90 }],
+  [`${WATCH}&t=1:02:03`, { kind: 'video', videoId: ID, startSeconds: 3723 }],
+  [`${WATCH}&start=75`, { kind: 'video', videoId: ID, startSeconds: 75 }],
+  [`${WATCH}#t=1m30s`, { kind: 'video', videoId: ID, startSeconds: 90 }],
+  [`https://youtu.be/${ID}?t=42`, { kind: 'video', videoId: ID, startSeconds: 42 }],
+  [`${WATCH}&t=0`, { kind: 'video', videoId: ID, startSeconds: 0 }],
+  [`${WATCH}&t=86400`, { kind: 'video', videoId: ID, startSeconds: 86400 }],
+  // Malformed or out-of-range start times drop the time, not the link
+  [`${WATCH}&t=86401`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=999999999999999999999`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=999h`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=1:75`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=-5`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=abc`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [`${WATCH}&t=`, { kind: 'video', videoId: ID, startSeconds: null }],
+  [WATCH, { kind: 'video', videoId: ID, startSeconds: null }],
+
+  // Playlists
+  [`${WATCH}&list=PLabc123`, { kind: 'video', videoId: ID, playlistId: 'PLabc123', url: WATCH }],
+  [
+    'https://www.youtube.com/playlist?list=PLabc123',
+    { kind: 'playlist', videoId: null, playlistId: 'PLabc123', url: 'https://www.youtube.com/playlist?list=PLabc123' }
+  ],
+  ['https://www.youtube.com/playlist', null],
+  ['https://www.youtube.com/playlist?list=', null],
+
+  // Attribution links wrap a watch path
+  [`https://www.youtube.com/attribution_link?a=xyz&u=%2Fwatch%3Fv%3D${ID}%26feature%3Dshare`, { kind: 'video', videoId: ID }],
+  [`https://www.youtube.com/attribution_link?a=xyz&u=watch%3Fv%3D${ID}`, { kind: 'video', videoId: ID }],
+  ['https://www.youtube.com/attribution_link?a=xyz', null],
+
+  // Invalid ids
+  ['https://www.youtube.com/watch?v=short', null],
+  [`https://www.youtube.com/watch?v=${ID}x`, null],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXc!', null],
+  ['https://www.youtube.com/watch', null],
+  ['https://youtu.be/', null],
+  ['https://www.youtube.com/shorts/', null],
+  ['https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw', null],
+  ['https://www.youtube.com/', null],
+
+  // Other hosts and schemes
+  [`https://vimeo.com/${ID}`, null],
+  [`https://notyoutube.com/watch?v=${ID}`, null],
+  [`https://youtube.com.evil.example/watch?v=${ID}`, null],
+  [`ftp://www.youtube.com/watch?v=${ID}`, null],
+  [`javascript:alert('${ID}')`, null],
+  [`file:///watch?v=${ID}`, null],
+  [`data:text/html,${ID}`, null],
+
+  // Not URLs
+  ['', null],
+  ['   ', null],
+  ['not a url', null],
+  [ID, null]
+];
+
+const implementations = [
+  ['backend', backend],
+  ['frontend', frontend]
+] as const;
+
+for (const [name, module] of implementations) {
+  describe(`parseYouTubeUrl (${name})`, () => {
+    for (const [input, expected] of cases) {
+      it(JSON.stringify(input), () => {
+        const parsed = module.parseYouTubeUrl(input);
+
+        if (!expected) {
+          assert.equal(parsed, null);
+          return;
+        }
+
+        assert.ok(parsed, 'expected the link to parse');
+        assert.equal(parsed.kind, expected.kind);
+        assert.equal(parsed.videoId, expected.videoId);
+        assert.equal(parsed.url, expected.url ?? WATCH);
+        if (expected.startSeconds !== undefined) assert.equal(parsed.startSeconds, expected.startSeconds);
+        if (expected.playlistId !== undefined) assert.equal(parsed.playlistId, expected.playlistId);
+      });
+    }
+  });
+}
+
+describe('extractVideoId', () => {
+  it('returns the id of video links', () => {
+    assert.equal(backend.extractVideoId(`https://youtu.be/${ID}`), ID);
+  });
+
+  it('returns null for playlists and other sites', () => {
+    assert.equal(backend.extractVideoId('https://www.youtube.com/playlist?list=PLabc123'), null);
+    assert.equal(backend.extractVideoId('https://example.com/video.mp4'), null);
+  });
+});
+
+describe('youtubeUrlError (frontend)', () => {
+  it('accepts single videos', () => {
+    assert.equal(frontend.youtubeUrlError(WATCH), null);
+  });
+
+  it('explains why playlists and other links are rejected', () => {
+    assert.match(frontend.youtubeUrlError('https://www.youtube.com/playlist?list=PLabc123') ?? '', /Playlist/);
+    assert.match(frontend.youtubeUrlError('https://example.com') ?? '', /YouTube/);
+  });
+});
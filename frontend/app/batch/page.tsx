@@ -0,0 +1,348 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useUser, useAuth } from "@clerk/nextjs";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/hooks/use-toast";
+import { ArrowLeft, Layers, Loader2, PlayCircle, FileText, Globe, Upload } from "lucide-react";
+import { format } from "date-fns";
+
+type RowStatus = "pending" | "queued" | "running" | "succeeded" | "failed";
+
+interface BatchRow {
+  id: string;
+  type: "youtube" | "text" | "article";
+  input: string;
+  instructions?: string;
+  status: RowStatus;
+  error?: string;
+  reused?: boolean;
+  // Expected cost; the actual charge follows the tokens used
+  estimatedCredits?: number;
+  blogId?: string;
+}
+
+interface Batch {
+  id: string;
+  createdAt: string;
+  done: boolean;
+  counts: Partial<Record<RowStatus, number>>;
+  rows: BatchRow[];
+}
+
+interface VoiceProfile {
+  _id: string;
+  name: string;
+  isDefault: boolean;
+}
+
+const BATCH_POLL_INTERVAL = 3000;
+
+const STATUS_LABELS: Record<RowStatus, string> = {
+  pending: "Fetching",
+  queued: "Queued",
+  running: "Writing",
+  succeeded: "Done",
+  failed: "Failed",
+};
+
+const statusVariant = (status: RowStatus) =>
+  status === "succeeded" ? "default" : status === "failed" ? "destructive" : "secondary";
+
+const EXAMPLE = `url,instructions
+https://www.youtube.com/watch?v=dQw4w9WgXcQ,Focus on the key takeaways
+https://example.com/blog/composting-tips,Add a section for apartment dwellers
+Beginner's guide to composting,Keep it under 1500 words`;
+
+export default function BatchPage() {
+  const { user } = useUser();
+  const { getToken } = useAuth();
+  const router = useRouter();
+  const { toast } = useToast();
+  const [csv, setCsv] = useState("");
+  const [includeFaq, setIncludeFaq] = useState(false);
+  const [voiceProfiles, setVoiceProfiles] = useState<VoiceProfile[]>([]);
+  const [voiceProfileId, setVoiceProfileId] = useState("");
+  const [batch, setBatch] = useState<Batch | null>(null);
+  const [recentBatches, setRecentBatches] = useState<Batch[]>([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchRecentBatches = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/batches`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch batches");
+      }
+
+      const data = await response.json();
+      setRecentBatches(data.batches);
+    } catch (error) {
+      console.error("Error fetching batches:", error);
+    }
+  }, [getToken]);
+
+  const fetchVoiceProfiles = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voice-profiles`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch voice profiles");
+      }
+
+      const data = await response.json();
+      setVoiceProfiles(data.profiles);
+      const defaultProfile = data.profiles.find((profile: VoiceProfile) => profile.isDefault);
+      if (defaultProfile) {
+        setVoiceProfileId(defaultProfile._id);
+      }
+    } catch (error) {
+      console.error("Error fetching voice profiles:", error);
+    }
+  }, [getToken]);
+
+  useEffect(() => {
+    if (user) {
+      fetchRecentBatches();
+      fetchVoiceProfiles();
+    }
+  }, [user, fetchRecentBatches, fetchVoiceProfiles]);
+
+  // Follow the open batch until every row has finished
+  useEffect(() => {
+    if (!batch || batch.done) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/batches/${batch.id}`, {
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        });
+
+        if (response.ok) {
+          const data: Batch = await response.json();
+          setBatch(data);
+          if (data.done) {
+            fetchRecentBatches();
+          }
+        }
+      } catch (error) {
+        console.error("Error fetching batch:", error);
+      }
+    }, BATCH_POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [batch, getToken, fetchRecentBatches]);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setCsv(await file.text());
+  };
+
+  const handleSubmit = async () => {
+    if (!csv.trim()) {
+      toast({
+        title: "Error",
+        description: "Add at least one URL or topic",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/batches`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${await getToken()}`,
+        },
+        body: JSON.stringify({
+          csv,
+          includeFaq,
+          voiceProfileId: voiceProfileId || null,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || error.errors?.[0]?.msg || "Failed to start batch");
+      }
+
+      const data: Batch = await response.json();
+      setBatch(data);
+      setCsv("");
+      fetchRecentBatches();
+      toast({
+        title: "Batch started",
+        description: `${data.rows.length} posts queued`,
+      });
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to start batch",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto p-4 max-w-6xl">
+        {/* Header */}
+        <div className="mb-6 flex items-center gap-4">
+          <Button variant="ghost" size="icon" onClick={() => router.push("/dashboard")}>
+            <ArrowLeft className="w-4 h-4" />
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold">Batch Generation</h1>
+            <p className="text-muted-foreground">Queue a post for every YouTube URL, article URL or topic in a list</p>
+          </div>
+        </div>
+
+        <Card className="mb-6 p-4 space-y-3">
+          <Textarea
+            placeholder={`One URL or topic per line, optionally followed by a comma and instructions. A CSV with "url" or "topic" and "instructions" columns works too.\n\n${EXAMPLE}`}
+            value={csv}
+            onChange={(e) => setCsv(e.target.value)}
+            className="min-h-[180px] font-mono text-sm"
+            disabled={isSubmitting}
+          />
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="inline-flex items-center gap-2 text-sm cursor-pointer">
+              <Upload className="w-4 h-4" />
+              Upload CSV
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/plain"
+                className="hidden"
+                onChange={(e) => handleFile(e.target.files?.[0])}
+                disabled={isSubmitting}
+              />
+            </label>
+            {voiceProfiles.length > 0 && (
+              <select
+                aria-label="Brand voice"
+                value={voiceProfileId}
+                onChange={(e) => setVoiceProfileId(e.target.value)}
+                className="h-9 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                disabled={isSubmitting}
+              >
+                <option value="">No brand voice</option>
+                {voiceProfiles.map((profile) => (
+                  <option key={profile._id} value={profile._id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <label className="flex items-center gap-2 text-sm text-muted-foreground">
+              <input
+                type="checkbox"
+                checked={includeFaq}
+                onChange={(e) => setIncludeFaq(e.target.checked)}
+                disabled={isSubmitting}
+              />
+              Add FAQ
+            </label>
+            <Button onClick={handleSubmit} disabled={isSubmitting} className="ml-auto">
+              {isSubmitting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Layers className="w-4 h-4 mr-2" />
+              )}
+              Generate all
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Each post costs at least one credit, more for long videos and articles. The batch is only started when your
+            credits cover the estimated cost of every row, and a row is skipped if the credits left cannot cover it.
+          </p>
+        </Card>
+
+        {batch && (
+          <Card className="mb-6 p-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <h2 className="font-semibold">Batch of {format(new Date(batch.createdAt), "MMM d, HH:mm")}</h2>
+              {!batch.done && <Loader2 className="w-4 h-4 animate-spin text-muted-foreground" />}
+              <span className="text-sm text-muted-foreground">
+                {batch.counts.succeeded || 0} done, {batch.counts.failed || 0} failed, {batch.rows.length} total
+              </span>
+            </div>
+            <div className="divide-y">
+              {batch.rows.map((row, index) => (
+                <div key={row.id} className="flex items-start gap-3 py-2 text-sm">
+                  <span className="w-6 text-muted-foreground">{index + 1}</span>
+                  {row.type === "youtube" ? (
+                    <PlayCircle className="w-4 h-4 mt-0.5 shrink-0" />
+                  ) : row.type === "article" ? (
+                    <Globe className="w-4 h-4 mt-0.5 shrink-0" />
+                  ) : (
+                    <FileText className="w-4 h-4 mt-0.5 shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate">{row.input}</div>
+                    {row.instructions && (
+                      <div className="truncate text-xs text-muted-foreground">{row.instructions}</div>
+                    )}
+                    {row.status === "failed" && row.error && (
+                      <div className="text-xs text-destructive">{row.error}</div>
+                    )}
+                  </div>
+                  {row.estimatedCredits !== undefined && !row.reused && (
+                    <span className="text-xs text-muted-foreground whitespace-nowrap">
+                      ~{row.estimatedCredits} {row.estimatedCredits === 1 ? "credit" : "credits"}
+                    </span>
+                  )}
+                  {row.reused && <Badge variant="outline">Reused</Badge>}
+                  <Badge variant={statusVariant(row.status)}>{STATUS_LABELS[row.status]}</Badge>
+                  {row.blogId && (
+                    <Link href={`/editor/${row.blogId}`} className="text-primary hover:underline whitespace-nowrap">
+                      Open draft
+                    </Link>
+                  )}
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
+        {recentBatches.length > 0 && (
+          <Card className="p-4 space-y-2">
+            <h2 className="font-semibold">Recent batches</h2>
+            {recentBatches.map((recent) => (
+              <button
+                key={recent.id}
+                onClick={() => setBatch(recent)}
+                className="flex w-full items-center justify-between rounded-md px-2 py-1 text-sm hover:bg-muted"
+              >
+                <span>{format(new Date(recent.createdAt), "MMM d, yyyy HH:mm")}</span>
+                <span className="text-muted-foreground">
+                  {recent.counts.succeeded || 0}/{recent.rows.length} done
+                  {recent.counts.failed ? `, ${recent.counts.failed} failed` : ""}
+                  {!recent.done ? " (in progress)" : ""}
+                </span>
+              </button>
+            ))}
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
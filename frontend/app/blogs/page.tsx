@@ -42,6 +42,7 @@ import {
   Archive,
 } from "lucide-react";
 import { format } from "date-fns";
+import { exportMarkdown, FaqItem } from "@/lib/faq";
 
 interface Blog {
   _id: string;
@@ -50,6 +51,7 @@ interface Blog {
   summary: string;
   tags: string[];
   status: "draft" | "published" | "archived";
+  faq?: FaqItem[];
   stats: {
     wordCount: number;
     readTime: number;
@@ -219,7 +221,7 @@ export default function BlogsPage() {
 
   const handleDownload = (blog: Blog) => {
     const element = document.createElement("a");
-    const file = new Blob([blog.content], { type: "text/markdown" });
+    const file = new Blob([exportMarkdown(blog.content, blog.faq)], { type: "text/markdown" });
     element.href = URL.createObjectURL(file);
     element.download = `${blog.title.replace(/\s+/g, "-").toLowerCase()}.md`;
     document.body.appendChild(element);
@@ -11,15 +11,64 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { useToast } from "@/hooks/use-toast";
-import { Loader2, Send, PlayCircle, FileText, Sparkles, Copy, Download, Edit } from "lucide-react";
+import { Loader2, Send, PlayCircle, FileText, Sparkles, Copy, Download, Edit, Mic, ListTree, LayoutTemplate, Layers, Globe, FileUp, Captions, Languages } from "lucide-react";
 import { useRouter } from "next/navigation";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { readServerSentEvents } from "@/lib/sse";
+import { OutlineEditor, OutlineSection } from "@/components/outline-editor";
+import { TemplateFields } from "@/components/template-fields";
+import { PromptTemplate, renderTemplate } from "@/lib/templates";
+import { exportMarkdown, FaqItem } from "@/lib/faq";
+import { describeSimilarPosts, SimilarPost } from "@/components/similar-posts";
+import { DocumentDropZone } from "@/components/document-drop-zone";
+import { CaptionInput } from "@/components/caption-input";
+import { parseYouTubeUrl, youtubeUrlError } from "@/lib/youtube-url";
+import { LOCALES } from "@/lib/locales";
+
+interface GenerationJob {
+  id: string;
+  status: "queued" | "running" | "succeeded" | "failed";
+  blog?: { _id: string; title: string; content: string; summary: string };
+  // Existing posts the new one nearly duplicates
+  similarPosts?: SimilarPost[];
+  error?: string;
+}
+
+const JOB_POLL_INTERVAL = 2000;
+
+type InputMode = "text" | "youtube" | "article" | "document";
+
+const describeProgress = (progress: { stage: string; completed: number; total: number }) => {
+  if (progress.stage === "notes") {
+    return `Reading the source (part ${Math.min(progress.completed + 1, progress.total)} of ${progress.total})...`;
+  }
+  if (progress.stage === "metadata") {
+    return "Adding summary, tags and SEO metadata...";
+  }
+  return "Writing your blog post...";
+};
+
+interface VoiceProfile {
+  _id: string;
+  name: string;
+  isDefault: boolean;
+}
+
+interface CaptionTrack {
+  id: string;
+  languageCode: string;
+  name: string;
+  kind: "manual" | "auto";
+}
 
 interface Message {
   id: string;
   role: "user" | "assistant";
   content: string;
   timestamp: Date;
-  blogData?: { _id: string; title: string; content: string; summary: string };
+  blogData?: { _id: string; title: string; content: string; summary: string; faq?: FaqItem[] };
+  draft?: { title: string; content: string };
 }
 
 export default function DashboardPage() {
@@ -28,19 +77,68 @@ export default function DashboardPage() {
   const { toast } = useToast();
   const router = useRouter();
   const [messages, setMessages] = useState<Message[]>([]);
-  const [inputMode, setInputMode] = useState<"text" | "youtube">("text");
+  const [inputMode, setInputMode] = useState<InputMode>("text");
   const [textPrompt, setTextPrompt] = useState("");
   const [youtubeUrl, setYoutubeUrl] = useState("");
   const [youtubeInstructions, setYoutubeInstructions] = useState("");
+  // Captions supplied by the user, for videos YouTube has no transcript for
+  const [showCaptions, setShowCaptions] = useState(false);
+  const [captionFile, setCaptionFile] = useState<File | null>(null);
+  const [captionText, setCaptionText] = useState("");
+  const [captionTracks, setCaptionTracks] = useState<CaptionTrack[]>([]);
+  const [captionTrackId, setCaptionTrackId] = useState("");
+  const [articleUrl, setArticleUrl] = useState("");
+  const [articleInstructions, setArticleInstructions] = useState("");
+  const [documentFile, setDocumentFile] = useState<File | null>(null);
+  const [documentInstructions, setDocumentInstructions] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [credits, setCredits] = useState({ used: 0, limit: 10 });
+  const [voiceProfiles, setVoiceProfiles] = useState<VoiceProfile[]>([]);
+  const [voiceProfileId, setVoiceProfileId] = useState("");
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+  const [templateId, setTemplateId] = useState("");
+  const [templateValues, setTemplateValues] = useState<Record<string, string>>({});
+  // Skip the server's cache of identical recent requests
+  const [forceNewVariant, setForceNewVariant] = useState(false);
+  const [includeFaq, setIncludeFaq] = useState(false);
+  // Empty leaves the post in the language of its source
+  const [postLanguage, setPostLanguage] = useState("");
+  const [outline, setOutline] = useState<{ promptId: string; sections: OutlineSection[] } | null>(null);
   const scrollAreaRef = useRef<HTMLDivElement>(null);
+  // Idempotency-Key of the request the form currently describes: reused when the same submission is retried,
+  // replaced once the form changes or the server has queued the generation
+  const idempotencyKey = useRef<string | null>(null);
+
+  useEffect(() => {
+    idempotencyKey.current = null;
+  }, [
+    inputMode,
+    textPrompt,
+    youtubeUrl,
+    youtubeInstructions,
+    showCaptions,
+    captionFile,
+    captionText,
+    captionTrackId,
+    articleUrl,
+    articleInstructions,
+    documentFile,
+    documentInstructions,
+    voiceProfileId,
+    templateId,
+    templateValues,
+    forceNewVariant,
+    includeFaq,
+    postLanguage,
+  ]);
 
   useEffect(() => {
     // Sync user with backend on mount
     if (user) {
       syncUser();
       fetchUserCredits();
+      fetchVoiceProfiles();
+      fetchTemplates();
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user]);
@@ -68,17 +166,263 @@ export default function DashboardPage() {
   }, []);
 
   const fetchUserCredits = async () => {
-    // This would fetch from your API
-    // For now, using mock data
-    setCredits({ used: 3, limit: 10 });
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/usage`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch usage");
+      }
+
+      const data = await response.json();
+      setCredits({ used: data.subscription.creditsUsed, limit: data.subscription.creditsLimit });
+    } catch (error) {
+      console.error("Error fetching usage:", error);
+    }
+  };
+
+  const fetchVoiceProfiles = async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/voice-profiles`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch voice profiles");
+      }
+
+      const data = await response.json();
+      setVoiceProfiles(data.profiles);
+      const defaultProfile = data.profiles.find((profile: VoiceProfile) => profile.isDefault);
+      if (defaultProfile) {
+        setVoiceProfileId(defaultProfile._id);
+      }
+    } catch (error) {
+      console.error("Error fetching voice profiles:", error);
+    }
+  };
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/templates`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch templates");
+      }
+
+      const data = await response.json();
+      setTemplates(data.templates);
+    } catch (error) {
+      console.error("Error fetching templates:", error);
+    }
   };
 
-  const handleSubmit = async () => {
+  // Once the link names a video, offer its caption tracks so the transcript's language can be chosen
+  const videoId = inputMode === "youtube" && !showCaptions ? parseYouTubeUrl(youtubeUrl)?.videoId ?? null : null;
+
+  useEffect(() => {
+    setCaptionTracks([]);
+    setCaptionTrackId("");
+    if (!videoId) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/youtube/tracks`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({ url: `https://www.youtube.com/watch?v=${videoId}` }),
+        });
+
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (!cancelled) {
+          // Uploaded captions are listed first and make the better default
+          setCaptionTracks(data.tracks);
+          setCaptionTrackId(data.tracks[0]?.id ?? "");
+        }
+      } catch (error) {
+        console.error("Error fetching caption tracks:", error);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [videoId, getToken]);
+
+  const selectedTemplate = templates.find((template) => template._id === templateId);
+
+  const waitForJob = async (jobId: string): Promise<GenerationJob> => {
+    while (true) {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/jobs/${jobId}`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to check generation status");
+      }
+
+      const job: GenerationJob = await response.json();
+      if (job.status === "succeeded" || job.status === "failed") {
+        return job;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+  };
+
+  // Render tokens as they stream in, falling back to polling if the stream drops
+  const followJob = async (jobId: string, messageId: string): Promise<GenerationJob> => {
+    const updateDraft = (update: (draft: { title: string; content: string }) => { title: string; content: string }) => {
+      setMessages((prev) =>
+        prev.map((message) =>
+          message.id === messageId
+            ? { ...message, draft: update(message.draft || { title: "", content: "" }) }
+            : message
+        )
+      );
+    };
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/jobs/${jobId}/stream`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (response.ok) {
+        let result = null as GenerationJob | null;
+        await readServerSentEvents(response, ({ event, data }) => {
+          const payload = JSON.parse(data);
+          if (event === "progress") {
+            setMessages((prev) =>
+              prev.map((message) =>
+                message.id === messageId ? { ...message, content: describeProgress(payload) } : message
+              )
+            );
+          } else if (event === "title") {
+            updateDraft((draft) => ({ ...draft, title: payload.title }));
+          } else if (event === "delta") {
+            updateDraft((draft) => ({ ...draft, content: draft.content + payload.content }));
+          } else if (event === "done") {
+            result = { id: jobId, status: "succeeded", blog: payload.blog, similarPosts: payload.similarPosts };
+          } else if (event === "failed") {
+            result = { id: jobId, status: "failed", error: payload.error };
+          }
+        });
+        if (result) {
+          return result;
+        }
+      }
+    } catch (error) {
+      console.error("Error streaming blog, falling back to polling:", error);
+    }
+
+    return waitForJob(jobId);
+  };
+
+  // Add the streaming assistant message and resolve once the blog is saved
+  const trackGeneration = async (jobId: string, assistantId: string) => {
+    const assistantMessage: Message = {
+      id: assistantId,
+      role: "assistant",
+      content: "Writing your blog post...",
+      timestamp: new Date(),
+      draft: { title: "", content: "" },
+    };
+    setMessages((prev) => [...prev, assistantMessage]);
+
+    const job = await followJob(jobId, assistantId);
+
+    if (job.status === "failed") {
+      throw new Error(job.error || "Failed to generate blog");
+    }
+
+    // Replace the draft with the saved blog
+    setMessages((prev) =>
+      prev.map((message) =>
+        message.id === assistantId
+          ? {
+              ...message,
+              content: "I've generated a blog post for you. You can view, edit, or download it below.",
+              blogData: job.blog,
+              draft: undefined,
+            }
+          : message
+      )
+    );
+
+    if (job.similarPosts?.length) {
+      toast({
+        title: "Similar posts found",
+        description: `This post overlaps with ${describeSimilarPosts(job.similarPosts)}. Review it before publishing.`,
+      });
+    }
+
+    // Charges scale with the tokens used, so read the new balance back
+    fetchUserCredits();
+  };
+
+  const handleSubmit = async (outlineFirst = false) => {
     console.log("Starting blog generation...");
     console.log("API URL:", process.env.NEXT_PUBLIC_API_URL);
     console.log("User:", user?.id);
     
-    if (inputMode === "text" && !textPrompt.trim()) {
+    const rendered = selectedTemplate ? renderTemplate(selectedTemplate, templateValues) : null;
+    if (rendered?.missing.length) {
+      toast({
+        title: "Error",
+        description: `Fill in: ${rendered.missing.join(", ")}`,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    // A template's rendered text stands in for the prompt or the instructions for a video, article or document
+    const promptText = rendered?.text ?? textPrompt;
+    const sourceInstructions: Record<InputMode, string> = {
+      text: "",
+      youtube: youtubeInstructions,
+      article: articleInstructions,
+      document: documentInstructions,
+    };
+    const instructions = rendered?.text ?? sourceInstructions[inputMode];
+    const source = inputMode === "document"
+      ? documentFile?.name
+      : inputMode === "article"
+        ? articleUrl
+        : youtubeUrl.trim() || captionFile?.name || "pasted transcript";
+    const templateFields = selectedTemplate ? { templateId: selectedTemplate._id, templateValues } : {};
+    // Clicking again after a lost response sends the same key, so it cannot queue a second generation
+    if (!outlineFirst) {
+      idempotencyKey.current ??= crypto.randomUUID();
+    }
+    const generationHeaders: Record<string, string> =
+      outlineFirst || !idempotencyKey.current ? {} : { "Idempotency-Key": idempotencyKey.current };
+    const generationOptions = {
+      includeFaq,
+      ...(postLanguage ? { language: postLanguage } : {}),
+      ...(outlineFirst ? {} : { force: forceNewVariant }),
+    };
+
+    if (inputMode === "text" && !promptText.trim()) {
       toast({
         title: "Error",
         description: "Please enter a prompt",
@@ -87,7 +431,9 @@ export default function DashboardPage() {
       return;
     }
 
-    if (inputMode === "youtube" && !youtubeUrl.trim()) {
+    const hasCaptions = showCaptions && (captionFile !== null || captionText.trim() !== "");
+
+    if (inputMode === "youtube" && !youtubeUrl.trim() && !hasCaptions) {
       toast({
         title: "Error",
         description: "Please enter a YouTube URL",
@@ -96,16 +442,46 @@ export default function DashboardPage() {
       return;
     }
 
+    // Without captions the link has to name a single YouTube video; other sites are fine when captions are supplied
+    const videoUrlError = inputMode === "youtube" && !hasCaptions ? youtubeUrlError(youtubeUrl) : null;
+    if (videoUrlError) {
+      toast({
+        title: "Error",
+        description: videoUrlError,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (inputMode === "article" && !articleUrl.trim()) {
+      toast({
+        title: "Error",
+        description: "Please enter an article URL",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (inputMode === "document" && !documentFile) {
+      toast({
+        title: "Error",
+        description: "Please choose a document",
+        variant: "destructive",
+      });
+      return;
+    }
+
     setIsLoading(true);
 
     // Add user message
     const userMessage: Message = {
       id: Date.now().toString(),
       role: "user",
-      content: inputMode === "text" ? textPrompt : `Generate blog from: ${youtubeUrl}\n${youtubeInstructions ? `Instructions: ${youtubeInstructions}` : ""}`,
+      content: inputMode === "text" ? promptText : `Generate blog from: ${source}\n${instructions ? `Instructions: ${instructions}` : ""}`,
       timestamp: new Date(),
     };
     setMessages((prev) => [...prev, userMessage]);
+    const assistantId = (Date.now() + 1).toString();
 
     try {
       let response;
@@ -113,50 +489,136 @@ export default function DashboardPage() {
       console.log("Auth token:", token ? "Present" : "Missing");
       
       if (inputMode === "youtube") {
-        // First, fetch transcript
-        console.log("Fetching YouTube transcript...");
-        const transcriptRes = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/youtube/transcript`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({ url: youtubeUrl }),
-        });
+        let transcriptRes;
+        if (hasCaptions) {
+          // Parse the user's captions into the same segments YouTube transcripts have
+          const form = new FormData();
+          if (captionFile) {
+            form.append("file", captionFile);
+          } else {
+            form.append("text", captionText);
+          }
+          form.append("url", youtubeUrl.trim());
+
+          transcriptRes = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/youtube/captions`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+            body: form,
+          });
+        } else {
+          // First, fetch transcript
+          console.log("Fetching YouTube transcript...");
+          transcriptRes = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/youtube/transcript`, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify({
+              url: parseYouTubeUrl(youtubeUrl)!.url,
+              ...(captionTrackId ? { trackId: captionTrackId } : {}),
+            }),
+          });
+        }
 
         if (!transcriptRes.ok) {
-          throw new Error("Failed to fetch transcript");
+          const error = await transcriptRes.json().catch(() => ({}));
+          if (transcriptRes.status === 404) {
+            setShowCaptions(true);
+            throw new Error(`${error.error || "No transcript available"}. Upload a caption file or paste the transcript instead.`);
+          }
+          throw new Error(error.error || "Failed to fetch transcript");
         }
 
         const transcriptData = await transcriptRes.json();
 
-        // Generate blog
-        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts`, {
+        // Generate blog, or just its outline
+        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts${outlineFirst ? "/outline" : ""}`, {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             Authorization: `Bearer ${await getToken()}`,
+            ...generationHeaders,
           },
           body: JSON.stringify({
             type: "youtube",
-            prompt: youtubeInstructions || "Create a comprehensive blog post from this video",
-            youtubeUrl,
+            prompt: instructions || "Create a comprehensive blog post from this video",
+            youtubeUrl: (hasCaptions ? youtubeUrl.trim() : parseYouTubeUrl(youtubeUrl)!.url) || undefined,
             transcript: transcriptData.transcript,
-            metadata: transcriptData.metadata,
+            segments: transcriptData.segments,
+            metadata: {
+              ...transcriptData.metadata,
+              transcriptLanguage: transcriptData.language ?? undefined,
+              transcriptTrackKind: transcriptData.track?.kind,
+            },
+            voiceProfileId: voiceProfileId || null,
+            ...templateFields,
+            ...generationOptions,
+          }),
+        });
+      } else if (inputMode === "document" && documentFile) {
+        // Sent as a form so the file is uploaded as is; the backend extracts its text
+        const form = new FormData();
+        form.append("file", documentFile);
+        form.append("type", "document");
+        form.append("prompt", instructions || "Create a comprehensive blog post from this document");
+        form.append("voiceProfileId", voiceProfileId || "null");
+        form.append("includeFaq", String(includeFaq));
+        if (postLanguage) {
+          form.append("language", postLanguage);
+        }
+        if (!outlineFirst) {
+          form.append("force", String(forceNewVariant));
+        }
+        if (selectedTemplate) {
+          form.append("templateId", selectedTemplate._id);
+          form.append("templateValues", JSON.stringify(templateValues));
+        }
+
+        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts${outlineFirst ? "/outline" : ""}`, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            ...generationHeaders,
+          },
+          body: form,
+        });
+      } else if (inputMode === "article") {
+        // The backend fetches the article and extracts its text
+        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts${outlineFirst ? "/outline" : ""}`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+            ...generationHeaders,
+          },
+          body: JSON.stringify({
+            type: "article",
+            prompt: instructions || "Create a comprehensive blog post from this article",
+            articleUrl,
+            voiceProfileId: voiceProfileId || null,
+            ...templateFields,
+            ...generationOptions,
           }),
         });
       } else {
         // Generate blog from text prompt
         console.log("Generating blog from text prompt...");
-        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts`, {
+        response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts${outlineFirst ? "/outline" : ""}`, {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
+            ...generationHeaders,
           },
           body: JSON.stringify({
             type: "text",
-            prompt: textPrompt,
+            prompt: promptText,
+            voiceProfileId: voiceProfileId || null,
+            ...templateFields,
+            ...generationOptions,
           }),
         });
       }
@@ -165,32 +627,49 @@ export default function DashboardPage() {
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || "Failed to generate blog");
+        throw new Error(error.error || error.errors?.[0]?.msg || "Failed to generate blog");
       }
 
-      const data = await response.json();
-
-      // Add assistant message with blog data
-      const assistantMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        role: "assistant",
-        content: "I've generated a blog post for you. You can view, edit, or download it below.",
-        timestamp: new Date(),
-        blogData: data.blog,
-      };
-      setMessages((prev) => [...prev, assistantMessage]);
-
-      // Update credits
-      setCredits((prev) => ({ ...prev, used: prev.used + 1 }));
+      let reused = false;
+      if (outlineFirst) {
+        const data = await response.json();
+        setOutline({ promptId: data.prompt._id, sections: data.outline });
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: assistantId,
+            role: "assistant",
+            content: "Here's a proposed outline. Reorder, edit, add or remove sections below, then write the blog.",
+            timestamp: new Date(),
+          },
+        ]);
+      } else {
+        const { jobId, cached } = await response.json();
+        reused = cached;
+        // The generation is queued; whether it succeeds or fails, submitting again asks for a new one
+        idempotencyKey.current = null;
+        await trackGeneration(jobId, assistantId);
+      }
 
       // Clear inputs
       setTextPrompt("");
       setYoutubeUrl("");
       setYoutubeInstructions("");
+      setCaptionFile(null);
+      setCaptionText("");
+      setArticleUrl("");
+      setArticleInstructions("");
+      setDocumentFile(null);
+      setDocumentInstructions("");
+      setTemplateValues({});
 
       toast({
         title: "Success",
-        description: "Blog generated successfully!",
+        description: outlineFirst
+          ? "Outline ready for review"
+          : reused
+            ? "You recently generated this exact request, so that post was reused at no cost. Tick \"New variant\" to write another."
+            : "Blog generated successfully!",
       });
     } catch (error: unknown) {
       console.error("Error generating blog:", error);
@@ -200,8 +679,94 @@ export default function DashboardPage() {
         variant: "destructive",
       });
 
-      // Remove user message if generation failed
-      setMessages((prev) => prev.slice(0, -1));
+      // Remove user message and partial draft if generation failed
+      setMessages((prev) =>
+        prev.filter((message) => message.id !== userMessage.id && message.id !== assistantId)
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleWriteFromOutline = async () => {
+    if (!outline) return;
+
+    const sections = outline.sections
+      .map((section) => ({
+        ...section,
+        heading: section.heading.trim(),
+        bullets: section.bullets.map((bullet) => bullet.trim()).filter(Boolean),
+      }))
+      .filter((section) => section.heading);
+
+    if (sections.length === 0) {
+      toast({
+        title: "Error",
+        description: "The outline needs at least one section",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsLoading(true);
+
+    const userMessage: Message = {
+      id: Date.now().toString(),
+      role: "user",
+      content: `Write the blog from this outline:\n${sections
+        .map((section) => `${section.level === 3 ? "  " : ""}- ${section.heading}`)
+        .join("\n")}`,
+      timestamp: new Date(),
+    };
+    setMessages((prev) => [...prev, userMessage]);
+    const assistantId = (Date.now() + 1).toString();
+
+    try {
+      const saveRes = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts/${outline.promptId}/outline`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${await getToken()}`,
+        },
+        body: JSON.stringify({ sections }),
+      });
+
+      if (!saveRes.ok) {
+        const error = await saveRes.json();
+        throw new Error(error.error || "Failed to save outline");
+      }
+
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/prompts/${outline.promptId}/expand`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to generate blog");
+      }
+
+      const { jobId } = await response.json();
+      await trackGeneration(jobId, assistantId);
+      setOutline(null);
+
+      toast({
+        title: "Success",
+        description: "Blog generated successfully!",
+      });
+    } catch (error: unknown) {
+      console.error("Error generating blog from outline:", error);
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to generate blog",
+        variant: "destructive",
+      });
+
+      setMessages((prev) =>
+        prev.filter((message) => message.id !== userMessage.id && message.id !== assistantId)
+      );
     } finally {
       setIsLoading(false);
     }
@@ -219,9 +784,9 @@ export default function DashboardPage() {
     });
   };
 
-  const handleDownload = (blog: { title: string; content: string }) => {
+  const handleDownload = (blog: { title: string; content: string; faq?: FaqItem[] }) => {
     const element = document.createElement("a");
-    const file = new Blob([blog.content], { type: "text/markdown" });
+    const file = new Blob([exportMarkdown(blog.content, blog.faq)], { type: "text/markdown" });
     element.href = URL.createObjectURL(file);
     element.download = `${blog.title.replace(/\s+/g, "-").toLowerCase()}.md`;
     document.body.appendChild(element);
@@ -241,6 +806,10 @@ export default function DashboardPage() {
             <p className="text-muted-foreground">Transform content into engaging blogs</p>
           </div>
           <div className="flex items-center gap-4">
+            <Button variant="outline" size="sm" onClick={() => router.push("/batch")}>
+              <Layers className="w-4 h-4 mr-2" />
+              Batch
+            </Button>
             <Badge variant="secondary" className="px-3 py-1">
               <Sparkles className="w-3 h-3 mr-1" />
               {credits.limit - credits.used} credits remaining
@@ -280,6 +849,14 @@ export default function DashboardPage() {
                       } rounded-lg p-4`}
                     >
                       <p className="text-sm whitespace-pre-wrap">{message.content}</p>
+                      {message.draft && (message.draft.title || message.draft.content) && (
+                        <Card className="mt-4 p-4">
+                          <h3 className="font-semibold mb-2">{message.draft.title}</h3>
+                          <div className="prose prose-sm prose-slate dark:prose-invert max-w-none">
+                            <ReactMarkdown remarkPlugins={[remarkGfm]}>{message.draft.content}</ReactMarkdown>
+                          </div>
+                        </Card>
+                      )}
                       {message.blogData && (
                         <Card className="mt-4 p-4">
                           <h3 className="font-semibold mb-2">{message.blogData?.title}</h3>
@@ -313,7 +890,7 @@ export default function DashboardPage() {
                     </div>
                   </div>
                 ))}
-                {isLoading && (
+                {isLoading && !messages.some((message) => message.draft?.content) && (
                   <div className="flex justify-start">
                     <div className="bg-muted rounded-lg p-4">
                       <Loader2 className="w-4 h-4 animate-spin" />
@@ -326,64 +903,299 @@ export default function DashboardPage() {
 
           {/* Input Area */}
           <div className="border-t p-4">
-            <Tabs value={inputMode} onValueChange={(v) => setInputMode(v as "text" | "youtube")}>
-              <TabsList className="mb-4">
-                <TabsTrigger value="text">
-                  <FileText className="w-4 h-4 mr-2" />
-                  Text Prompt
-                </TabsTrigger>
-                <TabsTrigger value="youtube">
-                  <PlayCircle className="w-4 h-4 mr-2" />
-                  YouTube Video
-                </TabsTrigger>
-              </TabsList>
-
-              <TabsContent value="text" className="space-y-4">
-                <Textarea
-                  placeholder="Enter your blog topic or prompt..."
-                  value={textPrompt}
-                  onChange={(e) => setTextPrompt(e.target.value)}
-                  className="min-h-[100px]"
-                  onKeyDown={(e) => {
-                    if (e.key === "Enter" && e.metaKey) {
-                      handleSubmit();
-                    }
-                  }}
-                />
-              </TabsContent>
-
-              <TabsContent value="youtube" className="space-y-4">
-                <Input
-                  placeholder="Enter YouTube URL..."
-                  value={youtubeUrl}
-                  onChange={(e) => setYoutubeUrl(e.target.value)}
-                />
-                <Textarea
-                  placeholder="Additional instructions for the blog (optional)..."
-                  value={youtubeInstructions}
-                  onChange={(e) => setYoutubeInstructions(e.target.value)}
-                  className="min-h-[60px]"
-                />
-              </TabsContent>
-            </Tabs>
-
-            <Button
-              onClick={handleSubmit}
-              disabled={isLoading || credits.used >= credits.limit}
-              className="w-full"
-            >
-              {isLoading ? (
-                <>
-                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                  Generating...
-                </>
-              ) : (
-                <>
-                  <Send className="w-4 h-4 mr-2" />
-                  Generate Blog
-                </>
-              )}
-            </Button>
+            {outline ? (
+              <div className="space-y-4">
+                <div className="max-h-[40vh] overflow-y-auto pr-2">
+                  <OutlineEditor
+                    sections={outline.sections}
+                    onChange={(sections) => setOutline({ ...outline, sections })}
+                    disabled={isLoading}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="outline" onClick={() => setOutline(null)} disabled={isLoading}>
+                    Discard Outline
+                  </Button>
+                  <Button
+                    onClick={handleWriteFromOutline}
+                    disabled={isLoading || credits.used >= credits.limit}
+                    className="flex-1"
+                  >
+                    {isLoading ? (
+                      <>
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        Generating...
+                      </>
+                    ) : (
+                      <>
+                        <Send className="w-4 h-4 mr-2" />
+                        Write Blog from Outline
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <Tabs value={inputMode} onValueChange={(v) => setInputMode(v as InputMode)}>
+                  <TabsList className="mb-4">
+                    <TabsTrigger value="text">
+                      <FileText className="w-4 h-4 mr-2" />
+                      Text Prompt
+                    </TabsTrigger>
+                    <TabsTrigger value="youtube">
+                      <PlayCircle className="w-4 h-4 mr-2" />
+                      YouTube Video
+                    </TabsTrigger>
+                    <TabsTrigger value="article">
+                      <Globe className="w-4 h-4 mr-2" />
+                      Article
+                    </TabsTrigger>
+                    <TabsTrigger value="document">
+                      <FileUp className="w-4 h-4 mr-2" />
+                      Document
+                    </TabsTrigger>
+                  </TabsList>
+
+                  <TabsContent value="text" className="space-y-4">
+                    {selectedTemplate ? (
+                      <TemplateFields
+                        template={selectedTemplate}
+                        values={templateValues}
+                        onChange={setTemplateValues}
+                        disabled={isLoading}
+                      />
+                    ) : (
+                      <Textarea
+                        placeholder="Enter your blog topic or prompt..."
+                        value={textPrompt}
+                        onChange={(e) => setTextPrompt(e.target.value)}
+                        className="min-h-[100px]"
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter" && e.metaKey) {
+                            handleSubmit();
+                          }
+                        }}
+                      />
+                    )}
+                  </TabsContent>
+
+                  <TabsContent value="youtube" className="space-y-4">
+                    <Input
+                      placeholder={showCaptions ? "Video URL (optional)..." : "Enter YouTube URL..."}
+                      value={youtubeUrl}
+                      onChange={(e) => setYoutubeUrl(e.target.value)}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowCaptions((shown) => !shown)}
+                      className="text-sm text-primary hover:underline"
+                    >
+                      {showCaptions ? "Use YouTube's captions instead" : "No captions on YouTube? Upload SRT/VTT or paste a transcript"}
+                    </button>
+                    {!showCaptions && captionTracks.length > 0 && (
+                      <div className="flex items-center gap-2">
+                        <Captions className="w-4 h-4 text-muted-foreground" />
+                        <select
+                          aria-label="Caption track"
+                          value={captionTrackId}
+                          onChange={(e) => setCaptionTrackId(e.target.value)}
+                          disabled={isLoading}
+                          className="h-9 flex-1 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                        >
+                          {captionTracks.map((track) => (
+                            <option key={track.id} value={track.id}>
+                              {track.kind === "auto" && !/auto/i.test(track.name) ? `${track.name} (auto-generated)` : track.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    {showCaptions && (
+                      <CaptionInput
+                        file={captionFile}
+                        text={captionText}
+                        onFileChange={setCaptionFile}
+                        onTextChange={setCaptionText}
+                        disabled={isLoading}
+                      />
+                    )}
+                    {selectedTemplate ? (
+                      <TemplateFields
+                        template={selectedTemplate}
+                        values={templateValues}
+                        onChange={setTemplateValues}
+                        disabled={isLoading}
+                      />
+                    ) : (
+                      <Textarea
+                        placeholder="Additional instructions for the blog (optional)..."
+                        value={youtubeInstructions}
+                        onChange={(e) => setYoutubeInstructions(e.target.value)}
+                        className="min-h-[60px]"
+                      />
+                    )}
+                  </TabsContent>
+
+                  <TabsContent value="article" className="space-y-4">
+                    <Input
+                      placeholder="Enter article URL..."
+                      value={articleUrl}
+                      onChange={(e) => setArticleUrl(e.target.value)}
+                    />
+                    {selectedTemplate ? (
+                      <TemplateFields
+                        template={selectedTemplate}
+                        values={templateValues}
+                        onChange={setTemplateValues}
+                        disabled={isLoading}
+                      />
+                    ) : (
+                      <Textarea
+                        placeholder="Additional instructions for the blog (optional)..."
+                        value={articleInstructions}
+                        onChange={(e) => setArticleInstructions(e.target.value)}
+                        className="min-h-[60px]"
+                      />
+                    )}
+                  </TabsContent>
+
+                  <TabsContent value="document" className="space-y-4">
+                    <DocumentDropZone
+                      file={documentFile}
+                      onChange={setDocumentFile}
+                      onReject={(message) => toast({ title: "Error", description: message, variant: "destructive" })}
+                      disabled={isLoading}
+                    />
+                    {selectedTemplate ? (
+                      <TemplateFields
+                        template={selectedTemplate}
+                        values={templateValues}
+                        onChange={setTemplateValues}
+                        disabled={isLoading}
+                      />
+                    ) : (
+                      <Textarea
+                        placeholder="Additional instructions for the blog (optional)..."
+                        value={documentInstructions}
+                        onChange={(e) => setDocumentInstructions(e.target.value)}
+                        className="min-h-[60px]"
+                      />
+                    )}
+                  </TabsContent>
+                </Tabs>
+
+                <div className="flex flex-col sm:flex-row gap-2 mt-4 mb-4">
+                  {templates.length > 0 && (
+                    <div className="flex flex-1 items-center gap-2">
+                      <LayoutTemplate className="w-4 h-4 text-muted-foreground" />
+                      <select
+                        aria-label="Template"
+                        value={templateId}
+                        onChange={(e) => {
+                          setTemplateId(e.target.value);
+                          setTemplateValues({});
+                        }}
+                        className="h-9 flex-1 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                      >
+                        <option value="">No template</option>
+                        {templates.map((template) => (
+                          <option key={template._id} value={template._id}>
+                            {template.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {voiceProfiles.length > 0 && (
+                    <div className="flex flex-1 items-center gap-2">
+                      <Mic className="w-4 h-4 text-muted-foreground" />
+                      <select
+                        aria-label="Brand voice"
+                        value={voiceProfileId}
+                        onChange={(e) => setVoiceProfileId(e.target.value)}
+                        className="h-9 flex-1 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                      >
+                        <option value="">No brand voice</option>
+                        {voiceProfiles.map((profile) => (
+                          <option key={profile._id} value={profile._id}>
+                            {profile.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <div className="flex flex-1 items-center gap-2">
+                    <Languages className="w-4 h-4 text-muted-foreground" />
+                    <select
+                      aria-label="Post language"
+                      value={postLanguage}
+                      onChange={(e) => setPostLanguage(e.target.value)}
+                      className="h-9 flex-1 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                    >
+                      <option value="">Same language as the source</option>
+                      {LOCALES.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex gap-2">
+                  <label
+                    className="flex items-center gap-2 text-sm text-muted-foreground"
+                    title="End the post with a question/answer section marked up for search engines"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={includeFaq}
+                      onChange={(e) => setIncludeFaq(e.target.checked)}
+                      disabled={isLoading}
+                    />
+                    Add FAQ
+                  </label>
+                  <label
+                    className="flex items-center gap-2 text-sm text-muted-foreground"
+                    title="Generate again even if an identical request was made recently"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={forceNewVariant}
+                      onChange={(e) => setForceNewVariant(e.target.checked)}
+                      disabled={isLoading}
+                    />
+                    New variant
+                  </label>
+                  <Button
+                    variant="outline"
+                    onClick={() => handleSubmit(true)}
+                    disabled={isLoading || credits.used >= credits.limit}
+                  >
+                    <ListTree className="w-4 h-4 mr-2" />
+                    Outline First
+                  </Button>
+                  <Button
+                    onClick={() => handleSubmit()}
+                    disabled={isLoading || credits.used >= credits.limit}
+                    className="flex-1"
+                  >
+                    {isLoading ? (
+                      <>
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        Generating...
+                      </>
+                    ) : (
+                      <>
+                        <Send className="w-4 h-4 mr-2" />
+                        Generate Blog
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </>
+            )}
           </div>
         </Card>
       </div>
@@ -37,9 +37,25 @@ import {
   FileText,
   Hash,
   Clock,
+  Lightbulb,
+  RefreshCw,
+  Quote,
+  Share2,
+  HelpCircle,
+  Gauge,
+  Layers,
 } from "lucide-react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
+import { SectionRewriteDialog } from "@/components/section-rewrite-dialog";
+import { EnhanceDialog } from "@/components/enhance-dialog";
+import { TranslationsPanel } from "@/components/translations-panel";
+import { SourceView } from "@/components/source-view";
+import { RepurposePanel, RepurposedVariant } from "@/components/repurpose-panel";
+import { FaqEditor } from "@/components/faq-editor";
+import { ContentAnalysis, QualityChecklist, scoreVariant } from "@/components/quality-checklist";
+import { formatSimilarity, SimilarPost, SimilarPosts } from "@/components/similar-posts";
+import { exportMarkdown, FaqItem, faqJsonLdString, withFaqMarkdown } from "@/lib/faq";
 
 const MDEditor = dynamic(() => import("@uiw/react-md-editor"), { ssr: false });
 
@@ -50,6 +66,10 @@ interface Blog {
   summary: string;
   tags: string[];
   status: "draft" | "published" | "archived";
+  locale: string;
+  repurposed?: RepurposedVariant[];
+  faq?: FaqItem[];
+  analysis?: ContentAnalysis;
   stats: {
     wordCount: number;
     readTime: number;
@@ -70,11 +90,17 @@ export default function EditorPage() {
   const [content, setContent] = useState("");
   const [summary, setSummary] = useState("");
   const [tags, setTags] = useState<string[]>([]);
+  const [faq, setFaq] = useState<FaqItem[]>([]);
   const [tagInput, setTagInput] = useState("");
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [activeTab, setActiveTab] = useState("edit");
   const [showPublishDialog, setShowPublishDialog] = useState(false);
+  // Published posts this one nearly duplicates, shown before publishing anyway
+  const [duplicateWarning, setDuplicateWarning] = useState<SimilarPost[]>([]);
+  const [titleSuggestions, setTitleSuggestions] = useState<string[]>([]);
+  const [isSuggestingTitles, setIsSuggestingTitles] = useState(false);
+  const [showTitleSuggestions, setShowTitleSuggestions] = useState(false);
 
   useEffect(() => {
     if (params.id && user) {
@@ -104,6 +130,7 @@ export default function EditorPage() {
       setContent(data.content);
       setSummary(data.summary || "");
       setTags(data.tags || []);
+      setFaq(data.faq || []);
     } catch {
       toast({
         title: "Error",
@@ -117,6 +144,49 @@ export default function EditorPage() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [getToken, params.id]);
 
+  // Each request costs a credit, so suggestions are kept until the user asks for more
+  const fetchTitleSuggestions = async () => {
+    setIsSuggestingTitles(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${params.id}/title-suggestions`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({ content }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to suggest titles");
+      }
+
+      const data = await response.json();
+      setTitleSuggestions(data.titles);
+      setShowTitleSuggestions(true);
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to suggest titles",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSuggestingTitles(false);
+    }
+  };
+
+  const handleTitleSuggestionsOpen = (open: boolean) => {
+    if (open && titleSuggestions.length === 0) {
+      fetchTitleSuggestions();
+      return;
+    }
+    setShowTitleSuggestions(open);
+  };
+
   const handleSave = async () => {
     setIsSaving(true);
     try {
@@ -134,25 +204,29 @@ export default function EditorPage() {
             summary,
             tags,
             status: blog?.status,
+            // Pairs left completely empty are dropped rather than rejected
+            faq: faq.filter((item) => item.question.trim() || item.answer.trim()),
           }),
         }
       );
 
       if (!response.ok) {
-        throw new Error("Failed to save blog");
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.issues?.[0] || error.error || "Failed to save blog");
       }
 
       const updatedBlog = await response.json();
       setBlog(updatedBlog);
+      setFaq(updatedBlog.faq || []);
       
       toast({
         title: "Success",
         description: "Blog saved successfully",
       });
-    } catch {
+    } catch (error: unknown) {
       toast({
         title: "Error",
-        description: "Failed to save blog",
+        description: error instanceof Error ? error.message : "Failed to save blog",
         variant: "destructive",
       });
     } finally {
@@ -160,7 +234,7 @@ export default function EditorPage() {
     }
   };
 
-  const handlePublish = async () => {
+  const handlePublish = async (force = false) => {
     setIsSaving(true);
     try {
       const response = await fetch(
@@ -171,10 +245,16 @@ export default function EditorPage() {
             "Content-Type": "application/json",
             Authorization: `Bearer ${await getToken()}`,
           },
-          body: JSON.stringify({ publish: true }),
+          body: JSON.stringify({ publish: blog?.status !== "published", force }),
         }
       );
 
+      if (response.status === 409) {
+        const data = await response.json();
+        setDuplicateWarning(data.similarPosts);
+        return;
+      }
+
       if (!response.ok) {
         throw new Error("Failed to publish blog");
       }
@@ -182,6 +262,7 @@ export default function EditorPage() {
       const updatedBlog = await response.json();
       setBlog(updatedBlog);
       setShowPublishDialog(false);
+      setDuplicateWarning([]);
       
       toast({
         title: "Success",
@@ -200,7 +281,7 @@ export default function EditorPage() {
 
   const handleDownload = () => {
     const element = document.createElement("a");
-    const file = new Blob([content], { type: "text/markdown" });
+    const file = new Blob([exportMarkdown(content, faq)], { type: "text/markdown" });
     element.href = URL.createObjectURL(file);
     element.download = `${title.replace(/\s+/g, "-").toLowerCase()}.md`;
     document.body.appendChild(element);
@@ -267,6 +348,9 @@ export default function EditorPage() {
           </div>
           
           <div className="flex items-center gap-2">
+            <EnhanceDialog blogId={params.id as string} content={content} onAccept={setContent} />
+            <SectionRewriteDialog blogId={params.id as string} content={content} onAccept={setContent} />
+
             <Button onClick={handleSave} disabled={isSaving}>
               {isSaving ? (
                 <Loader2 className="w-4 h-4 mr-2 animate-spin" />
@@ -276,7 +360,13 @@ export default function EditorPage() {
               Save
             </Button>
             
-            <Dialog open={showPublishDialog} onOpenChange={setShowPublishDialog}>
+            <Dialog
+              open={showPublishDialog}
+              onOpenChange={(open) => {
+                setShowPublishDialog(open);
+                setDuplicateWarning([]);
+              }}
+            >
               <DialogTrigger asChild>
                 <Button variant={blog?.status === "published" ? "secondary" : "default"}>
                   {blog?.status === "published" ? "Unpublish" : "Publish"}
@@ -293,15 +383,33 @@ export default function EditorPage() {
                       : "This will make your blog publicly available. Make sure you've reviewed it."}
                   </DialogDescription>
                 </DialogHeader>
+                {duplicateWarning.length > 0 && (
+                  <div className="rounded-md border border-destructive/50 p-3 text-sm space-y-2">
+                    <p className="font-medium">This post is very similar to posts you have already published:</p>
+                    <ul className="list-disc pl-5">
+                      {duplicateWarning.map((post) => (
+                        <li key={post.blogId}>
+                          {post.title} ({formatSimilarity(post.similarity)} similar)
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
                 <DialogFooter>
                   <Button variant="outline" onClick={() => setShowPublishDialog(false)}>
                     Cancel
                   </Button>
-                  <Button onClick={handlePublish} disabled={isSaving}>
+                  <Button
+                    variant={duplicateWarning.length > 0 ? "destructive" : "default"}
+                    onClick={() => handlePublish(duplicateWarning.length > 0)}
+                    disabled={isSaving}
+                  >
                     {isSaving ? (
                       <Loader2 className="w-4 h-4 mr-2 animate-spin" />
                     ) : blog?.status === "published" ? (
                       "Unpublish"
+                    ) : duplicateWarning.length > 0 ? (
+                      "Publish anyway"
                     ) : (
                       "Publish"
                     )}
@@ -332,12 +440,36 @@ export default function EditorPage() {
 
         {/* Title Input */}
         <Card className="mb-4 p-4">
-          <Input
-            placeholder="Blog Title"
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            className="text-2xl font-bold border-0 focus-visible:ring-0 p-0"
-          />
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Blog Title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="text-2xl font-bold border-0 focus-visible:ring-0 p-0"
+            />
+            <DropdownMenu open={showTitleSuggestions} onOpenChange={handleTitleSuggestionsOpen}>
+              <DropdownMenuTrigger asChild>
+                <Button variant="ghost" size="icon" disabled={isSuggestingTitles} title="Suggest titles">
+                  {isSuggestingTitles ? (
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <Lightbulb className="w-4 h-4" />
+                  )}
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end" className="max-w-md">
+                {titleSuggestions.map((suggestion) => (
+                  <DropdownMenuItem key={suggestion} onClick={() => setTitle(suggestion)}>
+                    {suggestion}
+                  </DropdownMenuItem>
+                ))}
+                <DropdownMenuItem onClick={fetchTitleSuggestions} className="text-muted-foreground">
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  More suggestions
+                </DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+          </div>
         </Card>
 
         {/* Summary Input */}
@@ -381,6 +513,18 @@ export default function EditorPage() {
           </div>
         </Card>
 
+        {/* Translations */}
+        {blog && (
+          <Card className="mb-4 p-4">
+            <TranslationsPanel
+              blogId={blog._id}
+              locale={blog.locale}
+              version={blog.updatedAt}
+              onSynced={fetchBlog}
+            />
+          </Card>
+        )}
+
         {/* Editor Tabs */}
         <Card className="min-h-[600px]">
           <Tabs value={activeTab} onValueChange={setActiveTab}>
@@ -398,6 +542,31 @@ export default function EditorPage() {
                   <FileText className="w-4 h-4" />
                   Split View
                 </TabsTrigger>
+                <TabsTrigger value="quality" className="gap-2">
+                  <Gauge className="w-4 h-4" />
+                  Quality
+                  {blog?.analysis && (
+                    <Badge variant={scoreVariant(blog.analysis.score)} className="ml-1 px-1.5 py-0 text-xs">
+                      {blog.analysis.score}
+                    </Badge>
+                  )}
+                </TabsTrigger>
+                <TabsTrigger value="faq" className="gap-2">
+                  <HelpCircle className="w-4 h-4" />
+                  FAQ
+                </TabsTrigger>
+                <TabsTrigger value="similar" className="gap-2">
+                  <Layers className="w-4 h-4" />
+                  Similar
+                </TabsTrigger>
+                <TabsTrigger value="sources" className="gap-2">
+                  <Quote className="w-4 h-4" />
+                  Sources
+                </TabsTrigger>
+                <TabsTrigger value="repurpose" className="gap-2">
+                  <Share2 className="w-4 h-4" />
+                  Repurpose
+                </TabsTrigger>
               </TabsList>
             </div>
 
@@ -413,8 +582,11 @@ export default function EditorPage() {
 
             <TabsContent value="preview" className="p-6">
               <div className="prose prose-slate dark:prose-invert max-w-none">
-                <ReactMarkdown remarkPlugins={[remarkGfm]}>{content}</ReactMarkdown>
+                <ReactMarkdown remarkPlugins={[remarkGfm]}>{withFaqMarkdown(content, faq)}</ReactMarkdown>
               </div>
+              {faq.length > 0 && (
+                <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: faqJsonLdString(faq) }} />
+              )}
             </TabsContent>
 
             <TabsContent value="split" className="p-0 mt-0">
@@ -426,6 +598,35 @@ export default function EditorPage() {
                 hideToolbar={false}
               />
             </TabsContent>
+
+            <TabsContent value="quality" className="p-6">
+              <QualityChecklist
+                analysis={blog?.analysis}
+                isStale={!!blog && (content !== blog.content || title !== blog.title)}
+              />
+            </TabsContent>
+
+            <TabsContent value="faq" className="p-6">
+              {blog && <FaqEditor blogId={blog._id} faq={faq} onChange={setFaq} />}
+            </TabsContent>
+
+            <TabsContent value="similar" className="p-6">
+              {blog && <SimilarPosts blogId={blog._id} version={blog.updatedAt} />}
+            </TabsContent>
+
+            <TabsContent value="sources" className="p-6">
+              {blog && <SourceView blogId={blog._id} version={blog.updatedAt} />}
+            </TabsContent>
+
+            <TabsContent value="repurpose" className="p-6">
+              {blog && (
+                <RepurposePanel
+                  blogId={blog._id}
+                  variants={blog.repurposed || []}
+                  onGenerated={(repurposed) => setBlog({ ...blog, repurposed })}
+                />
+              )}
+            </TabsContent>
           </Tabs>
         </Card>
       </div>
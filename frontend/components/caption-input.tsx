@@ -0,0 +1,54 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Captions, X } from "lucide-react";
+
+interface CaptionInputProps {
+  file: File | null;
+  text: string;
+  onFileChange: (file: File | null) => void;
+  onTextChange: (text: string) => void;
+  disabled?: boolean;
+}
+
+// An SRT/WebVTT file or a pasted timestamped transcript, for videos without captions YouTube can provide
+export function CaptionInput({ file, text, onFileChange, onTextChange, disabled }: CaptionInputProps) {
+  return (
+    <div className="space-y-2 rounded-md border p-3">
+      {file ? (
+        <div className="flex items-center gap-2 text-sm">
+          <Captions className="w-4 h-4 text-muted-foreground" />
+          <span className="flex-1 truncate">{file.name}</span>
+          <Button variant="ghost" size="icon" onClick={() => onFileChange(null)} disabled={disabled} aria-label="Remove caption file">
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      ) : (
+        <>
+          <label className="inline-flex items-center gap-2 text-sm cursor-pointer">
+            <Captions className="w-4 h-4" />
+            Upload SRT or VTT
+            <input
+              type="file"
+              accept=".srt,.vtt,.txt,text/vtt,application/x-subrip,text/plain"
+              className="hidden"
+              onChange={(e) => {
+                onFileChange(e.target.files?.[0] || null);
+                e.target.value = "";
+              }}
+              disabled={disabled}
+            />
+          </label>
+          <Textarea
+            placeholder={"...or paste a transcript with timestamps, e.g.\n[0:00] Welcome to the show\n[0:12] Today we're talking about composting"}
+            value={text}
+            onChange={(e) => onTextChange(e.target.value)}
+            className="min-h-[100px] font-mono text-sm"
+            disabled={disabled}
+          />
+        </>
+      )}
+    </div>
+  );
+}
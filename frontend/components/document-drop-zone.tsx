@@ -0,0 +1,101 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { FileUp, X } from "lucide-react";
+
+// Matches the backend's MAX_UPLOAD_MB default
+export const MAX_DOCUMENT_MB = 10;
+const ACCEPTED_EXTENSIONS = [".pdf", ".docx", ".md", ".markdown", ".txt"];
+
+// Why the file cannot be uploaded, if it cannot
+export const documentFileError = (file: File) => {
+  const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+  if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+    return "Upload a PDF, DOCX, Markdown or TXT file";
+  }
+  if (file.size > MAX_DOCUMENT_MB * 1024 * 1024) {
+    return `Files can be at most ${MAX_DOCUMENT_MB} MB`;
+  }
+  return null;
+};
+
+const formatSize = (bytes: number) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+interface DocumentDropZoneProps {
+  file: File | null;
+  onChange: (file: File | null) => void;
+  onReject: (message: string) => void;
+  disabled?: boolean;
+}
+
+export function DocumentDropZone({ file, onChange, onReject, disabled }: DocumentDropZoneProps) {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const select = (selected: File | undefined) => {
+    if (!selected) return;
+    const error = documentFileError(selected);
+    if (error) {
+      onReject(error);
+      return;
+    }
+    onChange(selected);
+  };
+
+  if (file) {
+    return (
+      <div className="flex items-center gap-3 rounded-md border p-3 text-sm">
+        <FileUp className="w-4 h-4 text-muted-foreground" />
+        <span className="flex-1 truncate">{file.name}</span>
+        <span className="text-muted-foreground">{formatSize(file.size)}</span>
+        <Button variant="ghost" size="icon" onClick={() => onChange(null)} disabled={disabled} aria-label="Remove file">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={() => !disabled && inputRef.current?.click()}
+      onKeyDown={(e) => {
+        if ((e.key === "Enter" || e.key === " ") && !disabled) {
+          e.preventDefault();
+          inputRef.current?.click();
+        }
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (!disabled) select(e.dataTransfer.files[0]);
+      }}
+      className={`flex flex-col items-center justify-center gap-2 rounded-md border-2 border-dashed p-6 text-center text-sm cursor-pointer transition-colors ${
+        isDragging ? "border-primary bg-primary/5" : "border-muted-foreground/25 hover:bg-muted/50"
+      }`}
+    >
+      <FileUp className="w-6 h-6 text-muted-foreground" />
+      <span>Drop a document here or click to browse</span>
+      <span className="text-xs text-muted-foreground">PDF, DOCX, Markdown or TXT, up to {MAX_DOCUMENT_MB} MB</span>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_EXTENSIONS.join(",")}
+        className="hidden"
+        onChange={(e) => {
+          select(e.target.files?.[0]);
+          e.target.value = "";
+        }}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Loader2, Sparkles } from "lucide-react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+
+interface EnhanceDialogProps {
+  blogId: string;
+  content: string;
+  onAccept: (content: string) => void;
+}
+
+export function EnhanceDialog({ blogId, content, onAccept }: EnhanceDialogProps) {
+  const { getToken } = useAuth();
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [instructions, setInstructions] = useState("");
+  const [isEnhancing, setIsEnhancing] = useState(false);
+  const [preview, setPreview] = useState<string | null>(null);
+
+  const reset = () => {
+    setPreview(null);
+    setInstructions("");
+  };
+
+  const handleEnhance = async () => {
+    if (!instructions.trim()) {
+      toast({
+        title: "Error",
+        description: "Describe how the post should be improved",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsEnhancing(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/enhance`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({ instructions, content }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to enhance blog");
+      }
+
+      const data = await response.json();
+      setPreview(data.content);
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to enhance blog",
+        variant: "destructive",
+      });
+    } finally {
+      setIsEnhancing(false);
+    }
+  };
+
+  const handleAccept = () => {
+    if (preview === null) return;
+    onAccept(preview);
+    setOpen(false);
+    reset();
+    toast({
+      title: "Content replaced",
+      description: "Save the blog to keep the enhanced version",
+    });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) reset();
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="outline" disabled={!content.trim()}>
+          <Sparkles className="w-4 h-4 mr-2" />
+          Enhance with AI
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Enhance with AI</DialogTitle>
+          <DialogDescription>
+            {preview === null
+              ? "Describe the improvement. You can preview the result before it replaces your content."
+              : "Preview of the enhanced post. Accept to replace the editor content."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {preview === null ? (
+          <Textarea
+            placeholder='e.g. "tighten the intro and add a short conclusion"'
+            value={instructions}
+            onChange={(e) => setInstructions(e.target.value)}
+            className="min-h-[100px]"
+          />
+        ) : (
+          <div className="max-h-[50vh] overflow-y-auto rounded-md border p-4">
+            <div className="prose prose-slate dark:prose-invert max-w-none">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{preview}</ReactMarkdown>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          {preview === null ? (
+            <Button onClick={handleEnhance} disabled={isEnhancing}>
+              {isEnhancing ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Sparkles className="w-4 h-4 mr-2" />
+              )}
+              Enhance
+            </Button>
+          ) : (
+            <>
+              <Button variant="outline" onClick={() => setPreview(null)}>
+                Discard
+              </Button>
+              <Button onClick={handleAccept}>Replace Content</Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,148 @@
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import { FaqItem } from "@/lib/faq";
+import { ArrowDown, ArrowUp, Loader2, Plus, Sparkles, Trash2 } from "lucide-react";
+
+interface FaqEditorProps {
+  blogId: string;
+  faq: FaqItem[];
+  // Edits are saved with the post; generated pairs are already saved when this is called
+  onChange: (faq: FaqItem[]) => void;
+}
+
+export function FaqEditor({ blogId, faq, onChange }: FaqEditorProps) {
+  const { getToken } = useAuth();
+  const { toast } = useToast();
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const updateItem = (index: number, changes: Partial<FaqItem>) => {
+    onChange(faq.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const moveItem = (index: number, offset: number) => {
+    const target = index + offset;
+    if (target < 0 || target >= faq.length) return;
+    const next = [...faq];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const removeItem = (index: number) => {
+    onChange(faq.filter((_, i) => i !== index));
+  };
+
+  const addItem = () => {
+    onChange([...faq, { question: "", answer: "" }]);
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/faq`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to generate FAQ");
+      }
+
+      const data = await response.json();
+      onChange(data.faq);
+      toast({
+        title: "FAQ generated",
+        description: `${data.creditsRemaining} credits remaining`,
+      });
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to generate FAQ",
+        variant: "destructive",
+      });
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-muted-foreground">
+          Shown at the end of the post and exported as FAQPage structured data. Save the post to keep your edits.
+        </p>
+        <Button variant="outline" size="sm" onClick={handleGenerate} disabled={isGenerating}>
+          {isGenerating ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Sparkles className="w-4 h-4 mr-2" />
+          )}
+          {faq.length > 0 ? "Regenerate" : "Generate"} (metered)
+        </Button>
+      </div>
+
+      {faq.map((item, index) => (
+        <div key={index} className="flex gap-2 items-start rounded-md border p-3">
+          <div className="flex-1 space-y-2">
+            <Input
+              placeholder="Question"
+              value={item.question}
+              maxLength={200}
+              disabled={isGenerating}
+              onChange={(e) => updateItem(index, { question: e.target.value })}
+            />
+            <Textarea
+              placeholder="Answer"
+              value={item.answer}
+              maxLength={1000}
+              disabled={isGenerating}
+              onChange={(e) => updateItem(index, { answer: e.target.value })}
+              className="min-h-[60px] text-sm"
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={isGenerating || index === 0}
+              onClick={() => moveItem(index, -1)}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </Button>
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={isGenerating || index === faq.length - 1}
+              onClick={() => moveItem(index, 1)}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </Button>
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={isGenerating}
+              onClick={() => removeItem(index)}
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      ))}
+      <Button variant="outline" size="sm" disabled={isGenerating} onClick={addItem}>
+        <Plus className="w-4 h-4 mr-1" />
+        Add question
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+
+export interface OutlineSection {
+  heading: string;
+  level: 2 | 3;
+  bullets: string[];
+}
+
+interface OutlineEditorProps {
+  sections: OutlineSection[];
+  onChange: (sections: OutlineSection[]) => void;
+  disabled?: boolean;
+}
+
+export function OutlineEditor({ sections, onChange, disabled }: OutlineEditorProps) {
+  const updateSection = (index: number, changes: Partial<OutlineSection>) => {
+    onChange(sections.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  };
+
+  const moveSection = (index: number, offset: number) => {
+    const target = index + offset;
+    if (target < 0 || target >= sections.length) return;
+    const next = [...sections];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const removeSection = (index: number) => {
+    onChange(sections.filter((_, i) => i !== index));
+  };
+
+  const addSection = () => {
+    onChange([...sections, { heading: "", level: 2, bullets: [] }]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {sections.map((section, index) => (
+        <div
+          key={index}
+          className={`flex gap-2 items-start rounded-md border p-3 ${section.level === 3 ? "ml-6" : ""}`}
+        >
+          <Button
+            size="sm"
+            variant="outline"
+            className="w-10 shrink-0"
+            disabled={disabled}
+            onClick={() => updateSection(index, { level: section.level === 2 ? 3 : 2 })}
+            title="Toggle between H2 and H3"
+          >
+            H{section.level}
+          </Button>
+          <div className="flex-1 space-y-2">
+            <Input
+              placeholder="Section heading"
+              value={section.heading}
+              disabled={disabled}
+              onChange={(e) => updateSection(index, { heading: e.target.value })}
+            />
+            <Textarea
+              placeholder="One point per line"
+              value={section.bullets.join("\n")}
+              disabled={disabled}
+              onChange={(e) => updateSection(index, { bullets: e.target.value.split("\n") })}
+              className="min-h-[60px] text-sm"
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={disabled || index === 0}
+              onClick={() => moveSection(index, -1)}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </Button>
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={disabled || index === sections.length - 1}
+              onClick={() => moveSection(index, 1)}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </Button>
+            <Button
+              size="icon"
+              variant="ghost"
+              disabled={disabled}
+              onClick={() => removeSection(index)}
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      ))}
+      <Button variant="outline" size="sm" disabled={disabled} onClick={addSection}>
+        <Plus className="w-4 h-4 mr-1" />
+        Add section
+      </Button>
+    </div>
+  );
+}
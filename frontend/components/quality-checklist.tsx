@@ -0,0 +1,126 @@
+"use client";
+
+import { Badge } from "@/components/ui/badge";
+import { AlertCircle, AlertTriangle, CheckCircle2, Info } from "lucide-react";
+
+type IssueSeverity = "error" | "warning" | "info";
+
+export interface ContentAnalysis {
+  score: number;
+  wordCount: number;
+  readTime: number;
+  readability: {
+    fleschKincaidGrade: number;
+    sentences: number;
+    averageSentenceWords: number;
+  };
+  headings: {
+    h2: number;
+    h3: number;
+  };
+  keywords: { keyword: string; count: number; density: number }[];
+  meta: {
+    titleLength: number;
+    descriptionLength: number;
+  };
+  links: {
+    internal: number;
+    external: number;
+  };
+  issues: { code: string; severity: IssueSeverity; message: string }[];
+  analyzedAt: string;
+}
+
+const SEVERITY_ORDER: IssueSeverity[] = ["error", "warning", "info"];
+
+const SEVERITY_ICONS = {
+  error: <AlertCircle className="w-4 h-4 text-destructive shrink-0 mt-0.5" />,
+  warning: <AlertTriangle className="w-4 h-4 text-amber-500 shrink-0 mt-0.5" />,
+  info: <Info className="w-4 h-4 text-muted-foreground shrink-0 mt-0.5" />,
+};
+
+export const scoreVariant = (score: number) =>
+  score >= 80 ? "default" : score >= 50 ? "secondary" : "destructive";
+
+interface QualityChecklistProps {
+  analysis?: ContentAnalysis;
+  // The editor has changes the analysis does not cover yet
+  isStale?: boolean;
+}
+
+export function QualityChecklist({ analysis, isStale }: QualityChecklistProps) {
+  if (!analysis) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Save the post to check its readability, structure and SEO.
+      </p>
+    );
+  }
+
+  const issues = [...analysis.issues].sort(
+    (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+  );
+
+  const metrics = [
+    { label: "Reading grade", value: analysis.readability.fleschKincaidGrade },
+    { label: "Words per sentence", value: analysis.readability.averageSentenceWords },
+    { label: "H2 / H3 headings", value: `${analysis.headings.h2} / ${analysis.headings.h3}` },
+    { label: "Meta title", value: `${analysis.meta.titleLength} chars` },
+    { label: "Meta description", value: `${analysis.meta.descriptionLength} chars` },
+    { label: "Internal / external links", value: `${analysis.links.internal} / ${analysis.links.external}` },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3">
+        <Badge variant={scoreVariant(analysis.score)} className="text-base px-3 py-1">
+          {analysis.score}/100
+        </Badge>
+        <span className="text-sm text-muted-foreground">
+          {isStale ? "Reflects the last saved version; save to re-check." : "Content quality score"}
+        </span>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-3">
+        {metrics.map((metric) => (
+          <div key={metric.label} className="rounded-md border p-3">
+            <div className="text-xs text-muted-foreground">{metric.label}</div>
+            <div className="font-semibold">{metric.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {analysis.keywords.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-semibold text-sm">Keywords</h3>
+          <div className="flex flex-wrap gap-2">
+            {analysis.keywords.map((usage) => (
+              <Badge key={usage.keyword} variant="outline">
+                {usage.keyword}: {usage.count}× ({usage.density}%)
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <h3 className="font-semibold text-sm">Checklist</h3>
+        {issues.length === 0 ? (
+          <p className="flex items-center gap-2 text-sm">
+            <CheckCircle2 className="w-4 h-4 text-green-600" />
+            No issues found
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {issues.map((issue, index) => (
+              <li key={`${issue.code}-${index}`} className="flex items-start gap-2 text-sm">
+                {SEVERITY_ICONS[issue.severity]}
+                <span>{issue.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
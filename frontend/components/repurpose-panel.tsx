@@ -0,0 +1,208 @@
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/hooks/use-toast";
+import { Copy, Linkedin, Loader2, Mail, MessageSquare, Sparkles } from "lucide-react";
+
+export type RepurposeFormat = "thread" | "linkedin" | "email";
+
+export interface RepurposedVariant {
+  _id: string;
+  format: RepurposeFormat;
+  text: string;
+  posts?: string[];
+  subject?: string;
+  previewText?: string;
+  ctaUrl?: string;
+  createdAt: string;
+}
+
+const FORMATS: { value: RepurposeFormat; label: string; icon: typeof Mail }[] = [
+  { value: "thread", label: "X thread", icon: MessageSquare },
+  { value: "linkedin", label: "LinkedIn post", icon: Linkedin },
+  { value: "email", label: "Email teaser", icon: Mail },
+];
+
+interface RepurposePanelProps {
+  blogId: string;
+  variants: RepurposedVariant[];
+  onGenerated: (variants: RepurposedVariant[]) => void;
+}
+
+export function RepurposePanel({ blogId, variants, onGenerated }: RepurposePanelProps) {
+  const { getToken } = useAuth();
+  const { toast } = useToast();
+  const [formats, setFormats] = useState<RepurposeFormat[]>(["thread", "linkedin", "email"]);
+  const [ctaUrl, setCtaUrl] = useState(variants.find((variant) => variant.ctaUrl)?.ctaUrl || "");
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const toggleFormat = (format: RepurposeFormat) => {
+    setFormats((prev) => (prev.includes(format) ? prev.filter((item) => item !== format) : [...prev, format]));
+  };
+
+  const copy = (text: string, description: string) => {
+    navigator.clipboard.writeText(text);
+    toast({
+      title: "Copied",
+      description,
+    });
+  };
+
+  const handleGenerate = async () => {
+    if (formats.includes("email") && !ctaUrl.trim()) {
+      toast({
+        title: "Error",
+        description: "Add the link the email teaser should point to",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/repurpose`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({
+            formats,
+            ...(formats.includes("email") ? { ctaUrl: ctaUrl.trim() } : {}),
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || error.errors?.[0]?.msg || "Failed to repurpose blog");
+      }
+
+      const data = await response.json();
+      onGenerated(data.repurposed);
+      toast({
+        title: "Variants ready",
+        description: `${data.creditsRemaining} credits remaining`,
+      });
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to repurpose blog",
+        variant: "destructive",
+      });
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const ordered = FORMATS
+    .map((format) => ({ ...format, variant: variants.find((variant) => variant.format === format.value) }))
+    .filter((item) => item.variant);
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-4">
+          {FORMATS.map((format) => (
+            <label key={format.value} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={formats.includes(format.value)}
+                onChange={() => toggleFormat(format.value)}
+                disabled={isGenerating}
+              />
+              {format.label}
+            </label>
+          ))}
+        </div>
+        {formats.includes("email") && (
+          <Input
+            type="url"
+            placeholder="Link for the email call to action, e.g. https://example.com/blog/my-post"
+            value={ctaUrl}
+            onChange={(e) => setCtaUrl(e.target.value)}
+            disabled={isGenerating}
+          />
+        )}
+        <Button onClick={handleGenerate} disabled={isGenerating || formats.length === 0}>
+          {isGenerating ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Sparkles className="w-4 h-4 mr-2" />
+          )}
+          {ordered.length > 0 ? "Regenerate selected" : "Generate"} (metered)
+        </Button>
+      </div>
+
+      {ordered.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          Turn this post into a thread, a LinkedIn post and a newsletter teaser sized for each platform.
+        </p>
+      )}
+
+      {ordered.map(({ value, label, icon: Icon, variant }) => variant && (
+        <div key={value} className="space-y-3 border-t pt-4">
+          <div className="flex items-center justify-between">
+            <h3 className="flex items-center gap-2 font-semibold">
+              <Icon className="w-4 h-4" />
+              {label}
+            </h3>
+            <Button variant="outline" size="sm" onClick={() => copy(variant.text, `${label} copied to clipboard`)}>
+              <Copy className="w-4 h-4 mr-2" />
+              Copy {value === "thread" ? "thread" : "all"}
+            </Button>
+          </div>
+
+          {variant.posts ? (
+            <ol className="space-y-2">
+              {variant.posts.map((post, index) => (
+                <li key={index} className="flex items-start gap-2 rounded-md bg-muted p-3 text-sm">
+                  <span className="flex-1 whitespace-pre-wrap">{post}</span>
+                  <span className="text-xs text-muted-foreground">{post.length}/280</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-6 px-2"
+                    onClick={() => copy(post, `Post ${index + 1} copied to clipboard`)}
+                  >
+                    <Copy className="w-3 h-3" />
+                  </Button>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div className="space-y-2 text-sm">
+              {variant.subject && (
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">Subject:</span>
+                  <span className="flex-1">{variant.subject}</span>
+                  <Button variant="ghost" size="sm" className="h-6 px-2" onClick={() => copy(variant.subject!, "Subject copied to clipboard")}>
+                    <Copy className="w-3 h-3" />
+                  </Button>
+                </div>
+              )}
+              {variant.previewText && (
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">Preview:</span>
+                  <span className="flex-1 text-muted-foreground">{variant.previewText}</span>
+                  <Button variant="ghost" size="sm" className="h-6 px-2" onClick={() => copy(variant.previewText!, "Preview text copied to clipboard")}>
+                    <Copy className="w-3 h-3" />
+                  </Button>
+                </div>
+              )}
+              <p className="whitespace-pre-wrap rounded-md bg-muted p-3">{variant.text}</p>
+              {value === "linkedin" && (
+                <p className="text-xs text-muted-foreground">{variant.text.length}/3000 characters</p>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Loader2, Wand2 } from "lucide-react";
+import { listHeadings } from "@/lib/markdown-sections";
+
+interface DiffLine {
+  type: "equal" | "add" | "remove";
+  text: string;
+}
+
+interface RewriteResult {
+  heading: string;
+  content: string;
+  diff: DiffLine[];
+}
+
+interface SectionRewriteDialogProps {
+  blogId: string;
+  content: string;
+  onAccept: (content: string) => void;
+}
+
+export function SectionRewriteDialog({ blogId, content, onAccept }: SectionRewriteDialogProps) {
+  const { getToken } = useAuth();
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [anchor, setAnchor] = useState("");
+  const [instruction, setInstruction] = useState("");
+  const [isRewriting, setIsRewriting] = useState(false);
+  const [result, setResult] = useState<RewriteResult | null>(null);
+
+  const headings = useMemo(() => listHeadings(content), [content]);
+
+  const reset = () => {
+    setResult(null);
+    setInstruction("");
+  };
+
+  const handleRewrite = async () => {
+    if (!anchor || !instruction.trim()) {
+      toast({
+        title: "Error",
+        description: "Choose a section and describe the change",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsRewriting(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/sections/rewrite`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({ anchor, instruction, content }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to rewrite section");
+      }
+
+      setResult(await response.json());
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to rewrite section",
+        variant: "destructive",
+      });
+    } finally {
+      setIsRewriting(false);
+    }
+  };
+
+  const handleAccept = () => {
+    if (!result) return;
+    onAccept(result.content);
+    setOpen(false);
+    reset();
+    toast({
+      title: "Section updated",
+      description: "Save the blog to keep the rewritten section",
+    });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        if (!value) reset();
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="outline" disabled={headings.length === 0}>
+          <Wand2 className="w-4 h-4 mr-2" />
+          Rewrite Section
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Rewrite a Section</DialogTitle>
+          <DialogDescription>
+            Only the chosen section changes. Review the diff before accepting it.
+          </DialogDescription>
+        </DialogHeader>
+
+        {result ? (
+          <div className="max-h-[50vh] overflow-y-auto rounded-md border font-mono text-sm">
+            {result.diff.map((line, index) => (
+              <div
+                key={index}
+                className={`whitespace-pre-wrap px-3 ${
+                  line.type === "add"
+                    ? "bg-green-50 text-green-900 dark:bg-green-950 dark:text-green-100"
+                    : line.type === "remove"
+                    ? "bg-red-50 text-red-900 line-through dark:bg-red-950 dark:text-red-100"
+                    : ""
+                }`}
+              >
+                {line.type === "add" ? "+ " : line.type === "remove" ? "- " : "  "}
+                {line.text}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <select
+              aria-label="Section"
+              value={anchor}
+              onChange={(e) => setAnchor(e.target.value)}
+              className="h-10 w-full rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+            >
+              <option value="">Choose a section...</option>
+              {headings.map((heading) => (
+                <option key={heading.anchor} value={heading.anchor}>
+                  {"  ".repeat(Math.max(heading.level - 1, 0))}
+                  {heading.heading}
+                </option>
+              ))}
+            </select>
+            <Textarea
+              placeholder='What should change? e.g. "make this more concrete" or "add an example"'
+              value={instruction}
+              onChange={(e) => setInstruction(e.target.value)}
+              className="min-h-[80px]"
+            />
+          </div>
+        )}
+
+        <DialogFooter>
+          {result ? (
+            <>
+              <Button variant="outline" onClick={() => setResult(null)}>
+                Reject
+              </Button>
+              <Button onClick={handleAccept}>Accept</Button>
+            </>
+          ) : (
+            <Button onClick={handleRewrite} disabled={isRewriting}>
+              {isRewriting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Wand2 className="w-4 h-4 mr-2" />
+              )}
+              Rewrite
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,114 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { useAuth } from "@clerk/nextjs";
+import { Badge } from "@/components/ui/badge";
+import { Loader2 } from "lucide-react";
+
+export interface SimilarPost {
+  blogId: string;
+  title: string;
+  status?: "draft" | "published" | "archived";
+  similarity: number;
+}
+
+interface SimilarPostWithOverlaps extends SimilarPost {
+  paragraphs: { text: string; matchText: string; similarity: number }[];
+}
+
+export const formatSimilarity = (similarity: number) => `${Math.round(similarity * 100)}%`;
+
+// One line per post, for warnings
+export const describeSimilarPosts = (posts: SimilarPost[]) =>
+  posts.map((post) => `"${post.title}" (${formatSimilarity(post.similarity)} similar)`).join(", ");
+
+interface SimilarPostsProps {
+  blogId: string;
+  // Changes whenever the blog is saved; similarity is computed from the saved content
+  version?: string;
+}
+
+export function SimilarPosts({ blogId, version }: SimilarPostsProps) {
+  const { getToken } = useAuth();
+  const [posts, setPosts] = useState<SimilarPostWithOverlaps[]>([]);
+  const [threshold, setThreshold] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchSimilar = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/similar`,
+        {
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        }
+      );
+
+      if (response.ok) {
+        const data = await response.json();
+        setPosts(data.similarPosts);
+        setThreshold(data.threshold);
+      }
+    } catch (error) {
+      console.error("Error fetching similar posts:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [blogId, getToken]);
+
+  useEffect(() => {
+    fetchSimilar();
+  }, [fetchSimilar, version]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (posts.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        None of your other posts overlap noticeably with the last saved version.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-muted-foreground">
+        Your posts that share wording with the last saved version. Posts at {formatSimilarity(threshold)} or more are treated as duplicates.
+      </p>
+      {posts.map((post) => (
+        <div key={post.blogId} className="space-y-3 border-t pt-4">
+          <div className="flex items-center gap-2">
+            <Link href={`/editor/${post.blogId}`} className="font-semibold hover:underline">
+              {post.title}
+            </Link>
+            <Badge variant={post.similarity >= threshold ? "destructive" : "secondary"}>
+              {formatSimilarity(post.similarity)} similar
+            </Badge>
+            {post.status && <Badge variant="outline">{post.status}</Badge>}
+          </div>
+          {post.paragraphs.length === 0 ? (
+            <p className="text-sm text-muted-foreground italic">The overlap is spread across the post rather than whole paragraphs</p>
+          ) : (
+            post.paragraphs.map((paragraph, index) => (
+              <div key={index} className="grid gap-4 md:grid-cols-2 text-sm">
+                <p className="rounded-md border p-3 whitespace-pre-wrap">{paragraph.text}</p>
+                <div className="rounded-md bg-muted p-3 space-y-1">
+                  <span className="text-xs text-muted-foreground">{formatSimilarity(paragraph.similarity)} overlap</span>
+                  <p className="whitespace-pre-wrap text-muted-foreground">{paragraph.matchText}</p>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { Badge } from "@/components/ui/badge";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { ExternalLink, Loader2 } from "lucide-react";
+
+interface ParagraphSource {
+  paragraphHash: string;
+  text: string;
+  source: {
+    start: number;
+    end: number;
+    cited: boolean;
+    // Null when the transcript was uploaded without a video URL
+    url: string | null;
+    passage: string;
+  } | null;
+}
+
+const formatTimestamp = (seconds: number) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+interface SourceViewProps {
+  blogId: string;
+  // Changes whenever the blog is saved; sources are computed from the saved content
+  version?: string;
+}
+
+export function SourceView({ blogId, version }: SourceViewProps) {
+  const { getToken } = useAuth();
+  const [paragraphs, setParagraphs] = useState<ParagraphSource[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchSources = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/sources`,
+        {
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        }
+      );
+
+      if (response.ok) {
+        const data = await response.json();
+        setParagraphs(data.paragraphs);
+      }
+    } catch (error) {
+      console.error("Error fetching sources:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [blogId, getToken]);
+
+  useEffect(() => {
+    fetchSources();
+  }, [fetchSources, version]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (paragraphs.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Sources are shown for posts generated from a video with a timed transcript or caption file.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        The transcript passage behind each paragraph of the last saved version.
+      </p>
+      {paragraphs.map((paragraph) => (
+        <div key={paragraph.paragraphHash} className="grid gap-4 md:grid-cols-2 border-b pb-4">
+          <div className="prose prose-sm prose-slate dark:prose-invert max-w-none">
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{paragraph.text}</ReactMarkdown>
+          </div>
+          {paragraph.source ? (
+            <div className="rounded-md bg-muted p-3 text-sm space-y-2">
+              <div className="flex items-center gap-2">
+                {paragraph.source.url ? (
+                  <a
+                    href={paragraph.source.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 font-medium text-primary hover:underline"
+                  >
+                    {formatTimestamp(paragraph.source.start)} - {formatTimestamp(paragraph.source.end)}
+                    <ExternalLink className="w-3 h-3" />
+                  </a>
+                ) : (
+                  <span className="font-medium">
+                    {formatTimestamp(paragraph.source.start)} - {formatTimestamp(paragraph.source.end)}
+                  </span>
+                )}
+                <Badge variant="outline" title={paragraph.source.cited ? "The paragraph links to this moment" : "Matched by shared wording"}>
+                  {paragraph.source.cited ? "Cited" : "Matched"}
+                </Badge>
+              </div>
+              <p className="text-muted-foreground">{paragraph.source.passage}</p>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground italic">No matching passage in the transcript</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+"use client";
+
+import { Input } from "@/components/ui/input";
+import { PromptTemplate, renderTemplate } from "@/lib/templates";
+
+interface TemplateFieldsProps {
+  template: PromptTemplate;
+  values: Record<string, string>;
+  onChange: (values: Record<string, string>) => void;
+  disabled?: boolean;
+}
+
+export function TemplateFields({ template, values, onChange, disabled }: TemplateFieldsProps) {
+  const preview = renderTemplate(template, values).text;
+
+  return (
+    <div className="space-y-3">
+      {template.variables.length > 0 && (
+        <div className="grid gap-2 sm:grid-cols-2">
+          {template.variables.map((variable) => (
+            <label key={variable.name} className="space-y-1 text-sm">
+              <span className="text-muted-foreground">{variable.label || variable.name}</span>
+              <Input
+                placeholder={variable.defaultValue || "Required"}
+                value={values[variable.name] || ""}
+                disabled={disabled}
+                onChange={(e) => onChange({ ...values, [variable.name]: e.target.value })}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      <p className="rounded-md bg-muted p-3 text-sm text-muted-foreground whitespace-pre-wrap">{preview}</p>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useAuth } from "@clerk/nextjs";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { AlertTriangle, Languages, Loader2, RefreshCw } from "lucide-react";
+import { LOCALES } from "@/lib/locales";
+
+interface Translation {
+  _id: string;
+  title: string;
+  locale: string;
+  status: "draft" | "published" | "archived";
+  sourceId: string | null;
+  stale: boolean;
+}
+
+interface TranslationsPanelProps {
+  blogId: string;
+  locale: string;
+  // Changes whenever the blog is saved, so staleness is re-checked
+  version?: string;
+  // Called after this blog itself was re-synced
+  onSynced: () => void;
+}
+
+export function TranslationsPanel({ blogId, locale, version, onSynced }: TranslationsPanelProps) {
+  const router = useRouter();
+  const { getToken } = useAuth();
+  const { toast } = useToast();
+  const [translations, setTranslations] = useState<Translation[]>([]);
+  const [targetLocale, setTargetLocale] = useState("");
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [syncingId, setSyncingId] = useState<string | null>(null);
+
+  const fetchTranslations = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/translations`,
+        {
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        }
+      );
+
+      if (response.ok) {
+        const data = await response.json();
+        setTranslations(data.translations);
+      }
+    } catch (error) {
+      console.error("Error fetching translations:", error);
+    }
+  }, [blogId, getToken]);
+
+  useEffect(() => {
+    fetchTranslations();
+  }, [fetchTranslations, version]);
+
+  const taken = new Set([locale, ...translations.map((translation) => translation.locale)]);
+
+  const handleTranslate = async () => {
+    if (!targetLocale) return;
+
+    setIsTranslating(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${blogId}/translations`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${await getToken()}`,
+          },
+          body: JSON.stringify({ locale: targetLocale }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to translate blog");
+      }
+
+      const data = await response.json();
+      toast({
+        title: "Translation created",
+        description: `"${data.blog.title}" was saved as a draft`,
+      });
+      setTargetLocale("");
+      fetchTranslations();
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to translate blog",
+        variant: "destructive",
+      });
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+
+  const handleSync = async (translation: Translation) => {
+    if (!confirm(`Re-translate the ${translation.locale} version from its source? Edits made to it will be replaced.`)) {
+      return;
+    }
+
+    setSyncingId(translation._id);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/blogs/${translation._id}/translations/sync`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || "Failed to sync translation");
+      }
+
+      toast({
+        title: "Translation synced",
+        description: `The ${translation.locale} version is up to date`,
+      });
+      if (translation._id === blogId) {
+        onSynced();
+      } else {
+        fetchTranslations();
+      }
+    } catch (error: unknown) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to sync translation",
+        variant: "destructive",
+      });
+    } finally {
+      setSyncingId(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <Languages className="w-4 h-4 text-muted-foreground" />
+      {translations.map((translation) => (
+        <div key={translation._id} className="flex items-center gap-1">
+          <Badge
+            variant={translation._id === blogId ? "default" : "outline"}
+            className="cursor-pointer"
+            title={translation.title}
+            onClick={() => translation._id !== blogId && router.push(`/editor/${translation._id}`)}
+          >
+            {translation.locale}
+            {!translation.sourceId && " (source)"}
+          </Badge>
+          {translation.stale && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6 px-2 text-amber-600"
+              disabled={syncingId !== null}
+              onClick={() => handleSync(translation)}
+              title="The source changed after this was translated"
+            >
+              {syncingId === translation._id ? (
+                <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+              ) : (
+                <AlertTriangle className="w-3 h-3 mr-1" />
+              )}
+              Out of date
+              <RefreshCw className="w-3 h-3 ml-1" />
+            </Button>
+          )}
+        </div>
+      ))}
+      <select
+        aria-label="Translate into"
+        value={targetLocale}
+        onChange={(e) => setTargetLocale(e.target.value)}
+        disabled={isTranslating}
+        className="h-7 rounded-md border border-input bg-background px-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      >
+        <option value="">Translate into...</option>
+        {LOCALES.filter((option) => !taken.has(option.value)).map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <Button size="sm" className="h-7" onClick={handleTranslate} disabled={!targetLocale || isTranslating}>
+        {isTranslating && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+        Translate
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+export interface FaqItem {
+  question: string;
+  answer: string;
+}
+
+export const FAQ_HEADING = "Frequently Asked Questions";
+
+// The FAQ as the closing section of a post
+export function faqMarkdown(faq: FaqItem[]) {
+  if (faq.length === 0) return "";
+
+  const pairs = faq.map((item) => `### ${item.question.trim()}\n\n${item.answer.trim()}`);
+  return [`## ${FAQ_HEADING}`, ...pairs].join("\n\n");
+}
+
+export function withFaqMarkdown(content: string, faq: FaqItem[] = []) {
+  const section = faqMarkdown(faq);
+  return section ? `${content.trimEnd()}\n\n${section}\n` : content;
+}
+
+// schema.org FAQPage structured data
+export function faqJsonLd(faq: FaqItem[]) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: faq.map((item) => ({
+      "@type": "Question",
+      name: item.question.trim(),
+      acceptedAnswer: {
+        "@type": "Answer",
+        text: item.answer.trim(),
+      },
+    })),
+  };
+}
+
+// Escaped so an answer containing "</script>" cannot end the element early
+export function faqJsonLdString(faq: FaqItem[]) {
+  return JSON.stringify(faqJsonLd(faq)).replace(/</g, "\\u003c");
+}
+
+// Markdown for download: the post, its FAQ section and the FAQPage script tag
+export function exportMarkdown(content: string, faq: FaqItem[] = []) {
+  if (faq.length === 0) return content;
+
+  return `${withFaqMarkdown(content, faq)}\n<script type="application/ld+json">${faqJsonLdString(faq)}</script>\n`;
+}
@@ -0,0 +1,48 @@
+export interface MarkdownHeading {
+  anchor: string;
+  heading: string;
+  level: number;
+}
+
+// Mirrors the backend's section anchors: GitHub-style slugs with -1, -2 suffixes for repeats
+export function slugify(heading: string) {
+  return heading
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+export function listHeadings(markdown: string): MarkdownHeading[] {
+  const headings: MarkdownHeading[] = [];
+  const seen = new Map<string, number>();
+  let fence: string | null = null;
+
+  for (const line of markdown.split("\n")) {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence) continue;
+
+    const match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!match) continue;
+
+    const base = slugify(match[2]);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    headings.push({
+      anchor: count === 0 ? base : `${base}-${count}`,
+      heading: match[2],
+      level: match[1].length,
+    });
+  }
+
+  return headings;
+}
@@ -0,0 +1,46 @@
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+}
+
+// EventSource cannot send an Authorization header, so parse the stream from a fetch response instead
+export async function readServerSentEvents(
+  response: Response,
+  onEvent: (event: ServerSentEvent) => void
+) {
+  if (!response.body) {
+    throw new Error("Streaming is not supported by this browser");
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data: string[] = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith("data:")) {
+          data.push(line.slice(5).trimStart());
+        }
+      }
+      if (data.length > 0) {
+        onEvent({ event, data: data.join("\n") });
+      }
+
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
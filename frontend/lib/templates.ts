@@ -0,0 +1,26 @@
+export interface TemplateVariable {
+  name: string;
+  label?: string;
+  defaultValue?: string;
+}
+
+export interface PromptTemplate {
+  _id: string;
+  name: string;
+  description?: string;
+  body: string;
+  variables: TemplateVariable[];
+}
+
+// Mirrors the backend's rendering so the preview matches what gets generated
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+export function renderTemplate(template: PromptTemplate, values: Record<string, string>) {
+  const defaults = new Map(template.variables.map((variable) => [variable.name, variable.defaultValue || ""]));
+  const resolve = (name: string) => values[name]?.trim() || defaults.get(name) || "";
+
+  return {
+    text: template.body.replace(VARIABLE_PATTERN, (_, name: string) => resolve(name)).trim(),
+    missing: template.variables.filter((variable) => !resolve(variable.name)).map((variable) => variable.name),
+  };
+}
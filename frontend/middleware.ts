@@ -4,6 +4,7 @@ const isProtectedRoute = createRouteMatcher([
   '/dashboard(.*)',
   '/editor(.*)',
   '/blogs(.*)',
+  '/batch(.*)',
 ]);
 
 export default clerkMiddleware(async (auth, req) => {